@@ -0,0 +1,625 @@
+// Generated by scripts/generate-api-client.js from LifeOS API 1.0.0.
+// Do not edit by hand: run `npm run generate:api-client` after changing the API.
+/* eslint-disable */
+
+/**
+ * @typedef {Object} User
+ * @property {string} name
+ * @property {string} email
+ * @property {string} [avatar]
+ * @property {'user'|'admin'} role
+ * @property {string} [createdAt]
+ * @property {string} [_id]
+ * @property {(string|null)} [deletedAt]
+ */
+
+/**
+ * @typedef {Object} Product
+ * @property {string} name
+ * @property {string} [description]
+ * @property {number} price
+ * @property {string} [category]
+ * @property {Array<{ url?: string, alt?: string, width?: number, height?: number, placeholder?: string, original?: { key?: string, format?: string, size?: number }, variants?: Array<{ format?: 'avif'|'webp', width?: number, height?: number, size?: number, key?: string, url?: string }>, _id?: string }>} [images]
+ * @property {string} [createdAt]
+ * @property {string} [_id]
+ * @property {(string|null)} [deletedAt]
+ */
+
+/**
+ * @typedef {Object} AuditEntry
+ * @property {'users'|'products'} entity
+ * @property {string} documentId
+ * @property {'create'|'update'|'delete'|'restore'} action
+ * @property {{ id?: string, role?: string }} [actor]
+ * @property {Array<{ field?: string, before?: *, after?: * }>} [changes]
+ * @property {string} [requestId]
+ * @property {string} [timestamp]
+ * @property {string} [_id]
+ */
+
+/**
+ * @typedef {Object} ErrorResponse
+ * @property {{ code: string, message: string, details: Array<{ location?: 'params'|'query'|'body', field?: string, message?: string }> }} error
+ */
+
+/**
+ * @typedef {Object} PagePagination
+ * @property {number} [page]
+ * @property {number} [limit]
+ * @property {number} [total]
+ * @property {number} [pages]
+ */
+
+/**
+ * @typedef {Object} CursorPagination
+ * @property {number} [limit]
+ * @property {boolean} [hasMore]
+ * @property {(string|null)} [nextCursor] - Pass as `cursor` to fetch the next page
+ */
+
+/**
+ * @typedef {Object} UserPage
+ * @property {Array<User>} [users]
+ * @property {PagePagination|CursorPagination} [pagination]
+ */
+
+/**
+ * @typedef {Object} ProductPage
+ * @property {Array<Product>} [products]
+ * @property {PagePagination|CursorPagination} [pagination]
+ */
+
+/**
+ * @typedef {Object} ProductFacets
+ * @property {number} [total]
+ * @property {Array<{ value?: string, count?: number }>} [categories]
+ * @property {{ min?: (number|null), max?: (number|null), buckets?: Array<{ min?: number, max?: number, maxExclusive?: boolean, count?: number }> }} [price]
+ */
+
+/**
+ * @typedef {Object} Highlight
+ * @property {string} [snippet]
+ * @property {Array<Array<number>>} [ranges]
+ */
+
+/**
+ * @typedef {Object} SearchResults
+ * @property {Array<{ _id?: string, score?: number, type?: 'product'|'user', highlights?: Object<string, Highlight> }>} [results]
+ */
+
+/**
+ * @typedef {Object} AuditPage
+ * @property {Array<AuditEntry>} [entries]
+ * @property {CursorPagination} [pagination]
+ */
+
+/**
+ * @typedef {Object} RecordHistory
+ * @property {User|Product} [record] - The record as it is now, deleted or not
+ * @property {Array<AuditEntry>} [entries]
+ * @property {CursorPagination} [pagination]
+ */
+
+/**
+ * @typedef {Object} TokenPair
+ * @property {string} [accessToken]
+ * @property {string} [refreshToken]
+ */
+
+/**
+ * @typedef {Object} AuthResponse
+ * @property {User} [user]
+ * @property {string} [accessToken]
+ * @property {string} [refreshToken]
+ */
+
+/**
+ * @typedef {Object} CacheFlushResult
+ * @property {Object<string, number>} [flushed]
+ */
+
+/**
+ * @typedef {Object} MetricInput
+ * @property {string} name - Metric type, e.g. LCP (or metric_type)
+ * @property {number} value
+ * @property {string} [timestamp]
+ * @property {string} [url]
+ * @property {'good'|'needs-improvement'|'poor'} [rating]
+ * @property {string} [navigationType]
+ */
+
+/**
+ * @typedef {Array<MetricInput>|{ metrics?: Array<MetricInput> }|MetricInput} MetricBatch
+ */
+
+/**
+ * @typedef {Object} MetricsAccepted
+ * @property {number} [accepted]
+ * @property {number} [rejected]
+ */
+
+/**
+ * @typedef {Object} MetricsReport
+ * @property {string} [from]
+ * @property {string} [to]
+ * @property {Array<{ metric?: string, url?: (string|null), count?: number, avg?: number, min?: number, max?: number, p50?: number, p75?: number, p95?: number }>} [metrics]
+ */
+
+/**
+ * @typedef {Object} Health
+ * @property {'OK'|'DEGRADED'|'DOWN'} [status]
+ * @property {string} [timestamp]
+ * @property {number} [uptime]
+ * @property {Object<string, { status?: 'up'|'down', critical?: boolean, latency?: number, error?: string }>} [checks]
+ */
+
+/**
+ * @template Body
+ * @typedef {Omit<RequestInit, 'body' | 'method'> & { body?: Body }} RequestOptions
+ */
+
+/**
+ * A non-2xx response. `code`, `message` and `details` come from the
+ * server's error envelope: { error: { code, message, details } }.
+ */
+export class ApiError extends Error {
+  constructor(status, envelope) {
+    const error = (envelope && envelope.error) || {};
+    super(error.message || `Request failed with status ${status}`);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = error.code || 'INTERNAL_ERROR';
+    this.details = error.details || [];
+  }
+}
+
+// Skips undefined and null values; empty strings are sent (an empty cursor
+// asks for the first cursor page)
+const toQueryString = (query = {}) => {
+  const search = new URLSearchParams();
+  for (const [name, value] of Object.entries(query)) {
+    if (value === undefined || value === null) continue;
+    for (const item of [].concat(value)) search.append(name, String(item));
+  }
+  const text = search.toString();
+  return text ? `?${text}` : '';
+};
+
+const readBody = async (response) => {
+  if (response.status === 204 || response.status === 304) return undefined;
+  const type = response.headers.get('Content-Type') || '';
+  if (type.includes('application/json')) return response.json();
+  if (type.startsWith('text/')) return response.text();
+  return response.blob();
+};
+
+const request = async (method, path, { query, body, init = {} }) => {
+  const headers = new Headers(init.headers);
+  let payload = body;
+  if (body !== undefined && !(body instanceof FormData)) {
+    headers.set('Content-Type', 'application/json');
+    payload = JSON.stringify(body);
+  }
+
+  const response = await fetch(path + toQueryString(query), { ...init, method, headers, body: payload });
+  if (!response.ok) {
+    throw new ApiError(response.status, await readBody(response).catch(() => undefined));
+  }
+  return readBody(response);
+};
+
+/**
+ * Resize, crop, filter and re-encode one image.
+ * `POST /api/optimize-image`
+ * @param {Object} [params]
+ * @param {RequestOptions<FormData>} options
+ * @returns {Promise<Blob>}
+ */
+export const optimizeImage = (params = {}, { body, ...init } = {}) => request(
+  'POST',
+  '/api/optimize-image',
+  { query: undefined, body, init }
+);
+
+/**
+ * Optimize up to 20 images and download them as a ZIP.
+ * `POST /api/optimize-images`
+ * @param {Object} [params]
+ * @param {RequestOptions<FormData>} options
+ * @returns {Promise<Blob>}
+ */
+export const optimizeImages = (params = {}, { body, ...init } = {}) => request(
+  'POST',
+  '/api/optimize-images',
+  { query: undefined, body, init }
+);
+
+/**
+ * List users by page, or by cursor when `cursor` is sent (empty for the first page).
+ * `GET /api/users`
+ * @param {{ page?: number, limit?: number, sort?: 'name'|'-name'|'createdAt'|'-createdAt', cursor?: string }} [params]
+ * @param {RequestOptions<undefined>} [options]
+ * @returns {Promise<UserPage>}
+ */
+export const listUsers = (params = {}, { body, ...init } = {}) => request(
+  'GET',
+  '/api/users',
+  { query: { page: params.page, limit: params.limit, sort: params.sort, cursor: params.cursor }, body, init }
+);
+
+/**
+ * Create a user.
+ * `POST /api/users` (requires an access token)
+ * @param {Object} [params]
+ * @param {RequestOptions<User>} options
+ * @returns {Promise<User>}
+ */
+export const createUser = (params = {}, { body, ...init } = {}) => request(
+  'POST',
+  '/api/users',
+  { query: undefined, body, init }
+);
+
+/**
+ * List products by page, or by cursor when `cursor` is sent (empty for the first page).
+ * `GET /api/products`
+ * @param {{ page?: number, limit?: number, sort?: 'price'|'-price'|'name'|'-name'|'createdAt'|'-createdAt', cursor?: string, category?: string, minPrice?: number, maxPrice?: number, priceBelow?: number }} [params]
+ * @param {RequestOptions<undefined>} [options]
+ * @returns {Promise<ProductPage>}
+ */
+export const listProducts = (params = {}, { body, ...init } = {}) => request(
+  'GET',
+  '/api/products',
+  { query: { page: params.page, limit: params.limit, sort: params.sort, cursor: params.cursor, category: params.category, minPrice: params.minPrice, maxPrice: params.maxPrice, priceBelow: params.priceBelow }, body, init }
+);
+
+/**
+ * Create a product.
+ * `POST /api/products` (requires an access token)
+ * @param {Object} [params]
+ * @param {RequestOptions<Product>} options
+ * @returns {Promise<Product>}
+ */
+export const createProduct = (params = {}, { body, ...init } = {}) => request(
+  'POST',
+  '/api/products',
+  { query: undefined, body, init }
+);
+
+/**
+ * Category counts and price histogram; each facet ignores its own filter.
+ * `GET /api/products/facets`
+ * @param {{ category?: string, minPrice?: number, maxPrice?: number, priceBelow?: number, buckets?: number }} [params]
+ * @param {RequestOptions<undefined>} [options]
+ * @returns {Promise<ProductFacets>}
+ */
+export const getProductFacets = (params = {}, { body, ...init } = {}) => request(
+  'GET',
+  '/api/products/facets',
+  { query: { category: params.category, minPrice: params.minPrice, maxPrice: params.maxPrice, priceBelow: params.priceBelow, buckets: params.buckets }, body, init }
+);
+
+/**
+ * Upload a product image and generate its responsive variants.
+ * `POST /api/products/{id}/images` (requires an access token)
+ * @param {{ id: string }} params
+ * @param {RequestOptions<FormData>} options
+ * @returns {Promise<{ url?: string, alt?: string, width?: number, height?: number, placeholder?: string, original?: { key?: string, format?: string, size?: number }, variants?: Array<{ format?: 'avif'|'webp', width?: number, height?: number, size?: number, key?: string, url?: string }>, _id?: string }>}
+ */
+export const uploadProductImage = (params = {}, { body, ...init } = {}) => request(
+  'POST',
+  `/api/products/${encodeURIComponent(params.id)}/images`,
+  { query: undefined, body, init }
+);
+
+/**
+ * Delete a product image and its stored files.
+ * `DELETE /api/products/{id}/images/{imageId}` (requires an access token)
+ * @param {{ id: string, imageId: string }} params
+ * @param {RequestOptions<undefined>} [options]
+ * @returns {Promise<void>}
+ */
+export const deleteProductImage = (params = {}, { body, ...init } = {}) => request(
+  'DELETE',
+  `/api/products/${encodeURIComponent(params.id)}/images/${encodeURIComponent(params.imageId)}`,
+  { query: undefined, body, init }
+);
+
+/**
+ * A stored image variant (immutable).
+ * `GET /api/images/{key}`
+ * @param {{ key: string }} params
+ * @param {RequestOptions<undefined>} [options]
+ * @returns {Promise<Blob>}
+ */
+export const getStoredImage = (params = {}, { body, ...init } = {}) => request(
+  'GET',
+  `/api/images/${encodeURIComponent(params.key)}`,
+  { query: undefined, body, init }
+);
+
+/**
+ * Resize and re-encode an uploaded image; the format follows Accept unless fmt is given.
+ * `GET /api/img/{id}`
+ * @param {{ id: string, w?: number, h?: number, q?: number, fmt?: 'avif'|'webp'|'jpeg'|'png', fit?: 'cover'|'contain'|'fill'|'inside'|'outside' }} params
+ * @param {RequestOptions<undefined>} [options]
+ * @returns {Promise<Blob>}
+ */
+export const transformImage = (params = {}, { body, ...init } = {}) => request(
+  'GET',
+  `/api/img/${encodeURIComponent(params.id)}`,
+  { query: { w: params.w, h: params.h, q: params.q, fmt: params.fmt, fit: params.fit }, body, init }
+);
+
+/**
+ * Create an account and sign in.
+ * `POST /api/auth/register`
+ * @param {Object} [params]
+ * @param {RequestOptions<{ name: string, email: string, password: string }>} options
+ * @returns {Promise<AuthResponse>}
+ */
+export const register = (params = {}, { body, ...init } = {}) => request(
+  'POST',
+  '/api/auth/register',
+  { query: undefined, body, init }
+);
+
+/**
+ * Sign in with email and password.
+ * `POST /api/auth/login`
+ * @param {Object} [params]
+ * @param {RequestOptions<{ email: string, password: string }>} options
+ * @returns {Promise<AuthResponse>}
+ */
+export const login = (params = {}, { body, ...init } = {}) => request(
+  'POST',
+  '/api/auth/login',
+  { query: undefined, body, init }
+);
+
+/**
+ * Exchange a refresh token for a new token pair.
+ * `POST /api/auth/refresh`
+ * @param {Object} [params]
+ * @param {RequestOptions<{ refreshToken: string }>} options
+ * @returns {Promise<TokenPair>}
+ */
+export const refreshTokens = (params = {}, { body, ...init } = {}) => request(
+  'POST',
+  '/api/auth/refresh',
+  { query: undefined, body, init }
+);
+
+/**
+ * Get a user.
+ * `GET /api/users/{id}`
+ * @param {{ id: string }} params
+ * @param {RequestOptions<undefined>} [options]
+ * @returns {Promise<User>}
+ */
+export const getUser = (params = {}, { body, ...init } = {}) => request(
+  'GET',
+  `/api/users/${encodeURIComponent(params.id)}`,
+  { query: undefined, body, init }
+);
+
+/**
+ * Replace a user; omitted fields are cleared.
+ * `PUT /api/users/{id}` (requires an access token)
+ * @param {{ id: string }} params
+ * @param {RequestOptions<User>} options
+ * @returns {Promise<User>}
+ */
+export const replaceUser = (params = {}, { body, ...init } = {}) => request(
+  'PUT',
+  `/api/users/${encodeURIComponent(params.id)}`,
+  { query: undefined, body, init }
+);
+
+/**
+ * Update some fields of a user.
+ * `PATCH /api/users/{id}` (requires an access token)
+ * @param {{ id: string }} params
+ * @param {RequestOptions<User>} options
+ * @returns {Promise<User>}
+ */
+export const updateUser = (params = {}, { body, ...init } = {}) => request(
+  'PATCH',
+  `/api/users/${encodeURIComponent(params.id)}`,
+  { query: undefined, body, init }
+);
+
+/**
+ * Soft-delete a user; admins can restore it.
+ * `DELETE /api/users/{id}` (requires an access token)
+ * @param {{ id: string }} params
+ * @param {RequestOptions<undefined>} [options]
+ * @returns {Promise<void>}
+ */
+export const deleteUser = (params = {}, { body, ...init } = {}) => request(
+  'DELETE',
+  `/api/users/${encodeURIComponent(params.id)}`,
+  { query: undefined, body, init }
+);
+
+/**
+ * Get a product.
+ * `GET /api/products/{id}`
+ * @param {{ id: string }} params
+ * @param {RequestOptions<undefined>} [options]
+ * @returns {Promise<Product>}
+ */
+export const getProduct = (params = {}, { body, ...init } = {}) => request(
+  'GET',
+  `/api/products/${encodeURIComponent(params.id)}`,
+  { query: undefined, body, init }
+);
+
+/**
+ * Replace a product; omitted fields are cleared.
+ * `PUT /api/products/{id}` (requires an access token)
+ * @param {{ id: string }} params
+ * @param {RequestOptions<Product>} options
+ * @returns {Promise<Product>}
+ */
+export const replaceProduct = (params = {}, { body, ...init } = {}) => request(
+  'PUT',
+  `/api/products/${encodeURIComponent(params.id)}`,
+  { query: undefined, body, init }
+);
+
+/**
+ * Update some fields of a product.
+ * `PATCH /api/products/{id}` (requires an access token)
+ * @param {{ id: string }} params
+ * @param {RequestOptions<Product>} options
+ * @returns {Promise<Product>}
+ */
+export const updateProduct = (params = {}, { body, ...init } = {}) => request(
+  'PATCH',
+  `/api/products/${encodeURIComponent(params.id)}`,
+  { query: undefined, body, init }
+);
+
+/**
+ * Soft-delete a product; admins can restore it.
+ * `DELETE /api/products/{id}` (requires an access token)
+ * @param {{ id: string }} params
+ * @param {RequestOptions<undefined>} [options]
+ * @returns {Promise<void>}
+ */
+export const deleteProduct = (params = {}, { body, ...init } = {}) => request(
+  'DELETE',
+  `/api/products/${encodeURIComponent(params.id)}`,
+  { query: undefined, body, init }
+);
+
+/**
+ * Full-text search ranked by relevance; queries shorter than 2 characters return no results.
+ * `GET /api/search`
+ * @param {{ q?: string, type?: 'products'|'users'|'all', limit?: number }} [params]
+ * @param {RequestOptions<undefined>} [options]
+ * @returns {Promise<SearchResults>}
+ */
+export const search = (params = {}, { body, ...init } = {}) => request(
+  'GET',
+  '/api/search',
+  { query: { q: params.q, type: params.type, limit: params.limit }, body, init }
+);
+
+/**
+ * Drop cached responses by tag.
+ * `POST /api/admin/cache/flush` (requires an access token)
+ * @param {Object} [params]
+ * @param {RequestOptions<{ tags: Array<string> }>} options
+ * @returns {Promise<CacheFlushResult>}
+ */
+export const flushCache = (params = {}, { body, ...init } = {}) => request(
+  'POST',
+  '/api/admin/cache/flush',
+  { query: undefined, body, init }
+);
+
+/**
+ * Audit log of changes to users and products, newest first.
+ * `GET /api/admin/audit` (requires an access token)
+ * @param {{ limit?: number, cursor?: string, entity?: 'users'|'products', documentId?: string, actor?: string, action?: 'create'|'update'|'delete'|'restore', from?: string, to?: string }} [params]
+ * @param {RequestOptions<undefined>} [options]
+ * @returns {Promise<AuditPage>}
+ */
+export const listAuditEntries = (params = {}, { body, ...init } = {}) => request(
+  'GET',
+  '/api/admin/audit',
+  { query: { limit: params.limit, cursor: params.cursor, entity: params.entity, documentId: params.documentId, actor: params.actor, action: params.action, from: params.from, to: params.to }, body, init }
+);
+
+/**
+ * A user or product, including a deleted one, with its changes newest first.
+ * `GET /api/admin/{entity}/{id}/history` (requires an access token)
+ * @param {{ entity: 'users'|'products', id: string, limit?: number, cursor?: string }} params
+ * @param {RequestOptions<undefined>} [options]
+ * @returns {Promise<RecordHistory>}
+ */
+export const getRecordHistory = (params = {}, { body, ...init } = {}) => request(
+  'GET',
+  `/api/admin/${encodeURIComponent(params.entity)}/${encodeURIComponent(params.id)}/history`,
+  { query: { limit: params.limit, cursor: params.cursor }, body, init }
+);
+
+/**
+ * Undelete a record, or roll it back to how it was right after the audit entry `version`.
+ * `POST /api/admin/{entity}/{id}/restore` (requires an access token)
+ * @param {{ entity: 'users'|'products', id: string }} params
+ * @param {RequestOptions<{ version?: string }>} options
+ * @returns {Promise<User|Product>}
+ */
+export const restoreRecord = (params = {}, { body, ...init } = {}) => request(
+  'POST',
+  `/api/admin/${encodeURIComponent(params.entity)}/${encodeURIComponent(params.id)}/restore`,
+  { query: undefined, body, init }
+);
+
+/**
+ * Percentiles per metric and URL over a time range (default: the last 24 hours).
+ * `GET /api/metrics` (requires an access token)
+ * @param {{ from?: string, to?: string, type?: string, url?: string }} [params]
+ * @param {RequestOptions<undefined>} [options]
+ * @returns {Promise<MetricsReport>}
+ */
+export const getMetricsReport = (params = {}, { body, ...init } = {}) => request(
+  'GET',
+  '/api/metrics',
+  { query: { from: params.from, to: params.to, type: params.type, url: params.url }, body, init }
+);
+
+/**
+ * Record web vitals; also accepts the same JSON as text/plain (sendBeacon).
+ * `POST /api/metrics`
+ * @param {Object} [params]
+ * @param {RequestOptions<MetricBatch>} options
+ * @returns {Promise<MetricsAccepted>}
+ */
+export const reportMetrics = (params = {}, { body, ...init } = {}) => request(
+  'POST',
+  '/api/metrics',
+  { query: undefined, body, init }
+);
+
+/**
+ * Whether the process is serving requests.
+ * `GET /api/health/live`
+ * @param {Object} [params]
+ * @param {RequestOptions<undefined>} [options]
+ * @returns {Promise<Health>}
+ */
+export const getLiveness = (params = {}, { body, ...init } = {}) => request(
+  'GET',
+  '/api/health/live',
+  { query: undefined, body, init }
+);
+
+/**
+ * Dependency checks; 503 when a critical dependency is down.
+ * `GET /api/health/ready`
+ * @param {Object} [params]
+ * @param {RequestOptions<undefined>} [options]
+ * @returns {Promise<Health>}
+ */
+export const getReadiness = (params = {}, { body, ...init } = {}) => request(
+  'GET',
+  '/api/health/ready',
+  { query: undefined, body, init }
+);
+
+/**
+ * Same as /api/health/ready.
+ * `GET /api/health`
+ * @param {Object} [params]
+ * @param {RequestOptions<undefined>} [options]
+ * @returns {Promise<Health>}
+ */
+export const getHealth = (params = {}, { body, ...init } = {}) => request(
+  'GET',
+  '/api/health',
+  { query: undefined, body, init }
+);
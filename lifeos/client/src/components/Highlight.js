@@ -0,0 +1,21 @@
+import React, { memo } from 'react';
+
+// Render a search snippet, wrapping the server-provided match ranges in <mark>
+const Highlight = memo(({ match }) => {
+  const { snippet, ranges } = match;
+  const parts = [];
+  let last = 0;
+
+  ranges.forEach(([start, end]) => {
+    if (start > last) parts.push(snippet.slice(last, start));
+    parts.push(<mark key={start}>{snippet.slice(start, end)}</mark>);
+    last = end;
+  });
+  if (last < snippet.length) parts.push(snippet.slice(last));
+
+  return <>{parts}</>;
+});
+
+Highlight.displayName = 'Highlight';
+
+export default Highlight;
@@ -1,84 +1,316 @@
-import React, { useState, useCallback, memo, useRef } from 'react';
+import React, { useState, useCallback, memo, useRef, useEffect } from 'react';
 import { Helmet } from 'react-helmet-async';
 
+// How many files are uploaded and optimized at the same time
+const CONCURRENCY = 3;
+// Server-side limit for the ZIP download (see MAX_BATCH_FILES in server/index.js)
+const MAX_BATCH_FILES = 20;
+
+// Settings become multipart fields; empty values fall back to server defaults
+const settingsFormData = (settings, watermarkFile) => {
+  const formData = new FormData();
+  Object.entries(settings).forEach(([name, value]) => {
+    if (value !== '' && value !== null && value !== undefined) {
+      formData.append(name, value.toString());
+    }
+  });
+  if (watermarkFile) {
+    formData.append('watermark', watermarkFile, watermarkFile.name);
+  }
+  return formData;
+};
+
+const OPTIMIZE_ERRORS = {
+  429: 'Rate limit reached, please wait a minute and try again',
+  503: 'The server is busy processing images, please try again shortly'
+};
+
+// Rate-limited (429) and busy (503) responses say when to try again
+const RETRYABLE_STATUSES = [429, 503];
+const MAX_RETRIES = 3;
+
+const optimizeError = (status, retryAfter) => Object.assign(
+  new Error(OPTIMIZE_ERRORS[status] || 'Failed to optimize image'),
+  { retryable: RETRYABLE_STATUSES.includes(status), retryAfter }
+);
+
+// Milliseconds to wait before retry number `attempt`: the server's Retry-After
+// (in seconds), else exponential backoff
+const retryDelay = (retryAfter, attempt) => {
+  const seconds = Number(retryAfter);
+  return (seconds > 0 ? seconds : 2 ** attempt) * 1000;
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Run `send` again while it fails with a retryable status, up to MAX_RETRIES
+// times; `onWait(ms)` is told about each pause
+const withRetries = async (send, onWait) => {
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      return await send();
+    } catch (error) {
+      if (!error.retryable || attempt >= MAX_RETRIES) throw error;
+      const delay = retryDelay(error.retryAfter, attempt);
+      if (onWait) onWait(delay);
+      await sleep(delay);
+    }
+  }
+};
+
+// Upload one file with XHR so upload progress can be reported
+const optimizeFile = (file, settings, watermarkFile, onProgress) => new Promise((resolve, reject) => {
+  const formData = settingsFormData(settings, watermarkFile);
+  formData.append('image', file, file.name);
+
+  const xhr = new XMLHttpRequest();
+  xhr.open('POST', '/api/optimize-image');
+  xhr.responseType = 'blob';
+
+  xhr.upload.onprogress = (event) => {
+    if (event.lengthComputable) onProgress(Math.round(event.loaded / event.total * 100));
+  };
+  xhr.onload = () => {
+    if (xhr.status >= 400) {
+      reject(optimizeError(xhr.status, xhr.getResponseHeader('Retry-After')));
+    } else {
+      resolve(xhr.response);
+    }
+  };
+  xhr.onerror = () => reject(new Error('Network error'));
+  xhr.send(formData);
+});
+
+// Single request for the live preview; aborted when settings change again
+const previewFile = async (file, settings, watermarkFile, signal) => {
+  const formData = settingsFormData(settings, watermarkFile);
+  formData.append('image', file, file.name);
+
+  const response = await fetch('/api/optimize-image', {
+    method: 'POST',
+    body: formData,
+    signal
+  });
+  if (!response.ok) {
+    throw optimizeError(response.status, response.headers.get('Retry-After'));
+  }
+  return response.blob();
+};
+
+const WATERMARK_POSITIONS = [
+  'northwest', 'north', 'northeast', 'west', 'center', 'east', 'southwest', 'south', 'southeast'
+];
+
+let nextId = 0;
+
 const ImageOptimizer = memo(() => {
-  const [originalImage, setOriginalImage] = useState(null);
-  const [optimizedImage, setOptimizedImage] = useState(null);
+  const [files, setFiles] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
   const [loading, setLoading] = useState(false);
+  const [zipping, setZipping] = useState(false);
+  const [dragActive, setDragActive] = useState(false);
   const [settings, setSettings] = useState({
     width: 800,
     quality: 80,
-    format: 'webp'
+    format: 'webp',
+    aspect: '',
+    crop: 'attention',
+    grayscale: false,
+    blur: 0,
+    sharpen: false,
+    lossless: false,
+    stripMetadata: true,
+    watermarkText: '',
+    watermarkPosition: 'southeast',
+    watermarkOpacity: 0.5
   });
-  const [stats, setStats] = useState(null);
+  const [watermarkFile, setWatermarkFile] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [previewLoading, setPreviewLoading] = useState(false);
+  const [previewError, setPreviewError] = useState(null);
+  const [comparePosition, setComparePosition] = useState(50);
   const fileInputRef = useRef(null);
+  const filesRef = useRef(files);
+  filesRef.current = files;
+
+  // Release object URLs on unmount
+  useEffect(() => () => {
+    filesRef.current.forEach((item) => {
+      URL.revokeObjectURL(item.originalUrl);
+      if (item.optimizedUrl) URL.revokeObjectURL(item.optimizedUrl);
+    });
+  }, []);
+
+  const updateSetting = useCallback((name, value) => {
+    setSettings(prev => ({ ...prev, [name]: value }));
+  }, []);
+
+  // Live preview: re-optimize the selected file shortly after settings change
+  const selectedFile = files.find(item => item.id === selectedId)?.file;
+  useEffect(() => {
+    if (!selectedFile) return undefined;
+
+    let cancelled = false;
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      setPreviewLoading(true);
+      setPreviewError(null);
+      try {
+        const blob = await previewFile(selectedFile, settings, watermarkFile, controller.signal);
+        if (cancelled) return;
+        setPreview(prev => {
+          if (prev) URL.revokeObjectURL(prev.url);
+          return { url: URL.createObjectURL(blob), size: blob.size };
+        });
+      } catch (error) {
+        if (!cancelled && error.name !== 'AbortError') setPreviewError(error.message);
+      } finally {
+        if (!cancelled) setPreviewLoading(false);
+      }
+    }, 500);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+      controller.abort();
+    };
+  }, [selectedFile, settings, watermarkFile]);
+
+  const updateFile = useCallback((id, changes) => {
+    setFiles(prev => prev.map(item => (item.id === id ? { ...item, ...changes } : item)));
+  }, []);
+
+  // Queue image files from the file input or a drop
+  const addFiles = useCallback((fileList) => {
+    const added = Array.from(fileList)
+      .filter(file => file.type.startsWith('image/'))
+      .map(file => ({
+        id: ++nextId,
+        file,
+        originalUrl: URL.createObjectURL(file),
+        optimizedUrl: null,
+        status: 'pending',
+        progress: 0,
+        stats: null,
+        error: null
+      }));
+
+    if (added.length === 0) return;
+    setFiles(prev => [...prev, ...added]);
+    setSelectedId(prev => prev || added[0].id);
+  }, []);
 
   // Handle file selection
   const handleFileSelect = useCallback((e) => {
-    const file = e.target.files[0];
-    if (file && file.type.startsWith('image/')) {
-      const reader = new FileReader();
-      reader.onload = (event) => {
-        setOriginalImage(event.target.result);
-        setOptimizedImage(null);
-        setStats(null);
-      };
-      reader.readAsDataURL(file);
-    }
+    addFiles(e.target.files);
+  }, [addFiles]);
+
+  // Drag and drop
+  const handleDragOver = useCallback((e) => {
+    e.preventDefault();
+    setDragActive(true);
   }, []);
 
-  // Optimize image
-  const optimizeImage = useCallback(async () => {
-    if (!originalImage) return;
+  const handleDragLeave = useCallback(() => {
+    setDragActive(false);
+  }, []);
+
+  const handleDrop = useCallback((e) => {
+    e.preventDefault();
+    setDragActive(false);
+    addFiles(e.dataTransfer.files);
+  }, [addFiles]);
+
+  // Optimize every file that has not been optimized with the current settings
+  const optimizeAll = useCallback(async () => {
+    const queue = filesRef.current.filter(item => !['uploading', 'processing', 'waiting'].includes(item.status));
+    if (queue.length === 0) return;
 
     setLoading(true);
-    try {
-      // Convert data URL to blob
-      const response = await fetch(originalImage);
-      const blob = await response.blob();
-
-      // Create form data
-      const formData = new FormData();
-      formData.append('image', blob, 'image.jpg');
-      formData.append('width', settings.width.toString());
-      formData.append('quality', settings.quality.toString());
-      formData.append('format', settings.format);
-
-      // Send to optimization endpoint
-      const optimizeResponse = await fetch('/api/optimize-image', {
-        method: 'POST',
-        body: formData
-      });
+    queue.forEach(item => {
+      if (item.optimizedUrl) URL.revokeObjectURL(item.optimizedUrl);
+      updateFile(item.id, { status: 'pending', progress: 0, optimizedUrl: null, stats: null, error: null });
+    });
+
+    const worker = async () => {
+      while (queue.length > 0) {
+        const item = queue.shift();
+        updateFile(item.id, { status: 'uploading' });
+        try {
+          const optimizedBlob = await withRetries(
+            () => optimizeFile(item.file, settings, watermarkFile, (progress) => {
+              updateFile(item.id, { progress, status: progress < 100 ? 'uploading' : 'processing' });
+            }),
+            (delay) => updateFile(item.id, { status: 'waiting', progress: 0, retryIn: Math.ceil(delay / 1000) })
+          );
 
-      if (!optimizeResponse.ok) {
-        throw new Error('Failed to optimize image');
+          // Calculate stats
+          const originalSize = item.file.size;
+          const optimizedSize = optimizedBlob.size;
+          const compressionRatio = ((originalSize - optimizedSize) / originalSize * 100).toFixed(1);
+
+          updateFile(item.id, {
+            status: 'done',
+            progress: 100,
+            optimizedUrl: URL.createObjectURL(optimizedBlob),
+            stats: {
+              originalSize,
+              optimizedSize,
+              compressionRatio,
+              format: settings.format,
+              width: settings.width,
+              quality: settings.quality
+            }
+          });
+        } catch (error) {
+          console.error('Error optimizing image:', error);
+          updateFile(item.id, { status: 'error', error: error.message });
+        }
       }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(CONCURRENCY, queue.length) }, worker));
+    setLoading(false);
+  }, [settings, watermarkFile, updateFile]);
+
+  // Optimize everything server-side in one request and download a ZIP
+  const downloadAll = useCallback(async () => {
+    const batch = filesRef.current.slice(0, MAX_BATCH_FILES);
+    if (batch.length === 0) return;
+
+    setZipping(true);
+    try {
+      const formData = settingsFormData(settings, watermarkFile);
+      batch.forEach(item => formData.append('images', item.file, item.file.name));
+
+      const blob = await withRetries(async () => {
+        const response = await fetch('/api/optimize-images', {
+          method: 'POST',
+          body: formData
+        });
 
-      // Get optimized image blob
-      const optimizedBlob = await optimizeResponse.blob();
-      const optimizedUrl = URL.createObjectURL(optimizedBlob);
-      setOptimizedImage(optimizedUrl);
-
-      // Calculate stats
-      const originalSize = blob.size;
-      const optimizedSize = optimizedBlob.size;
-      const compressionRatio = ((originalSize - optimizedSize) / originalSize * 100).toFixed(1);
-
-      setStats({
-        originalSize,
-        optimizedSize,
-        compressionRatio,
-        format: settings.format,
-        width: settings.width,
-        quality: settings.quality
+        if (OPTIMIZE_ERRORS[response.status]) {
+          throw optimizeError(response.status, response.headers.get('Retry-After'));
+        }
+        if (!response.ok) {
+          throw new Error('Failed to create ZIP archive');
+        }
+        return response.blob();
       });
+
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = 'optimized-images.zip';
+      link.click();
+      URL.revokeObjectURL(url);
     } catch (error) {
-      console.error('Error optimizing image:', error);
-      alert('Failed to optimize image. Please try again.');
+      console.error('Error downloading archive:', error);
+      alert(error.message || 'Failed to download images. Please try again.');
     } finally {
-      setLoading(false);
+      setZipping(false);
     }
-  }, [originalImage, settings]);
+  }, [settings, watermarkFile]);
 
   // Format file size
   const formatFileSize = useCallback((bytes) => {
@@ -91,14 +323,27 @@ const ImageOptimizer = memo(() => {
 
   // Reset
   const reset = useCallback(() => {
-    setOriginalImage(null);
-    setOptimizedImage(null);
-    setStats(null);
+    filesRef.current.forEach((item) => {
+      URL.revokeObjectURL(item.originalUrl);
+      if (item.optimizedUrl) URL.revokeObjectURL(item.optimizedUrl);
+    });
+    setFiles([]);
+    setSelectedId(null);
+    setPreview(prev => {
+      if (prev) URL.revokeObjectURL(prev.url);
+      return null;
+    });
     if (fileInputRef.current) {
       fileInputRef.current.value = '';
     }
   }, []);
 
+  const selected = files.find(item => item.id === selectedId);
+  const totals = files.reduce((sum, item) => (item.stats ? {
+    originalSize: sum.originalSize + item.stats.originalSize,
+    optimizedSize: sum.optimizedSize + item.stats.optimizedSize
+  } : sum), { originalSize: 0, optimizedSize: 0 });
+
   return (
     <>
       <Helmet>
@@ -109,32 +354,38 @@ const ImageOptimizer = memo(() => {
       <div className="card">
         <h1>Image Optimizer</h1>
         <p>
-          Upload an image to see how optimization can reduce file size while maintaining quality.
+          Upload images to see how optimization can reduce file size while maintaining quality.
           This tool demonstrates server-side image optimization using Sharp.
         </p>
 
         {/* File Upload */}
-        <div className="form-group">
-          <label>Select Image:</label>
+        <div
+          className={`drop-zone${dragActive ? ' active' : ''}`}
+          onDragOver={handleDragOver}
+          onDragLeave={handleDragLeave}
+          onDrop={handleDrop}
+        >
+          <label>Drop images here or select files:</label>
           <input
             ref={fileInputRef}
             type="file"
             accept="image/*"
+            multiple
             onChange={handleFileSelect}
           />
         </div>
 
         {/* Settings */}
-        {originalImage && (
+        {files.length > 0 && (
           <div className="optimization-settings">
             <h3>Optimization Settings</h3>
-            
+
             <div className="form-group">
               <label>Width (px):</label>
               <input
                 type="number"
                 value={settings.width}
-                onChange={(e) => setSettings(prev => ({ ...prev, width: parseInt(e.target.value) }))}
+                onChange={(e) => updateSetting('width', parseInt(e.target.value))}
                 min="100"
                 max="2000"
               />
@@ -147,7 +398,8 @@ const ImageOptimizer = memo(() => {
                 min="10"
                 max="100"
                 value={settings.quality}
-                onChange={(e) => setSettings(prev => ({ ...prev, quality: parseInt(e.target.value) }))}
+                disabled={settings.lossless}
+                onChange={(e) => updateSetting('quality', parseInt(e.target.value))}
               />
               <span>{settings.quality}%</span>
             </div>
@@ -156,21 +408,146 @@ const ImageOptimizer = memo(() => {
               <label>Format:</label>
               <select
                 value={settings.format}
-                onChange={(e) => setSettings(prev => ({ ...prev, format: e.target.value }))}
+                onChange={(e) => updateSetting('format', e.target.value)}
               >
                 <option value="webp">WebP</option>
                 <option value="jpeg">JPEG</option>
                 <option value="png">PNG</option>
                 <option value="avif">AVIF</option>
               </select>
+              <label>
+                <input
+                  type="checkbox"
+                  checked={settings.lossless}
+                  onChange={(e) => updateSetting('lossless', e.target.checked)}
+                />
+                Lossless
+              </label>
+            </div>
+
+            <div className="form-group">
+              <label>Crop to aspect ratio:</label>
+              <select value={settings.aspect} onChange={(e) => updateSetting('aspect', e.target.value)}>
+                <option value="">Keep original</option>
+                <option value="1:1">1:1 (square)</option>
+                <option value="4:3">4:3</option>
+                <option value="3:2">3:2</option>
+                <option value="16:9">16:9</option>
+                <option value="9:16">9:16 (portrait)</option>
+              </select>
+              {settings.aspect && (
+                <select value={settings.crop} onChange={(e) => updateSetting('crop', e.target.value)}>
+                  <option value="attention">Smart (attention)</option>
+                  <option value="entropy">Smart (entropy)</option>
+                  <option value="center">Center</option>
+                </select>
+              )}
             </div>
 
-            <button 
-              onClick={optimizeImage} 
+            <div className="form-group">
+              <label>Effects:</label>
+              <label>
+                <input
+                  type="checkbox"
+                  checked={settings.grayscale}
+                  onChange={(e) => updateSetting('grayscale', e.target.checked)}
+                />
+                Grayscale
+              </label>
+              <label>
+                <input
+                  type="checkbox"
+                  checked={settings.sharpen}
+                  onChange={(e) => updateSetting('sharpen', e.target.checked)}
+                />
+                Sharpen
+              </label>
+              <label>
+                Blur:
+                <input
+                  type="range"
+                  min="0"
+                  max="20"
+                  step="0.5"
+                  value={settings.blur}
+                  onChange={(e) => {
+                    const blur = parseFloat(e.target.value);
+                    // sharp's smallest blur sigma is 0.3
+                    updateSetting('blur', blur > 0 && blur < 0.3 ? 0.3 : blur);
+                  }}
+                />
+                <span>{settings.blur || 'off'}</span>
+              </label>
+            </div>
+
+            <div className="form-group">
+              <label>Watermark:</label>
+              <input
+                type="text"
+                placeholder="Text, e.g. © Your Name"
+                maxLength="100"
+                value={settings.watermarkText}
+                onChange={(e) => updateSetting('watermarkText', e.target.value)}
+              />
+              <label>
+                or logo:
+                <input
+                  type="file"
+                  accept="image/*"
+                  onChange={(e) => setWatermarkFile(e.target.files[0] || null)}
+                />
+              </label>
+              {(settings.watermarkText || watermarkFile) && (
+                <>
+                  <select
+                    value={settings.watermarkPosition}
+                    onChange={(e) => updateSetting('watermarkPosition', e.target.value)}
+                  >
+                    {WATERMARK_POSITIONS.map(position => (
+                      <option key={position} value={position}>{position}</option>
+                    ))}
+                  </select>
+                  <label>
+                    Opacity:
+                    <input
+                      type="range"
+                      min="0.1"
+                      max="1"
+                      step="0.1"
+                      value={settings.watermarkOpacity}
+                      onChange={(e) => updateSetting('watermarkOpacity', parseFloat(e.target.value))}
+                    />
+                  </label>
+                </>
+              )}
+            </div>
+
+            <div className="form-group">
+              <label>
+                <input
+                  type="checkbox"
+                  checked={settings.stripMetadata}
+                  onChange={(e) => updateSetting('stripMetadata', e.target.checked)}
+                />
+                Strip metadata (EXIF, GPS location)
+              </label>
+            </div>
+
+            <button
+              onClick={optimizeAll}
               className="btn"
               disabled={loading}
             >
-              {loading ? 'Optimizing...' : 'Optimize Image'}
+              {loading ? 'Optimizing...' : `Optimize ${files.length === 1 ? 'Image' : `${files.length} Images`}`}
+            </button>
+
+            <button
+              onClick={downloadAll}
+              className="btn"
+              disabled={zipping}
+              title={files.length > MAX_BATCH_FILES ? `Only the first ${MAX_BATCH_FILES} images are included` : undefined}
+            >
+              {zipping ? 'Preparing ZIP...' : 'Download All (ZIP)'}
             </button>
 
             <button onClick={reset} className="btn btn-secondary">
@@ -179,42 +556,93 @@ const ImageOptimizer = memo(() => {
           </div>
         )}
 
-        {/* Results */}
-        {originalImage && (
-          <div className="image-comparison">
-            <div className="image-section">
-              <h3>Original Image</h3>
-              <img 
-                src={originalImage} 
-                alt="Original" 
-                className="image-preview"
-                style={{ maxWidth: '100%', height: 'auto' }}
-              />
-              {stats && (
-                <div className="image-stats">
-                  <p><strong>Size:</strong> {formatFileSize(stats.originalSize)}</p>
-                </div>
+        {/* Per-file progress and stats */}
+        {files.length > 0 && (
+          <table className="batch-table">
+            <thead>
+              <tr>
+                <th>File</th>
+                <th>Status</th>
+                <th>Original</th>
+                <th>Optimized</th>
+                <th>Savings</th>
+              </tr>
+            </thead>
+            <tbody>
+              {files.map(item => (
+                <tr
+                  key={item.id}
+                  className={item.id === selectedId ? 'selected' : ''}
+                  onClick={() => setSelectedId(item.id)}
+                >
+                  <td>{item.file.name}</td>
+                  <td>
+                    {item.status === 'uploading' && <progress value={item.progress} max="100" />}
+                    {item.status === 'processing' && 'Optimizing...'}
+                    {item.status === 'pending' && 'Pending'}
+                    {item.status === 'waiting' && `Server busy, retrying in ${item.retryIn}s`}
+                    {item.status === 'done' && 'Done'}
+                    {item.status === 'error' && <span className="error">{item.error}</span>}
+                  </td>
+                  <td>{formatFileSize(item.file.size)}</td>
+                  <td>{item.stats ? formatFileSize(item.stats.optimizedSize) : '—'}</td>
+                  <td>{item.stats ? `${item.stats.compressionRatio}%` : '—'}</td>
+                </tr>
+              ))}
+            </tbody>
+            {totals.originalSize > 0 && (
+              <tfoot>
+                <tr>
+                  <td colSpan="2"><strong>Total</strong></td>
+                  <td>{formatFileSize(totals.originalSize)}</td>
+                  <td>{formatFileSize(totals.optimizedSize)}</td>
+                  <td>{((totals.originalSize - totals.optimizedSize) / totals.originalSize * 100).toFixed(1)}%</td>
+                </tr>
+              </tfoot>
+            )}
+          </table>
+        )}
+
+        {/* Live before/after comparison for the selected file */}
+        {selected && (
+          <div className="image-section">
+            <h3>{selected.file.name}</h3>
+            <div className="compare-slider">
+              <img src={selected.originalUrl} alt="Original" className="compare-image" />
+              {preview && (
+                <img
+                  src={preview.url}
+                  alt="Optimized"
+                  className="compare-image compare-after"
+                  style={{ clipPath: `inset(0 0 0 ${comparePosition}%)` }}
+                />
               )}
+              {preview && <div className="compare-divider" style={{ left: `${comparePosition}%` }} />}
+            </div>
+            <input
+              type="range"
+              min="0"
+              max="100"
+              value={comparePosition}
+              onChange={(e) => setComparePosition(parseInt(e.target.value))}
+              aria-label="Before/after comparison"
+              className="compare-range"
+            />
+            <div className="compare-labels">
+              <span>Original</span>
+              <span>{previewLoading ? 'Updating preview...' : 'Optimized'}</span>
             </div>
 
-            {optimizedImage && (
-              <div className="image-section">
-                <h3>Optimized Image</h3>
-                <img 
-                  src={optimizedImage} 
-                  alt="Optimized" 
-                  className="image-preview"
-                  style={{ maxWidth: '100%', height: 'auto' }}
-                />
-                {stats && (
-                  <div className="image-stats">
-                    <p><strong>Size:</strong> {formatFileSize(stats.optimizedSize)}</p>
-                    <p><strong>Compression:</strong> {stats.compressionRatio}% smaller</p>
-                    <p><strong>Format:</strong> {stats.format.toUpperCase()}</p>
-                    <p><strong>Width:</strong> {stats.width}px</p>
-                    <p><strong>Quality:</strong> {stats.quality}%</p>
-                  </div>
-                )}
+            {previewError && <p className="error">{previewError}</p>}
+            {preview && (
+              <div className="image-stats">
+                <p><strong>Original:</strong> {formatFileSize(selected.file.size)}</p>
+                <p><strong>Optimized:</strong> {formatFileSize(preview.size)}</p>
+                <p>
+                  <strong>Compression:</strong>{' '}
+                  {((selected.file.size - preview.size) / selected.file.size * 100).toFixed(1)}% smaller
+                </p>
+                <p><strong>Format:</strong> {settings.format.toUpperCase()}{settings.lossless ? ' (lossless)' : ''}</p>
               </div>
             )}
           </div>
@@ -239,4 +667,4 @@ const ImageOptimizer = memo(() => {
 
 ImageOptimizer.displayName = 'ImageOptimizer';
 
-export default ImageOptimizer;
\ No newline at end of file
+export default ImageOptimizer;
@@ -1,6 +1,24 @@
 import React, { useState, useEffect, useCallback, memo } from 'react';
 import { Helmet } from 'react-helmet-async';
 
+// Most recent API calls that reported Server-Timing (total, db, redis, cache)
+const getApiTimings = () => performance.getEntriesByType('resource')
+  .filter(entry => entry.serverTiming && entry.serverTiming.length > 0)
+  .slice(-10)
+  .reverse()
+  .map((entry) => {
+    const server = Object.fromEntries(entry.serverTiming.map(timing => [timing.name, timing]));
+    const url = new URL(entry.name);
+    return {
+      url: url.pathname + url.search,
+      duration: Math.round(entry.duration),
+      total: server.total ? Math.round(server.total.duration) : 0,
+      db: server.db ? Math.round(server.db.duration) : 0,
+      redis: server.redis ? Math.round(server.redis.duration) : 0,
+      cache: server.cache ? server.cache.description : null
+    };
+  });
+
 const PerformanceMonitor = memo(() => {
   const [metrics, setMetrics] = useState({});
   const [isMonitoring, setIsMonitoring] = useState(false);
@@ -30,6 +48,9 @@ const PerformanceMonitor = memo(() => {
       
       // Resource timing
       resourceCount: performance.getEntriesByType('resource').length,
+
+      // Server-side breakdown reported by the API's Server-Timing headers
+      apiTimings: getApiTimings(),
       
       // Memory usage (if available)
       memory: performance.memory ? {
@@ -228,6 +249,39 @@ const PerformanceMonitor = memo(() => {
               </div>
             </div>
 
+            {/* Server Timing */}
+            {metrics.apiTimings && metrics.apiTimings.length > 0 && (
+              <div className="card">
+                <h3>Server Timing (recent API calls)</h3>
+                <div className="performance-table">
+                  <table>
+                    <thead>
+                      <tr>
+                        <th>Request</th>
+                        <th>Round Trip</th>
+                        <th>Server</th>
+                        <th>MongoDB</th>
+                        <th>Redis</th>
+                        <th>Cache</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {metrics.apiTimings.map((timing, index) => (
+                        <tr key={index}>
+                          <td>{timing.url}</td>
+                          <td>{formatTime(timing.duration)}</td>
+                          <td>{formatTime(timing.total)}</td>
+                          <td>{formatTime(timing.db)}</td>
+                          <td>{formatTime(timing.redis)}</td>
+                          <td>{timing.cache || 'N/A'}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </div>
+            )}
+
             {/* Network Metrics */}
             {metrics.connection && (
               <div className="card">
@@ -1,27 +1,76 @@
 import React, { useState, useMemo, useCallback, memo } from 'react';
-import { useQuery } from 'react-query';
+import { useQuery, useInfiniteQuery } from 'react-query';
+import { useSearchParams } from 'react-router-dom';
+import { useInView } from 'react-intersection-observer';
 import { Helmet } from 'react-helmet-async';
 import { FixedSizeList as List } from 'react-window';
 import { debounce } from 'lodash';
+import Highlight from './Highlight';
+import { listProducts, getProductFacets, search } from '../api/client';
+
+// Responsive product image. Uploaded images carry AVIF/WebP variants and a
+// blurred placeholder; legacy entries are just a URL (or a plain string).
+const IMAGE_FORMATS = ['avif', 'webp'];
+const IMAGE_SIZES = '(max-width: 600px) 100vw, 300px';
+
+const ProductImage = memo(({ image, alt }) => {
+  const { url, variants = [], placeholder } = typeof image === 'string' ? { url: image } : image;
+
+  const sources = IMAGE_FORMATS
+    .map((format) => ({
+      format,
+      srcSet: variants
+        .filter((variant) => variant.format === format)
+        .map((variant) => `${variant.url} ${variant.width}w`)
+        .join(', ')
+    }))
+    .filter((source) => source.srcSet);
+
+  // Browsers without <picture> support fall back to the smallest WebP variant
+  const fallback = variants.find((variant) => variant.format === 'webp')?.url || url;
+  if (!fallback) return null;
+
+  return (
+    <picture>
+      {sources.map((source) => (
+        <source
+          key={source.format}
+          type={`image/${source.format}`}
+          srcSet={source.srcSet}
+          sizes={IMAGE_SIZES}
+        />
+      ))}
+      <img
+        src={fallback}
+        alt={image.alt || alt}
+        className="product-image"
+        loading="lazy"
+        decoding="async"
+        width="200"
+        height="150"
+        style={placeholder ? { backgroundImage: `url(${placeholder})`, backgroundSize: 'cover' } : undefined}
+      />
+    </picture>
+  );
+});
+
+ProductImage.displayName = 'ProductImage';
 
 // Optimized Product Card component
 const ProductCard = memo(({ product }) => (
   <div className="card">
-    <h3>{product.name}</h3>
-    <p>{product.description}</p>
+    <h3>{product.highlights?.name ? <Highlight match={product.highlights.name} /> : product.name}</h3>
+    <p>
+      {product.highlights?.description
+        ? <Highlight match={product.highlights.description} />
+        : product.description}
+    </p>
     <div className="product-details">
       <span className="price">${product.price}</span>
       <span className="category">{product.category}</span>
     </div>
     {product.images && product.images.length > 0 && (
-      <img 
-        src={product.images[0]} 
-        alt={product.name}
-        className="product-image"
-        loading="lazy"
-        width="200"
-        height="150"
-      />
+      <ProductImage image={product.images[0]} alt={product.name} />
     )}
   </div>
 ));
@@ -40,30 +89,45 @@ const VirtualizedProductItem = memo(({ index, style, data }) => {
 
 VirtualizedProductItem.displayName = 'VirtualizedProductItem';
 
+// Sort options supported by /api/products
+const SORT_OPTIONS = [
+  { value: '-createdAt', label: 'Newest' },
+  { value: 'createdAt', label: 'Oldest' },
+  { value: 'price', label: 'Price: Low to High' },
+  { value: '-price', label: 'Price: High to Low' },
+  { value: 'name', label: 'Name: A to Z' },
+  { value: '-name', label: 'Name: Z to A' }
+];
+const DEFAULT_SORT = SORT_OPTIONS[0].value;
+
 // API functions
-const fetchProducts = async ({ queryKey }) => {
-  const [, page, limit, filters] = queryKey;
-  const params = new URLSearchParams({
-    page: page.toString(),
-    limit: limit.toString(),
-    ...filters
-  });
-  
-  const response = await fetch(`/api/products?${params}`);
-  if (!response.ok) {
-    throw new Error('Failed to fetch products');
-  }
-  return response.json();
+// Always revalidate with the server: responses carry max-age for plain
+// browser loads, but a refetch must not be answered from the HTTP cache
+// (the server replies 304 when nothing changed)
+const REVALIDATE = { cache: 'no-cache' };
+
+const fetchProducts = ({ queryKey }) => {
+  const [, page, limit, filters, sort] = queryKey;
+  return listProducts({ page, limit, sort, ...filters }, REVALIDATE);
 };
 
+// Cursor-mode page for infinite scrolling; the first page sends an empty cursor
+const fetchProductsPage = ({ queryKey, pageParam = '' }) => {
+  const [, limit, filters, sort] = queryKey;
+  return listProducts({ cursor: pageParam, limit, sort, ...filters }, REVALIDATE);
+};
+
+// Category counts and price buckets for the current filters
+const fetchProductFacets = ({ queryKey }) => {
+  const [, filters] = queryKey;
+  return getProductFacets(filters, REVALIDATE);
+};
+
+const formatCategory = (value) => value.charAt(0).toUpperCase() + value.slice(1);
+
 const searchProducts = async (query) => {
   if (!query || query.length < 2) return { results: [] };
-  
-  const response = await fetch(`/api/search?q=${encodeURIComponent(query)}&type=products`);
-  if (!response.ok) {
-    throw new Error('Failed to search products');
-  }
-  return response.json();
+  return search({ q: query, type: 'products' }, REVALIDATE);
 };
 
 const Products = memo(() => {
@@ -73,14 +137,37 @@ const Products = memo(() => {
   const [category, setCategory] = useState('');
   const [minPrice, setMinPrice] = useState('');
   const [maxPrice, setMaxPrice] = useState('');
+  // Exclusive upper bound set by a price bucket (see selectPriceBucket)
+  const [priceBelow, setPriceBelow] = useState('');
   const [useVirtualization, setUseVirtualization] = useState(false);
+  const [infiniteScroll, setInfiniteScroll] = useState(false);
+
+  // Sort order lives in the URL so it survives reloads and can be shared
+  const [searchParams, setSearchParams] = useSearchParams();
+  const sortParam = searchParams.get('sort');
+  const sort = SORT_OPTIONS.some((option) => option.value === sortParam) ? sortParam : DEFAULT_SORT;
+
+  const handleSortChange = useCallback((e) => {
+    const value = e.target.value;
+    setSearchParams((params) => {
+      const next = new URLSearchParams(params);
+      if (value === DEFAULT_SORT) {
+        next.delete('sort');
+      } else {
+        next.set('sort', value);
+      }
+      return next;
+    }, { replace: true });
+    setPage(1);
+  }, [setSearchParams]);
 
   // Memoized filters
   const filters = useMemo(() => ({
     ...(category && { category }),
     ...(minPrice && { minPrice }),
-    ...(maxPrice && { maxPrice })
-  }), [category, minPrice, maxPrice]);
+    ...(maxPrice && { maxPrice }),
+    ...(priceBelow && { priceBelow })
+  }), [category, minPrice, maxPrice, priceBelow]);
 
   // Debounced search
   const debouncedSearch = useMemo(
@@ -102,20 +189,66 @@ const Products = memo(() => {
   }, [debouncedSearch]);
 
   // Fetch products with React Query
-  const { 
-    data: productsData, 
-    isLoading, 
-    error,
-    isFetching 
-  } = useQuery(
-    ['products', page, limit, filters],
+  const pagedQuery = useQuery(
+    ['products', page, limit, filters, sort],
     fetchProducts,
+    {
+      enabled: !infiniteScroll,
+      keepPreviousData: true,
+      staleTime: 5 * 60 * 1000, // 5 minutes
+    }
+  );
+
+  // Infinite scroll consumes the cursor API page by page
+  const infiniteQuery = useInfiniteQuery(
+    ['products-infinite', limit, filters, sort],
+    fetchProductsPage,
+    {
+      enabled: infiniteScroll,
+      getNextPageParam: (lastPage) => lastPage.pagination?.nextCursor || undefined,
+      staleTime: 5 * 60 * 1000, // 5 minutes
+    }
+  );
+
+  const { data: productsData, isLoading, error, isFetching } = infiniteScroll ? infiniteQuery : pagedQuery;
+  const { hasNextPage, isFetchingNextPage, fetchNextPage } = infiniteQuery;
+
+  const loadMore = useCallback(() => {
+    if (infiniteScroll && hasNextPage && !isFetchingNextPage) {
+      fetchNextPage();
+    }
+  }, [infiniteScroll, hasNextPage, isFetchingNextPage, fetchNextPage]);
+
+  // Load the next page when the sentinel below the grid scrolls into view
+  const { ref: loadMoreRef, inView } = useInView({ rootMargin: '200px' });
+  React.useEffect(() => {
+    if (inView) loadMore();
+  }, [inView, loadMore]);
+
+  // Facets for the filter bar
+  const { data: facets } = useQuery(
+    ['product-facets', filters],
+    fetchProductFacets,
     {
       keepPreviousData: true,
       staleTime: 5 * 60 * 1000, // 5 minutes
     }
   );
 
+  // Apply a price histogram bucket as the price filter. Bucket bounds are
+  // [min, max) except for the last bucket, so its results match its count.
+  const selectPriceBucket = useCallback((bucket) => {
+    setMinPrice(String(bucket.min));
+    setMaxPrice(bucket.maxExclusive ? '' : String(bucket.max));
+    setPriceBelow(bucket.maxExclusive ? String(bucket.max) : '');
+    setPage(1);
+  }, []);
+
+  const changeMaxPrice = useCallback((e) => {
+    setMaxPrice(e.target.value);
+    setPriceBelow('');
+  }, []);
+
   // Search products
   const { data: searchResults } = useQuery(
     ['search', searchQuery],
@@ -131,14 +264,22 @@ const Products = memo(() => {
     if (searchQuery && searchResults) {
       return searchResults.results || [];
     }
+    if (infiniteScroll) {
+      return productsData?.pages.flatMap((data) => data.products) || [];
+    }
     return productsData?.products || [];
-  }, [searchQuery, searchResults, productsData]);
+  }, [searchQuery, searchResults, infiniteScroll, productsData]);
 
   // Memoized pagination info
   const pagination = useMemo(() => {
-    if (searchQuery) return null;
+    if (searchQuery || infiniteScroll) return null;
     return productsData?.pagination;
-  }, [searchQuery, productsData]);
+  }, [searchQuery, infiniteScroll, productsData]);
+
+  // Load more once the virtualized list nears its last rendered item
+  const handleItemsRendered = useCallback(({ visibleStopIndex }) => {
+    if (!searchQuery && visibleStopIndex >= products.length - 5) loadMore();
+  }, [searchQuery, products.length, loadMore]);
 
   // Handle page change
   const handlePageChange = useCallback((newPage) => {
@@ -151,6 +292,7 @@ const Products = memo(() => {
     setCategory('');
     setMinPrice('');
     setMaxPrice('');
+    setPriceBelow('');
     setPage(1);
   }, []);
 
@@ -188,10 +330,11 @@ const Products = memo(() => {
             <label>Category:</label>
             <select value={category} onChange={(e) => setCategory(e.target.value)}>
               <option value="">All Categories</option>
-              <option value="electronics">Electronics</option>
-              <option value="clothing">Clothing</option>
-              <option value="books">Books</option>
-              <option value="home">Home & Garden</option>
+              {facets?.categories.map(({ value, count }) => (
+                <option key={value} value={value}>
+                  {formatCategory(value)} ({count})
+                </option>
+              ))}
             </select>
           </div>
 
@@ -210,11 +353,39 @@ const Products = memo(() => {
             <input
               type="number"
               value={maxPrice}
-              onChange={(e) => setMaxPrice(e.target.value)}
-              placeholder="1000"
+              onChange={changeMaxPrice}
+              placeholder={priceBelow ? `under ${priceBelow}` : '1000'}
             />
           </div>
 
+          {facets?.price.buckets.length > 0 && (
+            <div className="form-group">
+              <label>Price Range:</label>
+              <div className="price-buckets">
+                {facets.price.buckets.map((bucket) => (
+                  <button
+                    key={`${bucket.min}-${bucket.max}`}
+                    onClick={() => selectPriceBucket(bucket)}
+                    className="btn btn-secondary"
+                  >
+                    {bucket.maxExclusive
+                      ? `$${bucket.min} to under $${bucket.max}`
+                      : `$${bucket.min}–$${bucket.max}`} ({bucket.count})
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <div className="form-group">
+            <label>Sort by:</label>
+            <select value={sort} onChange={handleSortChange}>
+              {SORT_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+
           <button onClick={clearFilters} className="btn btn-secondary">
             Clear Filters
           </button>
@@ -227,6 +398,15 @@ const Products = memo(() => {
             />
             Use Virtualization (for large lists)
           </label>
+
+          <label>
+            <input
+              type="checkbox"
+              checked={infiniteScroll}
+              onChange={(e) => setInfiniteScroll(e.target.checked)}
+            />
+            Infinite scroll
+          </label>
         </div>
 
         {/* Loading indicator */}
@@ -237,7 +417,9 @@ const Products = memo(() => {
         {products.length > 0 && (
           <>
             <h2>
-              {searchQuery ? `Search Results (${products.length})` : `Products (${pagination?.total || products.length})`}
+              {searchQuery
+                ? `Search Results (${products.length})`
+                : `Products (${pagination?.total || products.length}${infiniteScroll && hasNextPage ? '+' : ''})`}
             </h2>
             
             {useVirtualization && products.length > 50 ? (
@@ -247,6 +429,7 @@ const Products = memo(() => {
                   itemCount={products.length}
                   itemSize={200}
                   itemData={products}
+                  onItemsRendered={handleItemsRendered}
                 >
                   {VirtualizedProductItem}
                 </List>
@@ -261,6 +444,14 @@ const Products = memo(() => {
           </>
         )}
 
+        {/* Infinite scroll sentinel */}
+        {infiniteScroll && !searchQuery && (
+          <div ref={loadMoreRef} className="load-more">
+            {isFetchingNextPage && <div className="loading-spinner"><div className="spinner"></div></div>}
+            {!hasNextPage && products.length > 0 && <p>You've reached the end.</p>}
+          </div>
+        )}
+
         {/* Pagination */}
         {pagination && pagination.pages > 1 && (
           <div className="pagination">
@@ -1,8 +1,12 @@
 import React, { useState, useMemo, useCallback, memo } from 'react';
-import { useQuery } from 'react-query';
+import { useQuery, useInfiniteQuery } from 'react-query';
+import { useSearchParams } from 'react-router-dom';
+import { useInView } from 'react-intersection-observer';
 import { Helmet } from 'react-helmet-async';
 import { FixedSizeList as List } from 'react-window';
 import { debounce } from 'lodash';
+import Highlight from './Highlight';
+import { listUsers, search } from '../api/client';
 
 // Optimized User Card component
 const UserCard = memo(({ user }) => (
@@ -19,7 +23,7 @@ const UserCard = memo(({ user }) => (
         />
       )}
       <div className="user-details">
-        <h3>{user.name}</h3>
+        <h3>{user.highlights?.name ? <Highlight match={user.highlights.name} /> : user.name}</h3>
         <p>{user.email}</p>
         <small>Joined: {new Date(user.createdAt).toLocaleDateString()}</small>
       </div>
@@ -41,29 +45,35 @@ const VirtualizedUserItem = memo(({ index, style, data }) => {
 
 VirtualizedUserItem.displayName = 'VirtualizedUserItem';
 
+// Sort options supported by /api/users
+const SORT_OPTIONS = [
+  { value: '-createdAt', label: 'Newest' },
+  { value: 'createdAt', label: 'Oldest' },
+  { value: 'name', label: 'Name: A to Z' },
+  { value: '-name', label: 'Name: Z to A' }
+];
+const DEFAULT_SORT = SORT_OPTIONS[0].value;
+
 // API functions
-const fetchUsers = async ({ queryKey }) => {
-  const [, page, limit] = queryKey;
-  const params = new URLSearchParams({
-    page: page.toString(),
-    limit: limit.toString()
-  });
-  
-  const response = await fetch(`/api/users?${params}`);
-  if (!response.ok) {
-    throw new Error('Failed to fetch users');
-  }
-  return response.json();
+// Always revalidate with the server: responses carry max-age for plain
+// browser loads, but a refetch must not be answered from the HTTP cache
+// (the server replies 304 when nothing changed)
+const REVALIDATE = { cache: 'no-cache' };
+
+const fetchUsers = ({ queryKey }) => {
+  const [, page, limit, sort] = queryKey;
+  return listUsers({ page, limit, sort }, REVALIDATE);
+};
+
+// Cursor-mode page for infinite scrolling; the first page sends an empty cursor
+const fetchUsersPage = ({ queryKey, pageParam = '' }) => {
+  const [, limit, sort] = queryKey;
+  return listUsers({ cursor: pageParam, limit, sort }, REVALIDATE);
 };
 
 const searchUsers = async (query) => {
   if (!query || query.length < 2) return { results: [] };
-  
-  const response = await fetch(`/api/search?q=${encodeURIComponent(query)}&type=users`);
-  if (!response.ok) {
-    throw new Error('Failed to search users');
-  }
-  return response.json();
+  return search({ q: query, type: 'users' }, REVALIDATE);
 };
 
 const Users = memo(() => {
@@ -71,6 +81,26 @@ const Users = memo(() => {
   const [limit] = useState(20);
   const [searchQuery, setSearchQuery] = useState('');
   const [useVirtualization, setUseVirtualization] = useState(false);
+  const [infiniteScroll, setInfiniteScroll] = useState(false);
+
+  // Sort order lives in the URL so it survives reloads and can be shared
+  const [searchParams, setSearchParams] = useSearchParams();
+  const sortParam = searchParams.get('sort');
+  const sort = SORT_OPTIONS.some((option) => option.value === sortParam) ? sortParam : DEFAULT_SORT;
+
+  const handleSortChange = useCallback((e) => {
+    const value = e.target.value;
+    setSearchParams((params) => {
+      const next = new URLSearchParams(params);
+      if (value === DEFAULT_SORT) {
+        next.delete('sort');
+      } else {
+        next.set('sort', value);
+      }
+      return next;
+    }, { replace: true });
+    setPage(1);
+  }, [setSearchParams]);
 
   // Debounced search
   const debouncedSearch = useMemo(
@@ -92,20 +122,42 @@ const Users = memo(() => {
   }, [debouncedSearch]);
 
   // Fetch users with React Query
-  const { 
-    data: usersData, 
-    isLoading, 
-    error,
-    isFetching 
-  } = useQuery(
-    ['users', page, limit],
+  const pagedQuery = useQuery(
+    ['users', page, limit, sort],
     fetchUsers,
     {
+      enabled: !infiniteScroll,
       keepPreviousData: true,
       staleTime: 5 * 60 * 1000, // 5 minutes
     }
   );
 
+  // Infinite scroll consumes the cursor API page by page
+  const infiniteQuery = useInfiniteQuery(
+    ['users-infinite', limit, sort],
+    fetchUsersPage,
+    {
+      enabled: infiniteScroll,
+      getNextPageParam: (lastPage) => lastPage.pagination?.nextCursor || undefined,
+      staleTime: 5 * 60 * 1000, // 5 minutes
+    }
+  );
+
+  const { data: usersData, isLoading, error, isFetching } = infiniteScroll ? infiniteQuery : pagedQuery;
+  const { hasNextPage, isFetchingNextPage, fetchNextPage } = infiniteQuery;
+
+  const loadMore = useCallback(() => {
+    if (infiniteScroll && hasNextPage && !isFetchingNextPage) {
+      fetchNextPage();
+    }
+  }, [infiniteScroll, hasNextPage, isFetchingNextPage, fetchNextPage]);
+
+  // Load the next page when the sentinel below the grid scrolls into view
+  const { ref: loadMoreRef, inView } = useInView({ rootMargin: '200px' });
+  React.useEffect(() => {
+    if (inView) loadMore();
+  }, [inView, loadMore]);
+
   // Search users
   const { data: searchResults } = useQuery(
     ['search-users', searchQuery],
@@ -121,14 +173,22 @@ const Users = memo(() => {
     if (searchQuery && searchResults) {
       return searchResults.results || [];
     }
+    if (infiniteScroll) {
+      return usersData?.pages.flatMap((data) => data.users) || [];
+    }
     return usersData?.users || [];
-  }, [searchQuery, searchResults, usersData]);
+  }, [searchQuery, searchResults, infiniteScroll, usersData]);
 
   // Memoized pagination info
   const pagination = useMemo(() => {
-    if (searchQuery) return null;
+    if (searchQuery || infiniteScroll) return null;
     return usersData?.pagination;
-  }, [searchQuery, usersData]);
+  }, [searchQuery, infiniteScroll, usersData]);
+
+  // Load more once the virtualized list nears its last rendered item
+  const handleItemsRendered = useCallback(({ visibleStopIndex }) => {
+    if (!searchQuery && visibleStopIndex >= users.length - 5) loadMore();
+  }, [searchQuery, users.length, loadMore]);
 
   // Handle page change
   const handlePageChange = useCallback((newPage) => {
@@ -166,6 +226,15 @@ const Users = memo(() => {
         </div>
 
         <div className="controls">
+          <div className="form-group">
+            <label>Sort by:</label>
+            <select value={sort} onChange={handleSortChange}>
+              {SORT_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+
           <label>
             <input
               type="checkbox"
@@ -174,6 +243,15 @@ const Users = memo(() => {
             />
             Use Virtualization (for large lists)
           </label>
+
+          <label>
+            <input
+              type="checkbox"
+              checked={infiniteScroll}
+              onChange={(e) => setInfiniteScroll(e.target.checked)}
+            />
+            Infinite scroll
+          </label>
         </div>
 
         {/* Loading indicator */}
@@ -184,7 +262,9 @@ const Users = memo(() => {
         {users.length > 0 && (
           <>
             <h2>
-              {searchQuery ? `Search Results (${users.length})` : `Users (${pagination?.total || users.length})`}
+              {searchQuery
+                ? `Search Results (${users.length})`
+                : `Users (${pagination?.total || users.length}${infiniteScroll && hasNextPage ? '+' : ''})`}
             </h2>
             
             {useVirtualization && users.length > 50 ? (
@@ -194,6 +274,7 @@ const Users = memo(() => {
                   itemCount={users.length}
                   itemSize={120}
                   itemData={users}
+                  onItemsRendered={handleItemsRendered}
                 >
                   {VirtualizedUserItem}
                 </List>
@@ -208,6 +289,14 @@ const Users = memo(() => {
           </>
         )}
 
+        {/* Infinite scroll sentinel */}
+        {infiniteScroll && !searchQuery && (
+          <div ref={loadMoreRef} className="load-more">
+            {isFetchingNextPage && <div className="loading-spinner"><div className="spinner"></div></div>}
+            {!hasNextPage && users.length > 0 && <p>You've reached the end.</p>}
+          </div>
+        )}
+
         {/* Pagination */}
         {pagination && pagination.pages > 1 && (
           <div className="pagination">
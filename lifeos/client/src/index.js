@@ -5,23 +5,51 @@ import App from './App';
 
 // Performance monitoring
 if (process.env.NODE_ENV === 'production') {
-  // Report web vitals
+  // Web vitals are queued and sent to /api/metrics in batches with sendBeacon,
+  // which still delivers while the page is being hidden or unloaded
+  const queue = [];
+
+  const flushMetrics = () => {
+    if (queue.length === 0) return;
+    const body = JSON.stringify(queue.splice(0, queue.length));
+    if (!(navigator.sendBeacon && navigator.sendBeacon('/api/metrics', body))) {
+      fetch('/api/metrics', {
+        method: 'POST',
+        headers: { 'Content-Type': 'text/plain' },
+        body,
+        keepalive: true
+      }).catch(() => {});
+    }
+  };
+
   const reportWebVitals = (onPerfEntry) => {
     if (onPerfEntry && onPerfEntry instanceof Function) {
-      import('web-vitals').then(({ getCLS, getFID, getFCP, getLCP, getTTFB }) => {
-        getCLS(onPerfEntry);
-        getFID(onPerfEntry);
-        getFCP(onPerfEntry);
-        getLCP(onPerfEntry);
-        getTTFB(onPerfEntry);
+      import('web-vitals').then(({ onCLS, onFID, onFCP, onINP, onLCP, onTTFB }) => {
+        onCLS(onPerfEntry);
+        onFID(onPerfEntry);
+        onFCP(onPerfEntry);
+        onINP(onPerfEntry);
+        onLCP(onPerfEntry);
+        onTTFB(onPerfEntry);
       });
     }
   };
 
   reportWebVitals((metric) => {
-    console.log('Web Vital:', metric);
-    // Send to analytics service
+    queue.push({
+      name: metric.name,
+      value: metric.value,
+      rating: metric.rating,
+      navigationType: metric.navigationType,
+      url: window.location.pathname,
+      timestamp: Date.now()
+    });
+  });
+
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') flushMetrics();
   });
+  window.addEventListener('pagehide', flushMetrics);
 }
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
@@ -0,0 +1,165 @@
+#!/usr/bin/env node
+
+// Database migrations and index reconciliation (see server/migrator.js).
+//
+//   npm run migrate -- status             applied and pending migrations, index differences
+//   npm run migrate -- up [--to NAME]     apply pending migrations, then reconcile indexes
+//   npm run migrate -- down [--steps N]   roll back the last N migrations (default 1)
+//   npm run migrate -- indexes            create missing indexes and drop stale ones
+//   npm run migrate -- create NAME        add server/migrations/NNNN-NAME.js
+//   npm run migrate -- unlock             clear the lock left by a crashed run
+//
+// `up` and `indexes` accept --dry-run to print what would change. Connects to
+// MONGODB_URI like the server does.
+
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const { compileModels } = require('../server/models');
+const { createMigrator, loadMigrations, MigrationError, MIGRATIONS_DIR } = require('../server/migrator');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/performance-demo';
+
+const USAGE = `Usage: npm run migrate -- <command> [options]
+
+Commands:
+  status              applied and pending migrations, index differences
+  up [--to NAME]      apply pending migrations, then reconcile indexes
+  down [--steps N]    roll back the last N migrations (default 1)
+  indexes             create missing indexes and drop stale ones
+  create NAME         add a migration file to server/migrations
+  unlock              clear the lock left by a crashed run
+
+Options:
+  --dry-run           with up or indexes: print what would change`;
+
+const TEMPLATE = `// TODO: what this migration changes and why
+module.exports = {
+  description: '',
+
+  up: async ({ db, logger }) => {
+  },
+
+  // Leave out down() if the change cannot be undone
+  down: async ({ db, logger }) => {
+  }
+};
+`;
+
+const parseArgs = (argv) => {
+  const [command, ...rest] = argv;
+  const options = { command, args: [] };
+  for (let i = 0; i < rest.length; i += 1) {
+    if (rest[i] === '--dry-run') options.dryRun = true;
+    else if (rest[i] === '--to') options.to = rest[(i += 1)];
+    else if (rest[i] === '--steps') options.steps = Number(rest[(i += 1)]);
+    else options.args.push(rest[i]);
+  }
+  return options;
+};
+
+// Progress lines for a terminal rather than JSON
+const formatFields = (fields = {}) => Object.entries(fields)
+  .map(([key, value]) => `${key}=${Array.isArray(value) ? value.join(',') : value}`)
+  .join(' ');
+const consoleLogger = {
+  debug: () => {},
+  info: (msg, fields) => console.log(`  ${msg} ${formatFields(fields)}`.trimEnd()),
+  warn: (msg, fields) => console.warn(`  warning: ${msg} ${formatFields(fields)}`.trimEnd()),
+  error: (msg, fields) => console.error(`  error: ${msg} ${fields instanceof Error ? fields.message : formatFields(fields)}`)
+};
+
+const printIndexes = (indexes) => {
+  let clean = true;
+  for (const [model, { created, dropped, stale }] of Object.entries(indexes)) {
+    for (const name of created) console.log(`  ${model}: create ${name}`);
+    for (const name of dropped) console.log(`  ${model}: drop ${name}`);
+    for (const name of stale) console.log(`  ${model}: stale ${name}`);
+    clean = clean && created.length + dropped.length + stale.length === 0;
+  }
+  if (clean) console.log('  Indexes match the schemas');
+};
+
+const createMigrationFile = (name) => {
+  const slug = String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  if (!slug) throw new MigrationError('Usage: npm run migrate -- create NAME');
+  const last = loadMigrations().pop();
+  const number = String(last ? Number(last.name.slice(0, 4)) + 1 : 1).padStart(4, '0');
+  const file = path.join(MIGRATIONS_DIR, `${number}-${slug}.js`);
+  fs.writeFileSync(file, TEMPLATE, { flag: 'wx' });
+  console.log(`Created ${path.relative(process.cwd(), file)}`);
+};
+
+const run = async (migrator, options) => {
+  switch (options.command) {
+    case 'status': {
+      const { applied, pending, unknown } = await migrator.status();
+      console.log('Migrations:');
+      for (const record of applied) console.log(`  applied  ${record._id} (${record.appliedAt.toISOString()})`);
+      for (const migration of pending) console.log(`  pending  ${migration.name}${migration.description ? ` - ${migration.description}` : ''}`);
+      for (const record of unknown) console.log(`  unknown  ${record._id} (not in server/migrations)`);
+      if (applied.length + pending.length + unknown.length === 0) console.log('  none');
+      console.log('Indexes:');
+      printIndexes(await migrator.reconcileIndexes({ dryRun: true }));
+      return;
+    }
+    case 'up': {
+      if (options.dryRun) {
+        const { pending, unknown } = await migrator.status();
+        if (unknown.length > 0) console.log(`Unknown applied migrations: ${unknown.map((record) => record._id).join(', ')}`);
+        console.log(pending.length > 0 ? `Would apply: ${pending.map((migration) => migration.name).join(', ')}` : 'No pending migrations');
+        printIndexes(await migrator.reconcileIndexes({ dryRun: true }));
+        return;
+      }
+      const { applied, indexes } = await migrator.up({ to: options.to });
+      console.log(applied.length > 0 ? `Applied ${applied.length} migration(s)` : 'No pending migrations');
+      printIndexes(indexes);
+      return;
+    }
+    case 'down': {
+      const steps = options.steps === undefined ? 1 : options.steps;
+      if (!Number.isInteger(steps) || steps < 1) throw new MigrationError('--steps must be a positive integer');
+      const reverted = await migrator.down({ steps });
+      console.log(reverted.length > 0 ? `Reverted ${reverted.join(', ')}` : 'Nothing to roll back');
+      return;
+    }
+    case 'indexes':
+      printIndexes(await migrator.reconcileIndexes({ dryRun: options.dryRun }));
+      return;
+    case 'unlock':
+      console.log(await migrator.unlock() ? 'Lock cleared' : 'No lock was held');
+      return;
+    default:
+      console.log(USAGE);
+      process.exitCode = options.command && options.command !== 'help' ? 1 : 0;
+  }
+};
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.command === 'create') {
+    createMigrationFile(options.args[0]);
+    return;
+  }
+  if (!['status', 'up', 'down', 'indexes', 'unlock'].includes(options.command)) {
+    await run(null, options);
+    return;
+  }
+
+  // Indexes are created here, never implicitly when models compile
+  mongoose.set('autoIndex', false);
+  await mongoose.connect(MONGODB_URI, { serverSelectionTimeoutMS: 5000 });
+  try {
+    const migrator = createMigrator(mongoose.connection, { models: compileModels(), logger: consoleLogger });
+    await run(migrator, options);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main().catch((error) => {
+  // Expected failures (bad arguments, lock held, database unreachable) need no stack trace
+  const expected = error instanceof MigrationError || error instanceof mongoose.Error;
+  console.error(expected ? error.message : error);
+  process.exit(1);
+});
@@ -0,0 +1,429 @@
+#!/usr/bin/env node
+
+// Deterministic seed data for load and UI testing.
+//
+//   npm run seed                                   # 100 users, 250 products
+//   npm run seed -- --users 2000 --products 10000 --seed demo
+//   npm run seed -- --products 500 --no-images     # skip image generation
+//   npm run seed -- --password secret123           # let seeded users sign in
+//   npm run seed -- --dry-run                      # print a sample, touch nothing
+//   npm run seed -- --clear --seed demo            # remove what a seed created
+//   npm run seed -- --if-empty                     # only seed a fresh database
+//
+// Every record is derived from (seed, kind, index) alone: the same seed always
+// produces the same users and products with the same ids, so re-running is an
+// upsert rather than a duplicate, and raising --products only adds the new
+// tail. Lowering a count removes the records (and image files) a previous run
+// of that seed created past the new count. Counts per seed are kept in the
+// `seed_runs` collection.
+//
+// Product images are rendered locally (an SVG placeholder per product run
+// through the same variant pipeline as uploads) and stored in IMAGE_STORE;
+// avatars are inline SVG data URIs. Seeded emails use the reserved
+// seed.lifeos.test domain, so they never collide with real accounts.
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+const sharp = require('sharp');
+const { compileModels } = require('../server/models');
+const { processProductImage, removeProductImage } = require('../server/images');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/performance-demo';
+const DEFAULTS = { users: 100, products: 250, seed: 'lifeos' };
+const MAX_RECORDS = 100000;
+const BATCH_SIZE = 100;
+const RUNS_COLLECTION = 'seed_runs';
+const EMAIL_DOMAIN = 'seed.lifeos.test';
+// createdAt values are spread over the year before this date, so they do not
+// depend on when the seed runs
+const CREATED_BEFORE = Date.UTC(2025, 0, 1);
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+const IMAGE_SIZE = { width: 640, height: 480 };
+// Same cost as server/auth.js
+const BCRYPT_ROUNDS = 10;
+
+const USAGE = `Usage: npm run seed -- [options]
+
+Options:
+  --users N        users to generate (default ${DEFAULTS.users})
+  --products N     products to generate (default ${DEFAULTS.products})
+  --seed NAME      seed for the generator (default ${DEFAULTS.seed})
+  --no-images      do not render product images (existing ones are kept)
+  --password PW    password for every seeded user (default: new users cannot
+                   sign in; existing ones keep their password)
+  --clear          remove everything this seed created, then exit
+  --if-empty       do nothing if there are users or products already
+  --dry-run        print a sample and the price distribution; no database needed`;
+
+// Categories, how common they are and their price distribution: log-normal
+// around `median` with `spread` as sigma, so most prices sit near the median
+// with a long tail of expensive items
+const CATEGORIES = {
+  electronics: {
+    weight: 20,
+    median: 180,
+    spread: 0.9,
+    hue: 210,
+    adjectives: ['Wireless', 'Compact', 'Smart', 'Portable', 'Noise-Cancelling', 'Ultra-Slim', '4K', 'Fast-Charging'],
+    nouns: ['Headphones', 'Laptop', 'Monitor', 'Keyboard', 'Speaker', 'Camera', 'Smartwatch', 'Tablet', 'Router', 'Earbuds'],
+    features: ['long battery life', 'USB-C charging', 'low-latency Bluetooth', 'a high-resolution display', 'an aluminium body']
+  },
+  books: {
+    weight: 18,
+    median: 22,
+    spread: 0.5,
+    hue: 35,
+    adjectives: ['Practical', 'Illustrated', 'Complete', 'Modern', 'Essential', 'Pocket', 'Annotated', 'Beginner\'s'],
+    nouns: ['Guide to JavaScript', 'Cookbook', 'History of Computing', 'Field Guide', 'Atlas', 'Poetry Collection', 'Mystery Novel', 'Design Handbook'],
+    features: ['worked examples', 'full-colour illustrations', 'a detailed index', 'exercises in every chapter', 'a foreword by the editor']
+  },
+  home: {
+    weight: 15,
+    median: 60,
+    spread: 0.8,
+    hue: 150,
+    adjectives: ['Ergonomic', 'Minimalist', 'Stackable', 'Handmade', 'Oak', 'Ceramic', 'Adjustable', 'Foldable'],
+    nouns: ['Chair', 'Desk Lamp', 'Bookshelf', 'Coffee Mug', 'Throw Blanket', 'Side Table', 'Wall Clock', 'Storage Box'],
+    features: ['easy assembly', 'a scratch-resistant finish', 'sustainably sourced materials', 'a two-year warranty', 'a space-saving design']
+  },
+  clothing: {
+    weight: 15,
+    median: 40,
+    spread: 0.6,
+    hue: 330,
+    adjectives: ['Organic Cotton', 'Waterproof', 'Slim-Fit', 'Merino', 'Lightweight', 'Classic', 'Recycled', 'Quilted'],
+    nouns: ['T-Shirt', 'Rain Jacket', 'Hoodie', 'Chinos', 'Sweater', 'Sneakers', 'Beanie', 'Parka'],
+    features: ['breathable fabric', 'reinforced seams', 'a relaxed fit', 'machine-washable material', 'hidden pockets']
+  },
+  sports: {
+    weight: 10,
+    median: 55,
+    spread: 0.8,
+    hue: 20,
+    adjectives: ['Pro', 'Training', 'Trail', 'Carbon', 'Indoor', 'Competition', 'Grip', 'All-Weather'],
+    nouns: ['Yoga Mat', 'Running Shoes', 'Dumbbell Set', 'Bike Helmet', 'Tennis Racket', 'Water Bottle', 'Backpack', 'Jump Rope'],
+    features: ['non-slip grip', 'impact protection', 'a lightweight frame', 'adjustable straps', 'sweat-resistant materials']
+  },
+  toys: {
+    weight: 8,
+    median: 25,
+    spread: 0.7,
+    hue: 280,
+    adjectives: ['Wooden', 'Magnetic', 'Remote-Control', 'Educational', 'Glow-in-the-Dark', 'Giant', 'Plush', 'Build-Your-Own'],
+    nouns: ['Puzzle', 'Robot Kit', 'Race Car', 'Building Blocks', 'Teddy Bear', 'Board Game', 'Train Set', 'Kite'],
+    features: ['child-safe paint', 'over 100 pieces', 'rechargeable batteries', 'a storage bag', 'hours of screen-free play']
+  },
+  beauty: {
+    weight: 8,
+    median: 18,
+    spread: 0.6,
+    hue: 350,
+    adjectives: ['Hydrating', 'Fragrance-Free', 'Vegan', 'Travel-Size', 'Botanical', 'Overnight', 'Gentle', 'Mineral'],
+    nouns: ['Face Cream', 'Shampoo', 'Lip Balm', 'Sunscreen', 'Hand Soap', 'Serum', 'Body Lotion', 'Face Mask'],
+    features: ['dermatologist-tested formulas', 'recyclable packaging', 'natural oils', 'no parabens', 'a light, non-greasy feel']
+  },
+  garden: {
+    weight: 6,
+    median: 35,
+    spread: 0.9,
+    hue: 100,
+    adjectives: ['Galvanized', 'Self-Watering', 'Solar', 'Raised', 'Heavy-Duty', 'Telescopic', 'Frost-Proof', 'Cedar'],
+    nouns: ['Planter', 'Hose Reel', 'Garden Light', 'Pruning Shears', 'Bird Feeder', 'Compost Bin', 'Watering Can', 'Seed Tray'],
+    features: ['rust-resistant steel', 'UV-stable plastic', 'drainage holes', 'a comfortable grip', 'tool-free setup']
+  }
+};
+
+const FIRST_NAMES = ['Ada', 'Alan', 'Amara', 'Ben', 'Carmen', 'Chen', 'Dana', 'Diego', 'Elif', 'Emma', 'Farid', 'Grace',
+  'Hana', 'Ivan', 'Jonas', 'Kavya', 'Lars', 'Leila', 'Mateo', 'Mei', 'Nia', 'Noah', 'Olga', 'Omar', 'Priya', 'Quinn',
+  'Rosa', 'Sam', 'Sofia', 'Tariq', 'Uma', 'Victor', 'Wen', 'Yara', 'Yusuf', 'Zoe'];
+const LAST_NAMES = ['Anders', 'Becker', 'Costa', 'Dubois', 'Eriksen', 'Fischer', 'Garcia', 'Haddad', 'Ito', 'Jansen',
+  'Kowalski', 'Lopez', 'Moreau', 'Nakamura', 'Okafor', 'Petrov', 'Quispe', 'Rossi', 'Silva', 'Tanaka', 'Usman', 'Varga',
+  'Weber', 'Xu', 'Yilmaz', 'Zhang'];
+
+// mulberry32 seeded from a hash of `parts`: tiny, fast and plenty for test data
+const createRandom = (...parts) => {
+  let state = crypto.createHash('sha256').update(parts.join(':')).digest().readUInt32LE(0);
+  const next = () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  return {
+    next,
+    int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+    pick: (list) => list[Math.floor(next() * list.length)],
+    // Standard normal via Box-Muller
+    normal: () => Math.sqrt(-2 * Math.log(1 - next())) * Math.cos(2 * Math.PI * next())
+  };
+};
+
+const seededId = (...parts) => new mongoose.Types.ObjectId(
+  crypto.createHash('sha256').update(parts.join(':')).digest('hex').slice(0, 24)
+);
+
+class UsageError extends Error {}
+
+const escapeXml = (text) => text.replace(/[<>&'"]/g, (c) => `&#${c.charCodeAt(0)};`);
+
+const pickCategory = (random) => {
+  const entries = Object.entries(CATEGORIES);
+  let roll = random.next() * entries.reduce((sum, [, category]) => sum + category.weight, 0);
+  for (const [name, category] of entries) {
+    roll -= category.weight;
+    if (roll < 0) return [name, category];
+  }
+  return entries[entries.length - 1];
+};
+
+// Shop-style prices: 179.99 rather than 180.37
+const priceFor = (random, { median, spread }) => {
+  const raw = median * Math.exp(spread * random.normal());
+  return Math.max(1, Math.round(raw)) - 0.01;
+};
+
+const createdAtFor = (random) => new Date(CREATED_BEFORE - Math.floor(random.next() * YEAR_MS));
+
+const avatarFor = (initials, hue) => {
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="120" height="120" viewBox="0 0 120 120">`
+    + `<circle cx="60" cy="60" r="60" fill="hsl(${hue}, 55%, 45%)"/>`
+    + `<text x="60" y="60" dy="0.35em" text-anchor="middle" font-family="sans-serif" font-size="44" fill="#fff">${initials}</text>`
+    + '</svg>';
+  return `data:image/svg+xml;base64,${Buffer.from(svg).toString('base64')}`;
+};
+
+const generateUser = (seed, index) => {
+  const random = createRandom(seed, 'user', index);
+  const first = random.pick(FIRST_NAMES);
+  const last = random.pick(LAST_NAMES);
+  return {
+    _id: seededId(seed, 'user', index),
+    name: `${first} ${last}`,
+    email: `${first}.${last}.${index}@${EMAIL_DOMAIN}`.toLowerCase(),
+    avatar: avatarFor(`${first[0]}${last[0]}`, random.int(0, 359)),
+    role: 'user',
+    createdAt: createdAtFor(random)
+  };
+};
+
+const generateProduct = (seed, index) => {
+  const random = createRandom(seed, 'product', index);
+  const [category, spec] = pickCategory(random);
+  const model = random.next() < 0.3 ? ` ${String.fromCharCode(65 + random.int(0, 25))}${random.int(1, 9)}00` : '';
+  const name = `${random.pick(spec.adjectives)} ${random.pick(spec.nouns)}${model}`;
+  const [feature, other] = [random.pick(spec.features), random.pick(spec.features)];
+  const description = feature === other
+    ? `${name} with ${feature}.`
+    : `${name} with ${feature} and ${other}. A dependable pick in ${category}.`;
+
+  return {
+    _id: seededId(seed, 'product', index),
+    imageId: seededId(seed, 'image', index),
+    name,
+    description,
+    price: priceFor(random, spec),
+    category,
+    createdAt: createdAtFor(random),
+    // Drawing inputs for the placeholder image
+    art: {
+      hue: (spec.hue + random.int(-20, 20) + 360) % 360,
+      shapes: Array.from({ length: random.int(3, 6) }, () => ({
+        x: random.int(0, IMAGE_SIZE.width),
+        y: random.int(0, IMAGE_SIZE.height),
+        r: random.int(30, 160),
+        opacity: (random.int(10, 35) / 100).toFixed(2)
+      }))
+    }
+  };
+};
+
+const renderProductImage = ({ name, category, art }) => {
+  const { width, height } = IMAGE_SIZE;
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+  <defs>
+    <linearGradient id="bg" x1="0" y1="0" x2="1" y2="1">
+      <stop offset="0" stop-color="hsl(${art.hue}, 60%, 55%)"/>
+      <stop offset="1" stop-color="hsl(${(art.hue + 40) % 360}, 60%, 35%)"/>
+    </linearGradient>
+  </defs>
+  <rect width="100%" height="100%" fill="url(#bg)"/>
+  ${art.shapes.map(({ x, y, r, opacity }) => `<circle cx="${x}" cy="${y}" r="${r}" fill="#fff" fill-opacity="${opacity}"/>`).join('')}
+  <text x="50%" y="48%" text-anchor="middle" font-family="sans-serif" font-size="${Math.min(34, Math.floor(1100 / name.length))}" font-weight="bold" fill="#fff">${escapeXml(name)}</text>
+  <text x="50%" y="60%" text-anchor="middle" font-family="sans-serif" font-size="22" fill="#fff" fill-opacity="0.8">${escapeXml(category)}</text>
+</svg>`;
+  return sharp(Buffer.from(svg)).png().toBuffer();
+};
+
+const parseArgs = (argv) => {
+  const options = { ...DEFAULTS, images: true };
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === '--users' || arg === '--products') {
+      const count = Number(argv[(i += 1)]);
+      if (!Number.isInteger(count) || count < 0 || count > MAX_RECORDS) {
+        throw new UsageError(`${arg} must be an integer between 0 and ${MAX_RECORDS}`);
+      }
+      options[arg.slice(2)] = count;
+    } else if (arg === '--seed') {
+      options.seed = argv[(i += 1)];
+      if (!options.seed) throw new UsageError('--seed needs a value');
+    } else if (arg === '--password') {
+      options.password = argv[(i += 1)];
+      if (!options.password || options.password.length < 8) throw new UsageError('--password must be at least 8 characters');
+    } else if (arg === '--no-images') options.images = false;
+    else if (arg === '--clear') options.clear = true;
+    else if (arg === '--if-empty') options.ifEmpty = true;
+    else if (arg === '--dry-run') options.dryRun = true;
+    else if (arg === '--help' || arg === '-h') options.help = true;
+    else throw new UsageError(`Unknown option ${arg}\n\n${USAGE}`);
+  }
+  return options;
+};
+
+const range = (from, to) => Array.from({ length: Math.max(to - from, 0) }, (_, i) => from + i);
+
+const batches = (indexes) => range(0, Math.ceil(indexes.length / BATCH_SIZE))
+  .map((i) => indexes.slice(i * BATCH_SIZE, (i + 1) * BATCH_SIZE));
+
+const percentile = (sorted, p) => sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+
+const dryRun = ({ seed, users, products }) => {
+  const sampleUsers = range(0, Math.min(users, 3)).map((i) => generateUser(seed, i));
+  const sampleProducts = range(0, products).map((i) => generateProduct(seed, i));
+  console.log(`Seed "${seed}": ${users} users, ${products} products\n`);
+  for (const user of sampleUsers) console.log(`  user     ${user._id}  ${user.name} <${user.email}>`);
+  for (const product of sampleProducts.slice(0, 5)) {
+    console.log(`  product  ${product._id}  ${product.name} (${product.category}, ${product.price})`);
+  }
+
+  console.log('\n  category        count     min     p50     p90     max');
+  for (const category of Object.keys(CATEGORIES)) {
+    const prices = sampleProducts.filter((p) => p.category === category).map((p) => p.price).sort((a, b) => a - b);
+    if (prices.length === 0) continue;
+    console.log(`  ${category.padEnd(14)} ${String(prices.length).padStart(6)} ${[prices[0], percentile(prices, 0.5), percentile(prices, 0.9), prices[prices.length - 1]]
+      .map((price) => price.toFixed(2).padStart(7)).join(' ')}`);
+  }
+};
+
+// Delete seeded products (and their stored image files) and users by index
+const removeRecords = async ({ User, Product }, seed, { users = [], products = [] }) => {
+  for (const batch of batches(products)) {
+    const ids = batch.map((i) => seededId(seed, 'product', i));
+    const existing = await Product.find({ _id: { $in: ids } }, { images: 1 }).setOptions({ withDeleted: true }).lean();
+    await Promise.all(existing.flatMap((product) => product.images.map(removeProductImage)));
+    await Product.deleteMany({ _id: { $in: ids } });
+  }
+  for (const batch of batches(users)) {
+    await User.deleteMany({ _id: { $in: batch.map((i) => seededId(seed, 'user', i)) } });
+  }
+};
+
+// Existing users keep their role (e.g. promoted with set-role) and their
+// password unless --password sets a new one. Soft-deleted ones are restored.
+const seedUsers = async (User, { seed, users, password }) => {
+  const passwordHash = password ? await bcrypt.hash(password, BCRYPT_ROUNDS) : undefined;
+  for (const batch of batches(range(0, users))) {
+    await User.bulkWrite(batch.map((i) => {
+      const { _id, role, ...user } = generateUser(seed, i);
+      const update = { $set: { ...user, deletedAt: null }, $setOnInsert: { role } };
+      if (passwordHash) update.$set.passwordHash = passwordHash;
+      return { updateOne: { filter: { _id }, update, upsert: true } };
+    }), { ordered: false });
+    console.log(`  users ${batch[batch.length - 1] + 1}/${users}`);
+  }
+};
+
+const seedProducts = async (Product, { seed, products, images }) => {
+  let rendered = 0;
+  for (const batch of batches(range(0, products))) {
+    const docs = batch.map((i) => generateProduct(seed, i));
+    // Reuse images from earlier runs instead of rendering them again. Seeded
+    // products that were soft-deleted are replaced, which undeletes them.
+    const existing = new Map((await Product.find({ _id: { $in: docs.map((doc) => doc._id) } }, { images: 1 })
+      .setOptions({ withDeleted: true })
+      .lean())
+      .map((product) => [String(product._id), product.images]));
+
+    const ops = await Promise.all(docs.map(async ({ imageId, art, ...product }) => {
+      const previous = (existing.get(String(product._id)) || []).find((image) => String(image._id) === String(imageId));
+      let productImages = previous ? [previous] : [];
+      if (!previous && images) {
+        const png = await renderProductImage({ ...product, art });
+        productImages = [await processProductImage(product._id, png, { alt: product.name, imageId })];
+        rendered += 1;
+      }
+      return { replaceOne: { filter: { _id: product._id }, replacement: { ...product, images: productImages }, upsert: true } };
+    }));
+
+    await Product.bulkWrite(ops, { ordered: false });
+    console.log(`  products ${batch[batch.length - 1] + 1}/${products}`);
+  }
+  return rendered;
+};
+
+const main = async () => {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+  if (options.dryRun) {
+    dryRun(options);
+    return;
+  }
+
+  mongoose.set('autoIndex', false);
+  await mongoose.connect(MONGODB_URI, { serverSelectionTimeoutMS: 5000 });
+  try {
+    const models = compileModels();
+    const runs = mongoose.connection.db.collection(RUNS_COLLECTION);
+    const previous = (await runs.findOne({ _id: options.seed })) || { users: 0, products: 0 };
+
+    if (options.clear) {
+      await removeRecords(models, options.seed, {
+        users: range(0, previous.users),
+        products: range(0, previous.products)
+      });
+      await runs.deleteOne({ _id: options.seed });
+      console.log(`Removed ${previous.users} users and ${previous.products} products seeded with "${options.seed}"`);
+      return;
+    }
+
+    // docker-compose.yml seeds on every start, which should only fill a new database
+    if (options.ifEmpty) {
+      const { db } = mongoose.connection;
+      const existing = await db.collection('users').estimatedDocumentCount() + await db.collection('products').estimatedDocumentCount();
+      if (existing > 0) {
+        console.log('The database already has users or products; not seeding');
+        return;
+      }
+    }
+
+    console.log(`Seeding "${options.seed}": ${options.users} users, ${options.products} products`);
+    await seedUsers(models.User, options);
+    const rendered = await seedProducts(models.Product, options);
+
+    // A smaller run than last time: drop the tail the earlier run created
+    await removeRecords(models, options.seed, {
+      users: range(options.users, previous.users),
+      products: range(options.products, previous.products)
+    });
+    await runs.updateOne(
+      { _id: options.seed },
+      { $set: { users: options.users, products: options.products, updatedAt: new Date() } },
+      { upsert: true }
+    );
+
+    console.log(`Done: rendered ${rendered} new product image(s).`);
+    console.log('Cached API responses may be stale until they expire; POST /api/admin/cache/flush {"tags":["users","products"]} clears them now.');
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main().catch((error) => {
+  console.error(error instanceof UsageError || error instanceof mongoose.Error ? error.message : error);
+  process.exit(1);
+});
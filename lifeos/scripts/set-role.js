@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+
+// Change the role of an existing account, e.g. to make the first admin:
+//
+//   npm run set-role -- ada@example.com admin
+//   npm run set-role -- ada@example.com user
+//
+// Registration always creates plain users, since the API cannot prove who
+// owns an email address; promotion needs shell access instead. The change is
+// recorded in the audit log without an actor. Connects to MONGODB_URI like
+// the server does.
+
+const mongoose = require('mongoose');
+const { compileModels } = require('../server/models');
+
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/performance-demo';
+const ROLES = ['user', 'admin'];
+
+class UsageError extends Error {}
+
+const main = async () => {
+  const [email, role] = process.argv.slice(2);
+  if (!email || !ROLES.includes(role)) {
+    throw new UsageError(`Usage: npm run set-role -- <email> <${ROLES.join('|')}>`);
+  }
+
+  mongoose.set('autoIndex', false);
+  await mongoose.connect(MONGODB_URI, { serverSelectionTimeoutMS: 5000 });
+  try {
+    const { User, AuditEntry } = compileModels();
+    const user = await User.findOne({ email: email.trim().toLowerCase() });
+    if (!user) throw new UsageError(`No account with email ${email}`);
+
+    if (user.role === role) {
+      console.log(`${user.email} is already ${role}`);
+      return;
+    }
+
+    const before = user.role;
+    user.role = role;
+    await user.save();
+    await AuditEntry.create({
+      entity: 'users',
+      documentId: user._id,
+      action: 'update',
+      changes: [{ field: 'role', before, after: role }]
+    });
+    console.log(`${user.email}: ${before} -> ${role}`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main().catch((error) => {
+  const expected = error instanceof UsageError || error instanceof mongoose.Error;
+  console.error(expected ? error.message : error);
+  process.exit(1);
+});
@@ -0,0 +1,242 @@
+// Server-rendered API reference for /api/docs.
+//
+// Everything is rendered from the OpenAPI document, so the page can never
+// drift from /api/openapi.json. The CSP (helmet) only allows same-origin
+// scripts, so the "Try it" forms are driven by docs-ui/try-it.js.
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+
+const METHOD_ORDER = ['get', 'post', 'put', 'patch', 'delete'];
+
+const refLabel = (ref) => ref
+  .replace('#/components/schemas/', '')
+  .replace(/\/properties\//g, '.')
+  .replace(/\/items$/, '[]');
+
+const resolve = (schema, spec) => {
+  if (!schema || !schema.$ref) return schema;
+  return schema.$ref
+    .replace('#/', '')
+    .split('/')
+    .reduce((node, key) => (node ? node[key] : undefined), spec);
+};
+
+const typeLabel = (schema) => {
+  if (!schema) return '';
+  if (schema.$ref) return refLabel(schema.$ref);
+  if (schema.oneOf) return schema.oneOf.map(typeLabel).join(' | ');
+  if (schema.enum) return schema.enum.map((value) => JSON.stringify(value)).join(' | ');
+  if (schema.type === 'array') return `${typeLabel(schema.items)}[]`;
+  const type = schema.format ? `${schema.type} (${schema.format})` : schema.type || 'any';
+  return schema.nullable ? `${type} | null` : type;
+};
+
+const constraints = (schema = {}) => {
+  const notes = [];
+  if (schema.minimum !== undefined && schema.maximum !== undefined) notes.push(`${schema.minimum}–${schema.maximum}`);
+  else if (schema.minimum !== undefined) notes.push(`≥ ${schema.minimum}`);
+  else if (schema.maximum !== undefined) notes.push(`≤ ${schema.maximum}`);
+  if (schema.minLength) notes.push(`min length ${schema.minLength}`);
+  if (schema.maxLength) notes.push(`max length ${schema.maxLength}`);
+  if (schema.minItems) notes.push(`min ${schema.minItems} items`);
+  if (schema.maxItems) notes.push(`max ${schema.maxItems} items`);
+  if (schema.pattern) notes.push(`pattern <code>${escapeHtml(schema.pattern)}</code>`);
+  if (schema.default !== undefined) notes.push(`default <code>${escapeHtml(JSON.stringify(schema.default))}</code>`);
+  if (schema.readOnly) notes.push('read-only');
+  if (schema.description) notes.push(escapeHtml(schema.description));
+  return notes.join('; ');
+};
+
+const fieldRows = (rows) => (rows.length === 0 ? '' : `
+  <table>
+    <tr><th>Name</th><th>In</th><th>Type</th><th>Notes</th></tr>
+    ${rows.map(({ name, location, required, schema }) => `
+    <tr>
+      <td><code>${escapeHtml(name)}</code>${required ? ' <span class="required">required</span>' : ''}</td>
+      <td>${location}</td>
+      <td><code>${escapeHtml(typeLabel(schema))}</code></td>
+      <td>${constraints(schema)}</td>
+    </tr>`).join('')}
+  </table>`);
+
+const propertyRows = (schema, location) => Object.entries(schema.properties || {}).map(([name, property]) => ({
+  name,
+  location,
+  required: (schema.required || []).includes(name),
+  schema: property
+}));
+
+// A JSON body to start editing from: defaults where known, empty values otherwise
+const exampleBody = (schema, spec) => {
+  const resolved = resolve(schema, spec) || {};
+  const example = {};
+  for (const [name, property] of Object.entries(resolved.properties || {})) {
+    if (property.readOnly || name === 'createdAt') continue;
+    const field = resolve(property, spec) || {};
+    if (field.default !== undefined) example[name] = field.default;
+    else if (field.type === 'array') example[name] = [];
+    else if (field.type === 'number' || field.type === 'integer') example[name] = 0;
+    else if (field.type === 'boolean') example[name] = false;
+    else if (field.type === 'string') example[name] = '';
+  }
+  return JSON.stringify(example, null, 2);
+};
+
+const tryItForm = (method, path, operation, spec) => {
+  const inputs = (operation.parameters || []).map((param) => `
+    <label>${escapeHtml(param.name)} <small>${param.in}</small>
+      <input name="${escapeHtml(param.name)}" data-in="${param.in}"${param.required ? ' required' : ''}
+        placeholder="${escapeHtml(param.schema.default !== undefined ? param.schema.default : typeLabel(param.schema))}">
+    </label>`);
+
+  let kind = '';
+  const content = operation.requestBody ? operation.requestBody.content : {};
+  if (content['multipart/form-data']) {
+    kind = 'multipart';
+    const form = content['multipart/form-data'].schema;
+    for (const [name, property] of Object.entries(form.properties || {})) {
+      const file = property.format === 'binary' || (property.items && property.items.format === 'binary');
+      inputs.push(`
+    <label>${escapeHtml(name)} <small>form</small>
+      ${file
+        ? `<input type="file" name="${escapeHtml(name)}" data-in="form"${property.type === 'array' ? ' multiple' : ''}>`
+        : `<input name="${escapeHtml(name)}" data-in="form" placeholder="${escapeHtml(property.default !== undefined ? property.default : typeLabel(property))}">`}
+    </label>`);
+    }
+  } else if (content['application/json']) {
+    kind = 'json';
+    inputs.push(`
+    <label class="wide">body <small>application/json</small>
+      <textarea name="body" data-in="body" rows="6">${escapeHtml(exampleBody(content['application/json'].schema, spec))}</textarea>
+    </label>`);
+  }
+
+  return `
+  <form class="try" data-method="${method}" data-path="${escapeHtml(path)}" data-body="${kind}">
+    ${inputs.join('')}
+    <div class="actions"><button type="submit">Send</button></div>
+    <div class="result" hidden></div>
+  </form>`;
+};
+
+const operationSection = (method, path, operation, spec) => {
+  const parameters = (operation.parameters || []).map((param) => ({
+    name: param.name,
+    location: param.in,
+    required: param.required,
+    schema: param.schema
+  }));
+
+  let body = '';
+  if (operation.requestBody) {
+    const [type, { schema }] = Object.entries(operation.requestBody.content)[0];
+    const resolved = resolve(schema, spec);
+    body = `
+    <h4>Request body <small>${type}</small></h4>
+    ${schema.$ref || !resolved.properties
+    ? `<p><code>${escapeHtml(typeLabel(schema))}</code></p>`
+    : fieldRows(propertyRows(resolved, type === 'multipart/form-data' ? 'form' : 'body'))}`;
+  }
+
+  const responses = Object.entries(operation.responses).map(([status, response]) => {
+    const content = response.content ? Object.entries(response.content)[0] : null;
+    return `
+      <tr>
+        <td><code>${status}</code></td>
+        <td>${escapeHtml(response.description)}</td>
+        <td>${content ? `<code>${escapeHtml(content[0] === 'application/json' ? typeLabel(content[1].schema) : content[0])}</code>` : ''}</td>
+      </tr>`;
+  }).join('');
+
+  return `
+  <details class="operation" id="${escapeHtml(operation.operationId || `${method}-${path}`)}">
+    <summary>
+      <span class="method ${method}">${method.toUpperCase()}</span>
+      <code>${escapeHtml(path)}</code>
+      ${operation.security ? '<span class="lock" title="Requires an access token">🔒</span>' : ''}
+      <span class="summary">${escapeHtml(operation.summary || '')}</span>
+    </summary>
+    ${operation.description ? `<p>${escapeHtml(operation.description)}</p>` : ''}
+    ${parameters.length ? `<h4>Parameters</h4>${fieldRows(parameters)}` : ''}
+    ${body}
+    <h4>Responses</h4>
+    <table><tr><th>Status</th><th>Description</th><th>Body</th></tr>${responses}</table>
+    <h4>Try it</h4>
+    ${tryItForm(method, path, operation, spec)}
+  </details>`;
+};
+
+const schemaSection = (name, schema) => `
+  <details class="schema" id="schema-${escapeHtml(name)}">
+    <summary><code>${escapeHtml(name)}</code></summary>
+    ${schema.properties ? fieldRows(propertyRows(schema, 'property')) : `<p><code>${escapeHtml(typeLabel(schema))}</code></p>`}
+  </details>`;
+
+const STYLE = `
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 0; color: #222; }
+  header, main { max-width: 960px; margin: 0 auto; padding: 1rem; }
+  header { border-bottom: 1px solid #ddd; }
+  nav a { margin-right: 0.75rem; }
+  table { border-collapse: collapse; width: 100%; margin: 0.5rem 0; font-size: 0.9rem; }
+  th, td { text-align: left; padding: 0.3rem 0.5rem; border-bottom: 1px solid #eee; vertical-align: top; }
+  details { border: 1px solid #ddd; border-radius: 6px; margin: 0.5rem 0; padding: 0.5rem 0.75rem; }
+  summary { cursor: pointer; }
+  .method { display: inline-block; min-width: 4.5rem; text-align: center; border-radius: 4px; color: #fff; font-weight: 600; font-size: 0.8rem; padding: 0.1rem 0; }
+  .get { background: #1f7ae0; } .post { background: #2e9d4f; } .put { background: #c27c0e; }
+  .patch { background: #8a5cc2; } .delete { background: #c73636; }
+  .summary { color: #555; margin-left: 0.5rem; }
+  .required { color: #c73636; font-size: 0.75rem; }
+  form.try { display: grid; grid-template-columns: repeat(auto-fill, minmax(200px, 1fr)); gap: 0.5rem; }
+  form.try label { display: flex; flex-direction: column; font-size: 0.85rem; }
+  form.try .wide, form.try .actions, form.try .result { grid-column: 1 / -1; }
+  form.try textarea { font-family: monospace; }
+  .result pre { background: #f6f8fa; padding: 0.5rem; overflow: auto; max-height: 400px; }
+  .result img { max-width: 100%; }
+`;
+
+const renderDocsPage = (spec, { specPath, scriptPath }) => {
+  const operations = [];
+  for (const [path, methods] of Object.entries(spec.paths)) {
+    for (const method of METHOD_ORDER) {
+      if (methods[method]) operations.push({ path, method, operation: methods[method] });
+    }
+  }
+
+  const tags = [...new Set(operations.map(({ operation }) => operation.tags[0]))];
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(spec.info.title)} reference</title>
+  <style>${STYLE}</style>
+</head>
+<body>
+  <header>
+    <h1>${escapeHtml(spec.info.title)} <small>v${escapeHtml(spec.info.version)}</small></h1>
+    <p>${escapeHtml(spec.info.description || '')} Machine-readable: <a href="${specPath}">${specPath}</a>.</p>
+    <label>Access token for 🔒 operations
+      <input id="token" type="password" autocomplete="off" placeholder="Paste an accessToken from /api/auth/login">
+    </label>
+    <nav>${tags.map((tag) => `<a href="#tag-${escapeHtml(tag)}">${escapeHtml(tag)}</a>`).join('')}<a href="#schemas">Schemas</a></nav>
+  </header>
+  <main>
+    ${tags.map((tag) => `
+    <section id="tag-${escapeHtml(tag)}">
+      <h2>${escapeHtml(tag)}</h2>
+      ${operations
+    .filter(({ operation }) => operation.tags[0] === tag)
+    .map(({ path, method, operation }) => operationSection(method, path, operation, spec))
+    .join('')}
+    </section>`).join('')}
+    <section id="schemas">
+      <h2>Schemas</h2>
+      ${Object.entries(spec.components.schemas).map(([name, schema]) => schemaSection(name, schema)).join('')}
+    </section>
+  </main>
+  <script src="${scriptPath}"></script>
+</body>
+</html>`;
+};
+
+module.exports = { renderDocsPage };
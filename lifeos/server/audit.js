@@ -0,0 +1,235 @@
+const express = require('express');
+const { ApiError, sendError } = require('./errors');
+const { logger } = require('./logger');
+const { validate, int, string, oneOf, objectId, date } = require('./validation');
+const { sortStage, decodeCursor, afterCursor, cursorPage } = require('./pagination');
+const { operation, trackRoutes, ref, json } = require('./openapi');
+
+// Audit trail and restore for users and products.
+//
+// Every create, update, delete and restore made through the API adds an entry
+// to the `audit_log` collection: who made it, what it was, when, and the
+// before and after value of each tracked field that changed. Deletes are soft
+// (see softDelete in models.js), so a deleted record can be brought back as it
+// was, or rolled back to how it looked right after any earlier entry.
+//
+// An older version is rebuilt from the current record by undoing every newer
+// entry, so a change made outside the API (a migration, scripts/seed.js) is
+// kept unless a later entry overwrote the same field.
+const AUDIT_SORT = { field: 'timestamp', direction: -1 };
+const ACTIONS = ['create', 'update', 'delete', 'restore'];
+const MAX_PAGE_SIZE = 100;
+
+// Compare by JSON form, so ObjectIds, dates and subdocuments read at
+// different times are equal when their values are
+const sameValue = (a, b) => JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+
+// `entities` maps collection names to { model, fields, prepareRestore }:
+// `fields` are the tracked (client-writable) fields, and the optional
+// `prepareRestore(values)` adjusts an older version before it is saved.
+const createAuditTrail = (AuditEntry, entities) => {
+  const entityNames = Object.keys(entities);
+  const tracked = (entity) => [...entities[entity].fields, 'deletedAt'];
+
+  // Plain copy of the tracked fields of `doc`
+  const snapshot = (entity, doc) => {
+    const values = doc.toObject({ depopulate: true });
+    return Object.fromEntries(tracked(entity).map((field) => [field, values[field] === undefined ? null : values[field]]));
+  };
+
+  // Record a change to `doc` made while handling `req`. `before` is the
+  // snapshot taken before the change (null for a create) and `actor` the user
+  // making it, by default the signed-in one. The change is already saved by
+  // now, so a failed insert is logged with the whole entry instead of failing
+  // the request.
+  const record = async (req, entity, action, before, doc, actor = req.user) => {
+    const after = snapshot(entity, doc);
+    const changes = tracked(entity)
+      .filter((field) => !sameValue(before ? before[field] : null, after[field]))
+      .map((field) => ({ field, before: before ? before[field] : null, after: after[field] }));
+    if (action === 'update' && changes.length === 0) return;
+
+    const entry = {
+      entity,
+      documentId: doc._id,
+      action,
+      actor: actor ? { id: actor.id, role: actor.role } : undefined,
+      changes,
+      requestId: req.id
+    };
+    try {
+      await AuditEntry.create(entry);
+    } catch (err) {
+      logger.error('Recording audit entry failed', { entry, error: err });
+    }
+  };
+
+  // snapshot() and record() bound to one entity, for crudRouter and friends
+  const track = (entity) => ({
+    snapshot: (doc) => snapshot(entity, doc),
+    record: (req, action, before, doc, actor) => record(req, entity, action, before, doc, actor)
+  });
+
+  const pageQuery = {
+    limit: int({ min: 1, max: MAX_PAGE_SIZE, clamp: true, default: 50 }),
+    // Empty or absent for the first page
+    cursor: string({ allowEmpty: true, maxLength: 512 })
+  };
+
+  // One page of entries matching `filter`, newest first
+  const listEntries = async (filter, { limit, cursor }) => {
+    const position = cursor ? decodeCursor(cursor, AUDIT_SORT, AuditEntry.schema) : null;
+    if (cursor && !position) {
+      throw new ApiError(400, 'Invalid cursor', {
+        code: 'VALIDATION_ERROR',
+        details: [{ location: 'query', field: 'cursor', message: 'cursor is invalid or was issued for another sort order' }]
+      });
+    }
+
+    const entries = await AuditEntry.find(position ? { $and: [filter, afterCursor(position)] } : filter)
+      .sort(sortStage(AUDIT_SORT))
+      .limit(limit + 1)
+      .lean();
+
+    const { items, pagination } = cursorPage(entries, limit, AUDIT_SORT);
+    return { entries: items, pagination };
+  };
+
+  const auditQuery = {
+    ...pageQuery,
+    entity: oneOf(entityNames),
+    documentId: objectId(),
+    actor: objectId(),
+    action: oneOf(ACTIONS),
+    from: date(),
+    to: date()
+  };
+
+  const recordParams = {
+    entity: oneOf(entityNames, { required: true }),
+    id: objectId({ required: true })
+  };
+
+  const restoreBody = {
+    version: objectId({ description: 'Audit entry id; restore the record as it was right after that change' })
+  };
+
+  // /api/admin/audit, /api/admin/:entity/:id/history and
+  // /api/admin/:entity/:id/restore. `authorize` runs before every route.
+  const auditRouter = ({ authorize = [] } = {}) => {
+    const router = trackRoutes(express.Router());
+
+    router.get('/audit', operation({
+      operationId: 'listAuditEntries',
+      tag: 'Admin',
+      summary: 'Audit log of changes to users and products, newest first',
+      responses: { 200: json(ref('AuditPage')) }
+    }), authorize, validate({ query: auditQuery }), async (req, res, next) => {
+      try {
+        const { entity, documentId, actor, action, from, to } = req.query;
+        const filter = {};
+        if (entity) filter.entity = entity;
+        if (documentId) filter.documentId = documentId;
+        if (actor) filter['actor.id'] = actor;
+        if (action) filter.action = action;
+        if (from || to) {
+          filter.timestamp = {};
+          if (from) filter.timestamp.$gte = from;
+          if (to) filter.timestamp.$lte = to;
+        }
+
+        res.json(await listEntries(filter, req.query));
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // The record as it is now (deleted or not) and its changes, newest first
+    router.get('/:entity/:id/history', operation({
+      operationId: 'getRecordHistory',
+      tag: 'Admin',
+      summary: 'A user or product, including a deleted one, with its changes newest first',
+      responses: { 200: json(ref('RecordHistory')) },
+      notFound: true
+    }), authorize, validate({ params: recordParams, query: pageQuery }), async (req, res, next) => {
+      try {
+        const { entity, id } = req.params;
+        const { model } = entities[entity];
+
+        const doc = await model.findById(id).setOptions({ withDeleted: true });
+        if (!doc) {
+          return sendError(res, 404, `${model.modelName} not found`);
+        }
+
+        res.json({ record: doc, ...await listEntries({ entity, documentId: doc._id }, req.query) });
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    // Without `version`, undelete a deleted record as it was. With `version`,
+    // set every tracked field back to its value right after that entry (and
+    // undelete the record if it is deleted).
+    router.post('/:entity/:id/restore', operation({
+      operationId: 'restoreRecord',
+      tag: 'Admin',
+      summary: 'Undelete a record, or roll it back to how it was right after the audit entry `version`',
+      responses: {
+        200: json({ oneOf: [ref('User'), ref('Product')] }),
+        409: json(ref('ErrorResponse'), 'The record is not deleted, or a restored unique field is taken')
+      },
+      notFound: true
+    }), authorize, validate({ params: recordParams, body: restoreBody }), async (req, res, next) => {
+      try {
+        const { entity, id } = req.params;
+        const { version } = req.body;
+        const { model, fields, prepareRestore } = entities[entity];
+
+        const doc = await model.findById(id).setOptions({ withDeleted: true });
+        if (!doc) {
+          return sendError(res, 404, `${model.modelName} not found`);
+        }
+        const before = snapshot(entity, doc);
+
+        if (version) {
+          const history = await AuditEntry.find({ entity, documentId: doc._id })
+            .sort(sortStage(AUDIT_SORT))
+            .lean();
+          const index = history.findIndex((entry) => entry._id.equals(version));
+          if (index === -1) {
+            return sendError(res, 404, 'Version not found');
+          }
+
+          // Undo the newer entries, newest first
+          const values = { ...before };
+          for (const entry of history.slice(0, index)) {
+            for (const change of entry.changes) {
+              if (fields.includes(change.field)) values[change.field] = change.before;
+            }
+          }
+
+          const restored = prepareRestore ? await prepareRestore(values) : values;
+          for (const field of fields) {
+            doc.set(field, restored[field]);
+          }
+        } else if (!doc.deletedAt) {
+          return sendError(res, 409, `${model.modelName} is not deleted`, { code: 'NOT_DELETED' });
+        }
+
+        doc.deletedAt = null;
+        await doc.save();
+        await record(req, entity, 'restore', before, doc);
+
+        res.json(doc);
+      } catch (error) {
+        next(error);
+      }
+    });
+
+    return router;
+  };
+
+  return { track, auditRouter };
+};
+
+module.exports = { createAuditTrail };
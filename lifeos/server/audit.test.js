@@ -0,0 +1,133 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { createAuditTrail } = require('./audit');
+const { compileModels } = require('./models');
+const { logger } = require('./logger');
+const { errorHandler } = require('./errors');
+
+// Models on a connection that is never opened; database calls are stubbed
+const { User, AuditEntry } = compileModels(mongoose.createConnection());
+
+const FIELDS = ['name', 'email', 'avatar', 'role'];
+const actor = { id: String(new mongoose.Types.ObjectId()), role: 'admin' };
+
+const buildApp = () => {
+  const { track, auditRouter } = createAuditTrail(AuditEntry, { users: { model: User, fields: FIELDS } });
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = actor;
+    next();
+  });
+  app.use('/api/admin', auditRouter());
+  app.use(errorHandler);
+  return { app, audit: track('users') };
+};
+
+// Stand-in for AuditEntry.find(): chained with sort().lean()
+const history = (entries) => ({ sort: () => ({ lean: async () => entries }) });
+
+describe('createAuditTrail', () => {
+  let app;
+  let audit;
+  let doc;
+
+  beforeEach(() => {
+    ({ app, audit } = buildApp());
+    doc = new User({ name: 'Ada', email: 'ada@example.com', role: 'user' });
+    jest.spyOn(AuditEntry, 'create').mockImplementation(async (entry) => entry);
+    jest.spyOn(User, 'findById').mockImplementation((id) => ({
+      setOptions: async () => (String(id) === String(doc._id) ? doc : null)
+    }));
+    jest.spyOn(User.prototype, 'save').mockImplementation(async function save() {
+      await this.validate();
+      return this;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('record', () => {
+    it('stores who changed which fields, with their before and after values', async () => {
+      const before = audit.snapshot(doc);
+      doc.name = 'Ada L.';
+
+      await audit.record({ user: actor, id: 'req-1' }, 'update', before, doc);
+
+      expect(AuditEntry.create).toHaveBeenCalledWith({
+        entity: 'users',
+        documentId: doc._id,
+        action: 'update',
+        actor,
+        changes: [{ field: 'name', before: 'Ada', after: 'Ada L.' }],
+        requestId: 'req-1'
+      });
+    });
+
+    it('skips updates that changed nothing', async () => {
+      await audit.record({ user: actor }, 'update', audit.snapshot(doc), doc);
+
+      expect(AuditEntry.create).not.toHaveBeenCalled();
+    });
+
+    it('logs a failed write instead of failing the change', async () => {
+      AuditEntry.create.mockRejectedValue(new Error('database down'));
+      jest.spyOn(logger, 'error').mockImplementation(() => {});
+
+      await expect(audit.record({ user: actor }, 'create', null, doc)).resolves.toBeUndefined();
+      expect(logger.error).toHaveBeenCalledWith('Recording audit entry failed', expect.objectContaining({ entry: expect.any(Object) }));
+    });
+  });
+
+  describe('POST /:entity/:id/restore', () => {
+    it('undeletes a deleted record and audits it', async () => {
+      doc.deletedAt = new Date();
+
+      const res = await request(app).post(`/api/admin/users/${doc._id}/restore`).send({});
+
+      expect(res.status).toBe(200);
+      expect(res.body.deletedAt).toBeNull();
+      expect(AuditEntry.create).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'restore',
+        changes: [expect.objectContaining({ field: 'deletedAt', after: null })]
+      }));
+    });
+
+    it('returns 409 for a record that is not deleted', async () => {
+      const res = await request(app).post(`/api/admin/users/${doc._id}/restore`).send({});
+
+      expect(res.status).toBe(409);
+      expect(res.body.error.code).toBe('NOT_DELETED');
+      expect(User.prototype.save).not.toHaveBeenCalled();
+    });
+
+    it('rolls the record back to how it was right after a version', async () => {
+      const [older, newer] = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+      doc.set({ name: 'Countess', role: 'admin' });
+      jest.spyOn(AuditEntry, 'find').mockReturnValue(history([
+        { _id: newer, changes: [{ field: 'role', before: 'user', after: 'admin' }] },
+        { _id: older, changes: [{ field: 'name', before: 'Ada', after: 'Countess' }] }
+      ]));
+
+      const res = await request(app).post(`/api/admin/users/${doc._id}/restore`).send({ version: String(older) });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ name: 'Countess', role: 'user' });
+    });
+
+    it('returns 404 for an unknown version or record', async () => {
+      jest.spyOn(AuditEntry, 'find').mockReturnValue(history([]));
+
+      const version = await request(app)
+        .post(`/api/admin/users/${doc._id}/restore`)
+        .send({ version: String(new mongoose.Types.ObjectId()) });
+      const record = await request(app).post(`/api/admin/users/${new mongoose.Types.ObjectId()}/restore`).send({});
+
+      expect(version.status).toBe(404);
+      expect(record.status).toBe(404);
+    });
+  });
+});
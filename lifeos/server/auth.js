@@ -0,0 +1,188 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { sendError } = require('./errors');
+const { validate, string } = require('./validation');
+const { operation, trackRoutes, ref, json } = require('./openapi');
+
+if (!process.env.JWT_SECRET && process.env.NODE_ENV === 'production') {
+  throw new Error('JWT_SECRET must be set in production');
+}
+
+const JWT_SECRET = process.env.JWT_SECRET || 'development-only-secret';
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL = process.env.REFRESH_TOKEN_TTL || '7d';
+const PASSWORD_MIN_LENGTH = 8;
+// bcrypt ignores everything after 72 bytes
+const PASSWORD_MAX_LENGTH = 72;
+const BCRYPT_ROUNDS = 10;
+
+const signTokens = (user) => {
+  const claims = { sub: String(user._id), role: user.role };
+  return {
+    accessToken: jwt.sign({ ...claims, type: 'access' }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL }),
+    refreshToken: jwt.sign({ ...claims, type: 'refresh' }, JWT_SECRET, { expiresIn: REFRESH_TOKEN_TTL })
+  };
+};
+
+// Returns the token payload, or null if the token is missing, invalid, expired or of the wrong type
+const verifyToken = (token, type) => {
+  if (!token) return null;
+  try {
+    const payload = jwt.verify(token, JWT_SECRET);
+    return payload.type === type ? payload : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+const bearerPayload = (req) => {
+  const [scheme, token] = (req.get('Authorization') || '').split(' ');
+  return scheme === 'Bearer' ? verifyToken(token, 'access') : null;
+};
+
+// Require a valid access token in the Authorization header. The token alone
+// is trusted until it expires (ACCESS_TOKEN_TTL), so a user who is deleted or
+// whose role changes keeps its claims until then; see currentAccount.
+const requireAuth = (req, res, next) => {
+  const payload = bearerPayload(req);
+  if (!payload) {
+    return sendError(res, 401, 'Authentication required');
+  }
+
+  req.user = { id: payload.sub, role: payload.role };
+  next();
+};
+// Lets openapi.js document which routes need an access token
+requireAuth.requiresToken = true;
+
+// Identify the caller when a valid access token is sent, for public routes
+// that treat signed-in users differently (e.g. rate limits)
+const optionalAuth = (req, res, next) => {
+  const payload = bearerPayload(req);
+  if (payload) req.user = { id: payload.sub, role: payload.role };
+  next();
+};
+
+// Require an authenticated user with one of the given roles
+const requireRole = (...roles) => {
+  const checkRole = (req, res, next) => {
+    if (!roles.includes(req.user.role)) {
+      return sendError(res, 403, 'Insufficient permissions');
+    }
+    next();
+  };
+  // Lets openapi.js document which roles a route needs
+  checkRole.roles = roles;
+  return [requireAuth, checkRole];
+};
+
+// Re-read the signed-in user after requireAuth / requireRole, for routes
+// that must not wait for the access token to expire: a deleted user, or one
+// whose role no longer matches the token, gets a 401 and has to refresh,
+// which signs tokens from the account as it is now.
+const currentAccount = (User) => async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select('role').lean();
+    if (!user || user.role !== req.user.role) {
+      return sendError(res, 401, 'Access token is out of date');
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Email format and uniqueness are checked by the User schema
+const registerBody = {
+  name: string({ required: true, trim: true, maxLength: 100 }),
+  email: string({ required: true, trim: true, maxLength: 254 }),
+  password: string({ required: true, minLength: PASSWORD_MIN_LENGTH, maxLength: PASSWORD_MAX_LENGTH })
+};
+
+const loginBody = {
+  email: string({ required: true, trim: true, lowercase: true, maxLength: 254 }),
+  password: string({ required: true, maxLength: PASSWORD_MAX_LENGTH })
+};
+
+const refreshBody = {
+  refreshToken: string({ required: true, maxLength: 2048 })
+};
+
+// /api/auth/register, /api/auth/login and /api/auth/refresh. `audit` (a
+// track() from audit.js) records registrations, made by the new user.
+// Soft-deleted users cannot sign in or refresh their tokens.
+const authRouter = (User, { audit }) => {
+  const router = trackRoutes(express.Router());
+
+  router.post('/register', operation({
+    operationId: 'register',
+    tag: 'Auth',
+    summary: 'Create an account and sign in',
+    responses: { 201: json(ref('AuthResponse'), 'Created') },
+    conflict: true
+  }), validate({ body: registerBody }), async (req, res, next) => {
+    try {
+      const { name, email, password } = req.body;
+
+      // Admins are promoted with scripts/set-role.js, never at registration
+      const user = new User({ name, email, role: 'user' });
+      user.passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+      await user.save();
+      await audit.record(req, 'create', null, user, user);
+
+      res.status(201).json({ user, ...signTokens(user) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.post('/login', operation({
+    operationId: 'login',
+    tag: 'Auth',
+    summary: 'Sign in with email and password',
+    responses: { 200: json(ref('AuthResponse')), 401: json(ref('ErrorResponse'), 'Invalid email or password') }
+  }), validate({ body: loginBody }), async (req, res, next) => {
+    try {
+      const { email, password } = req.body;
+
+      const user = await User.findOne({ email }).select('+passwordHash');
+      const valid = user && user.passwordHash && await bcrypt.compare(password, user.passwordHash);
+      if (!valid) {
+        return sendError(res, 401, 'Invalid email or password');
+      }
+
+      res.json({ user, ...signTokens(user) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.post('/refresh', operation({
+    operationId: 'refreshTokens',
+    tag: 'Auth',
+    summary: 'Exchange a refresh token for a new token pair',
+    responses: { 200: json(ref('TokenPair')), 401: json(ref('ErrorResponse'), 'Invalid refresh token') }
+  }), validate({ body: refreshBody }), async (req, res, next) => {
+    try {
+      const payload = verifyToken(req.body.refreshToken, 'refresh');
+      if (!payload) {
+        return sendError(res, 401, 'Invalid refresh token');
+      }
+
+      // Re-read the user so deleted accounts and role changes take effect
+      const user = await User.findById(payload.sub);
+      if (!user) {
+        return sendError(res, 401, 'Invalid refresh token');
+      }
+
+      res.json(signTokens(user));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+};
+
+module.exports = { authRouter, requireAuth, optionalAuth, requireRole, currentAccount };
@@ -0,0 +1,152 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { authRouter, requireAuth, optionalAuth, requireRole, currentAccount } = require('./auth');
+const { compileModels } = require('./models');
+const { errorHandler } = require('./errors');
+
+// Models on a connection that is never opened; database calls are stubbed
+const { User } = compileModels(mongoose.createConnection());
+
+const SECRET = process.env.JWT_SECRET || 'development-only-secret';
+
+const tokenFor = (claims, options = { expiresIn: '5m' }) => jwt.sign({ type: 'access', ...claims }, SECRET, options);
+
+const buildApp = (audit) => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', authRouter(User, { audit }));
+  app.get('/private', requireAuth, (req, res) => res.json(req.user));
+  app.get('/public', optionalAuth, (req, res) => res.json({ user: req.user || null }));
+  app.get('/admin', requireRole('admin'), (req, res) => res.json({ ok: true }));
+  app.get('/admin/live', requireRole('admin'), currentAccount(User), (req, res) => res.json({ ok: true }));
+  app.use(errorHandler);
+  return app;
+};
+
+describe('auth', () => {
+  let app;
+  let audit;
+
+  beforeEach(() => {
+    audit = { record: jest.fn(async () => {}) };
+    app = buildApp(audit);
+    jest.spyOn(User.prototype, 'save').mockImplementation(async function save() {
+      await this.validate();
+      return this;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('POST /register', () => {
+    it('creates a plain user whatever the body says', async () => {
+      const res = await request(app)
+        .post('/api/auth/register')
+        .send({ name: 'Mallory', email: 'Mallory@Example.com', password: 'correct horse', role: 'admin' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.user).toMatchObject({ email: 'mallory@example.com', role: 'user' });
+      expect(res.body.user.passwordHash).toBeUndefined();
+      expect(jwt.verify(res.body.accessToken, SECRET)).toMatchObject({ sub: res.body.user._id, role: 'user' });
+      expect(audit.record).toHaveBeenCalledWith(expect.anything(), 'create', null, expect.any(User), expect.any(User));
+    });
+
+    it('rejects short passwords', async () => {
+      const res = await request(app)
+        .post('/api/auth/register')
+        .send({ name: 'Ada', email: 'ada@example.com', password: 'short' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error.details[0].field).toBe('password');
+    });
+  });
+
+  describe('requireAuth', () => {
+    it('sets req.user from a valid access token', async () => {
+      const res = await request(app).get('/private').set('Authorization', `Bearer ${tokenFor({ sub: 'u1', role: 'user' })}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ id: 'u1', role: 'user' });
+    });
+
+    it('rejects missing, expired and refresh tokens', async () => {
+      const expired = tokenFor({ sub: 'u1', role: 'user' }, { expiresIn: -10 });
+      const refresh = tokenFor({ sub: 'u1', role: 'user', type: 'refresh' });
+
+      const statuses = await Promise.all([
+        request(app).get('/private'),
+        request(app).get('/private').set('Authorization', `Bearer ${expired}`),
+        request(app).get('/private').set('Authorization', `Bearer ${refresh}`)
+      ]).then((responses) => responses.map((res) => res.status));
+
+      expect(statuses).toEqual([401, 401, 401]);
+    });
+  });
+
+  describe('optionalAuth', () => {
+    it('lets anonymous callers through', async () => {
+      const res = await request(app).get('/public').set('Authorization', 'Bearer not-a-token');
+
+      expect(res.status).toBe(200);
+      expect(res.body.user).toBeNull();
+    });
+
+    it('identifies signed-in callers', async () => {
+      const res = await request(app).get('/public').set('Authorization', `Bearer ${tokenFor({ sub: 'u1', role: 'admin' })}`);
+
+      expect(res.body.user).toEqual({ id: 'u1', role: 'admin' });
+    });
+  });
+
+  describe('requireRole', () => {
+    it('returns 403 for other roles', async () => {
+      const res = await request(app).get('/admin').set('Authorization', `Bearer ${tokenFor({ sub: 'u1', role: 'user' })}`);
+
+      expect(res.status).toBe(403);
+    });
+
+    it('documents the roles it checks', () => {
+      expect(requireRole('admin')[1].roles).toEqual(['admin']);
+    });
+  });
+
+  describe('currentAccount', () => {
+    const id = String(new mongoose.Types.ObjectId());
+    const adminToken = `Bearer ${tokenFor({ sub: id, role: 'admin' })}`;
+
+    // Stand-in for findById().select().lean(); the soft delete hides deleted users
+    const stubAccount = (account) => jest.spyOn(User, 'findById').mockReturnValue({
+      select: () => ({ lean: async () => account })
+    });
+
+    it('lets the request through while the account matches the token', async () => {
+      stubAccount({ _id: id, role: 'admin' });
+
+      const res = await request(app).get('/admin/live').set('Authorization', adminToken);
+
+      expect(res.status).toBe(200);
+      expect(User.findById).toHaveBeenCalledWith(id);
+    });
+
+    it('returns 401 once the account is deleted', async () => {
+      stubAccount(null);
+
+      const res = await request(app).get('/admin/live').set('Authorization', adminToken);
+
+      expect(res.status).toBe(401);
+    });
+
+    it('returns 401 once the role in the token is out of date', async () => {
+      stubAccount({ _id: id, role: 'user' });
+
+      const res = await request(app).get('/admin/live').set('Authorization', adminToken);
+
+      expect(res.status).toBe(401);
+      expect(res.body.error.message).toBe('Access token is out of date');
+    });
+  });
+});
@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const { timed } = require('./timing');
+
+// Storage backends for the response cache (see cache.js).
+//
+// Both expose the same interface:
+//   available()            whether the backend can be used right now
+//   get(key)               stored value, or null
+//   set(key, value, ttl, tags)  store with a TTL in seconds under the given tags
+//   invalidateTag(tag)     delete every key stored under `tag` and bump its
+//                          generation; resolves to the keys
+//   generations(tags)      current generation of each tag, as numbers
+// Values are plain JSON-serializable objects. The Redis backend also provides
+// lock/unlock/isLocked so instances can coordinate who recomputes a key.
+
+const tagKey = (tag) => `cache:tag:${tag}`;
+const lockKey = (key) => `lock:${key}`;
+const generationKey = (tag) => `cache:gen:${tag}`;
+
+// Delete the lock only if this caller still owns it
+const UNLOCK_SCRIPT = "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) else return 0 end";
+
+// In-process LRU. Map iteration order is insertion order, so re-inserting on
+// every read keeps the least recently used entry first.
+const createMemoryBackend = ({ maxEntries = 500 } = {}) => {
+  const entries = new Map(); // key -> { value, expiresAt, tags }
+  const tagIndex = new Map(); // tag -> Set of keys
+  const generations = new Map(); // tag -> number of invalidations
+
+  const remove = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return;
+    entries.delete(key);
+    for (const tag of entry.tags) {
+      const keys = tagIndex.get(tag);
+      if (keys) {
+        keys.delete(key);
+        if (keys.size === 0) tagIndex.delete(tag);
+      }
+    }
+  };
+
+  return {
+    name: 'memory',
+    available: () => true,
+
+    get: async (key) => {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt <= Date.now()) {
+        remove(key);
+        return null;
+      }
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.value;
+    },
+
+    set: async (key, value, ttl, tags = []) => {
+      remove(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttl * 1000, tags });
+      for (const tag of tags) {
+        if (!tagIndex.has(tag)) tagIndex.set(tag, new Set());
+        tagIndex.get(tag).add(key);
+      }
+      while (entries.size > maxEntries) {
+        remove(entries.keys().next().value);
+      }
+    },
+
+    invalidateTag: async (tag) => {
+      generations.set(tag, (generations.get(tag) || 0) + 1);
+      const keys = [...(tagIndex.get(tag) || [])];
+      keys.forEach(remove);
+      return keys;
+    },
+
+    generations: async (tags) => tags.map((tag) => generations.get(tag) || 0)
+  };
+};
+
+// Redis, with one `cache:tag:<tag>` set per tag listing the keys stored under it
+const createRedisBackend = (redisClient) => ({
+  name: 'redis',
+  // isOpen stays true while the client is reconnecting, so check isReady instead
+  available: () => Boolean(redisClient && redisClient.isReady),
+
+  get: async (key) => {
+    const cached = await timed('redis', () => redisClient.get(key));
+    return cached ? JSON.parse(cached) : null;
+  },
+
+  set: async (key, value, ttl, tags = []) => {
+    const multi = redisClient.multi().setEx(key, ttl, JSON.stringify(value));
+    for (const tag of tags) {
+      // Keep each tag set alive at least as long as its longest-lived entry
+      multi
+        .sAdd(tagKey(tag), key)
+        .expire(tagKey(tag), ttl, 'NX')
+        .expire(tagKey(tag), ttl, 'GT');
+    }
+    await timed('redis', () => multi.exec());
+  },
+
+  invalidateTag: async (tag) => {
+    await redisClient.incr(generationKey(tag));
+    const keys = await redisClient.sMembers(tagKey(tag));
+    if (keys.length) await redisClient.del(keys);
+    await redisClient.del(tagKey(tag));
+    return keys;
+  },
+
+  generations: async (tags) => {
+    if (tags.length === 0) return [];
+    const values = await timed('redis', () => redisClient.mGet(tags.map(generationKey)));
+    return values.map((value) => Number(value) || 0);
+  },
+
+  // Resolves to a token for unlock(), or null if another holder has the lock.
+  // The TTL frees the lock if its holder dies mid-computation.
+  lock: async (key, ttlMs) => {
+    const token = crypto.randomUUID();
+    const acquired = await timed('redis', () => redisClient.set(lockKey(key), token, { NX: true, PX: ttlMs }));
+    return acquired ? token : null;
+  },
+
+  unlock: (key, token) => redisClient.eval(UNLOCK_SCRIPT, { keys: [lockKey(key)], arguments: [token] }),
+
+  isLocked: async (key) => (await timed('redis', () => redisClient.exists(lockKey(key)))) === 1
+});
+
+module.exports = { createMemoryBackend, createRedisBackend };
@@ -0,0 +1,310 @@
+const crypto = require('crypto');
+const { createMemoryBackend, createRedisBackend } = require('./cache-backends');
+const { logger } = require('./logger');
+
+// Two-tier response cache with tag-based invalidation and stale-while-revalidate.
+//
+// Lookups try the in-process LRU first, then Redis. While Redis is down the
+// LRU carries the whole load, so an outage does not fall through to MongoDB.
+// Every entry is registered under its tags (normally the collections the
+// route reads); invalidating a tag purges it from both tiers.
+//
+// Entries stay stored for `staleWhileRevalidate` seconds past their duration.
+// A request in that window gets the stale body immediately while the route
+// runs again in the background to refresh it.
+//
+// Every invalidation also bumps a generation counter per tag. A miss notes
+// the generations before the route runs and stores its body only if they are
+// unchanged when it responds, so a write that lands mid-computation is not
+// undone by a body read before it.
+//
+// Misses are coalesced: concurrent requests for the same key in one process
+// await a single computation, and a short Redis lock makes other instances
+// wait for that result too instead of stampeding the database.
+//
+// Responses carry `Cache-Control: max-age=<duration>` plus a weak ETag and
+// Last-Modified stored with the entry, so conditional requests are answered
+// with a 304 without touching the route or re-serializing the body.
+
+// With Redis up, other instances may write (and invalidate) at any time, so
+// local copies are kept only briefly
+const LOCAL_TTL_SECONDS = 10;
+// How long one computation may hold a key before others stop waiting for it
+const COMPUTE_TIMEOUT_MS = 10000;
+const POLL_INTERVAL_MS = 50;
+
+const weakEtag = (body) => `W/"${crypto.createHash('sha1').update(JSON.stringify(body)).digest('base64url')}"`;
+
+// Values written by older versions of this module are ignored
+const isEntry = (value) => Boolean(value && typeof value.freshUntil === 'number' && value.etag);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Resolve to `fallback` if `promise` has not settled within `ms`
+const within = (promise, ms, fallback) => {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((resolve) => { timer = setTimeout(() => resolve(fallback), ms); })
+  ]).finally(() => clearTimeout(timer));
+};
+
+const createCache = (redisClient, { maxEntries } = {}) => {
+  const local = createMemoryBackend({ maxEntries });
+  const shared = createRedisBackend(redisClient);
+  // Single-flight: key -> promise of the entry being computed in this process
+  // (null if the computation failed). Concurrent misses await it instead of
+  // running the route again.
+  const inflight = new Map();
+
+  const lookup = async (key) => {
+    const entry = await local.get(key);
+    if (entry || !shared.available()) return entry;
+
+    const remote = await shared.get(key);
+    if (!isEntry(remote)) return null;
+
+    const remaining = Math.floor((remote.expiresAt - Date.now()) / 1000);
+    if (remaining > 0) await local.set(key, remote, Math.min(remaining, LOCAL_TTL_SECONDS), remote.tags);
+    return remote;
+  };
+
+  const store = async (key, entry, ttl) => {
+    const useShared = shared.available();
+    await local.set(key, entry, useShared ? Math.min(ttl, LOCAL_TTL_SECONDS) : ttl, entry.tags);
+    if (useShared) await shared.set(key, entry, ttl, entry.tags);
+  };
+
+  // Generations of `tags` in both tiers, or null if they cannot be read (the
+  // result is then never stored)
+  const generationOf = async (tags) => {
+    try {
+      const counts = await local.generations(tags);
+      if (shared.available()) counts.push(...await shared.generations(tags));
+      return counts.join(',');
+    } catch (err) {
+      logger.error('Cache generation lookup failed', { tags, error: err });
+      return null;
+    }
+  };
+
+  // Claim the right to compute `key` across instances. Resolves to a release
+  // function, or null if another instance holds the Redis lock. Without Redis
+  // the in-process single-flight is all the coordination there is.
+  const claim = async (key) => {
+    if (!shared.available()) return () => {};
+    try {
+      const token = await shared.lock(key, COMPUTE_TIMEOUT_MS);
+      if (!token) return null;
+      return () => shared.unlock(key, token).catch((err) => logger.error('Cache unlock failed', err));
+    } catch (err) {
+      logger.error('Cache lock failed', err);
+      return () => {};
+    }
+  };
+
+  // Wait for another instance to fill `key`. Resolves to its entry, or null
+  // once the lock is gone without a fresh entry (its computation failed).
+  const awaitShared = async (key) => {
+    const deadline = Date.now() + COMPUTE_TIMEOUT_MS;
+    while (Date.now() < deadline) {
+      await sleep(POLL_INTERVAL_MS);
+      try {
+        const entry = await shared.get(key);
+        if (isEntry(entry) && entry.freshUntil > Date.now()) return entry;
+        if (!(await shared.isLocked(key))) return null;
+      } catch (err) {
+        return null;
+      }
+    }
+    return null;
+  };
+
+  // Cache middleware
+  const cache = (duration = 300, tags = [], { staleWhileRevalidate = 60 } = {}) => {
+    return async (req, res, next) => {
+      const key = `cache:${req.originalUrl}`;
+      const setStatus = (status) => {
+        res.locals.cache = status;
+        res.set('X-Cache', status);
+      };
+      const setValidators = (stored) => {
+        res.set({ ETag: stored.etag, 'Last-Modified': new Date(stored.storedAt).toUTCString() });
+      };
+      // Send a stored entry; a matching If-None-Match / If-Modified-Since gets a 304
+      const sendEntry = (status, stored) => {
+        setStatus(status);
+        setValidators(stored);
+        if (req.fresh) return res.status(304).end();
+        return res.json(stored.body);
+      };
+
+      res.set('Cache-Control', `public, max-age=${duration}`);
+
+      let entry = null;
+      try {
+        entry = await lookup(key);
+      } catch (err) {
+        logger.error('Cache lookup failed', { key, error: err });
+      }
+
+      if (entry && entry.freshUntil > Date.now()) {
+        return sendEntry('HIT', entry);
+      }
+
+      // Another request in this process is already computing the key
+      if (inflight.has(key)) {
+        if (entry) {
+          return sendEntry('STALE', entry);
+        }
+        const computed = await within(inflight.get(key), COMPUTE_TIMEOUT_MS, null);
+        if (computed) {
+          return sendEntry('COALESCED', computed);
+        }
+        // The computation failed or timed out: compute independently
+        setStatus('MISS');
+        return next();
+      }
+
+      let settle;
+      const flight = new Promise((resolve) => { settle = resolve; });
+      inflight.set(key, flight);
+      // Wake the waiters; also runs on timeout so a route that never responds
+      // cannot block the key
+      const finish = (computed) => {
+        clearTimeout(timer);
+        if (inflight.get(key) === flight) inflight.delete(key);
+        settle(computed);
+      };
+      const timer = setTimeout(() => finish(null), COMPUTE_TIMEOUT_MS);
+
+      // Entries stay stored for `staleWhileRevalidate` seconds past their
+      // duration; in that window the stale body is sent right away and the
+      // route runs again in the background to refresh it
+      const background = Boolean(entry);
+      if (background) {
+        sendEntry('STALE', entry);
+      }
+
+      const release = await claim(key);
+      if (!release) {
+        // Another instance holds the lock: leave the refresh to it, or wait
+        // for its result (computing here only if it fails)
+        if (background) return finish(null);
+        const computed = await awaitShared(key);
+        if (computed) {
+          finish(computed);
+          return sendEntry('COALESCED', computed);
+        }
+      }
+
+      // Taken before the route reads anything; see the store below
+      const generation = await generationOf(tags);
+
+      // Wake the waiters and free the lock without storing anything when the
+      // route fails (next(error) reaches the error handler, which calls
+      // res.locals.onRouteError), the response closes without a cacheable
+      // body, or the client goes away. A background refresh has already
+      // closed its response, so only the error hook applies there.
+      let settled = false;
+      const abandon = () => {
+        if (settled) return;
+        settled = true;
+        finish(null);
+        if (release) release();
+      };
+      res.locals.onRouteError = abandon;
+      if (!background) res.on('close', abandon);
+
+      // Capture the route's JSON response. In the background case the client
+      // already has the stale body, so nothing more is sent.
+      const send = res.json.bind(res);
+      res.json = (body) => {
+        // Never cache error responses
+        if (res.statusCode >= 400) {
+          abandon();
+          if (!background) res.set('Cache-Control', 'no-store');
+        } else if (!settled) {
+          settled = true;
+          const now = Date.now();
+          const ttl = duration + staleWhileRevalidate;
+          const computed = {
+            body,
+            tags,
+            etag: weakEtag(body),
+            storedAt: now,
+            freshUntil: now + duration * 1000,
+            expiresAt: now + ttl * 1000
+          };
+          // Express answers 304 itself when these match the request
+          if (!background) setValidators(computed);
+          // A write to one of the tags while the route ran has already purged
+          // them, so this body may predate it: hand it to this client only.
+          // Hold the lock until the entry is stored so other instances find it.
+          generationOf(tags)
+            .then((latest) => {
+              if (generation === null || latest !== generation) return finish(null);
+              finish(computed);
+              return store(key, computed, ttl);
+            })
+            .catch((err) => {
+              finish(null);
+              logger.error('Cache store failed', { key, error: err });
+            })
+            .finally(() => release && release());
+        }
+        return background ? res : send(body);
+      };
+
+      if (!background) setStatus('MISS');
+      next();
+    };
+  };
+
+  // Delete every cached entry stored under any of the given tags.
+  // Resolves to the number of entries removed per tag.
+  const invalidate = async (tags) => {
+    const flushed = {};
+    for (const tag of tags) {
+      const keys = new Set(await local.invalidateTag(tag));
+      if (shared.available()) {
+        (await shared.invalidateTag(tag)).forEach((key) => keys.add(key));
+      }
+      flushed[tag] = keys.size;
+    }
+    return flushed;
+  };
+
+  // Mongoose plugin that purges a model's tags after any write to it
+  const invalidateOnWrite = (tags) => (schema) => {
+    const purge = async () => {
+      try {
+        await invalidate(tags);
+      } catch (err) {
+        logger.error('Cache invalidation failed', { tags, error: err });
+      }
+    };
+
+    schema.post('save', purge);
+    schema.post('insertMany', purge);
+    schema.post(
+      [
+        'updateOne',
+        'updateMany',
+        'findOneAndUpdate',
+        'findOneAndReplace',
+        'replaceOne',
+        'deleteOne',
+        'deleteMany',
+        'findOneAndDelete'
+      ],
+      { document: false, query: true },
+      purge
+    );
+    schema.post('deleteOne', { document: true, query: false }, purge);
+  };
+
+  return { cache, invalidate, invalidateOnWrite };
+};
+
+module.exports = { createCache };
@@ -0,0 +1,226 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { createCache } = require('./cache');
+const { errorHandler } = require('./errors');
+
+// Enough of node-redis for the Redis backend, kept in a Map
+const createFakeRedis = () => {
+  const data = new Map();
+  const client = {
+    isReady: true,
+    data,
+    get: async (key) => (data.has(key) ? data.get(key) : null),
+    set: async (key, value, { NX } = {}) => {
+      if (NX && data.has(key)) return null;
+      data.set(key, value);
+      return 'OK';
+    },
+    exists: async (key) => (data.has(key) ? 1 : 0),
+    incr: async (key) => data.set(key, String(Number(data.get(key) || 0) + 1)) && Number(data.get(key)),
+    mGet: async (keys) => keys.map((key) => (data.has(key) ? data.get(key) : null)),
+    sMembers: async (key) => [...(data.get(key) || [])],
+    del: async (keys) => [].concat(keys).forEach((key) => data.delete(key)),
+    eval: jest.fn(async (script, { keys: [key], arguments: [token] }) => {
+      if (data.get(key) !== token) return 0;
+      data.delete(key);
+      return 1;
+    }),
+    multi: () => {
+      const ops = [];
+      const chain = {
+        setEx: (key, ttl, value) => ops.push(() => data.set(key, value)) && chain,
+        sAdd: (key, member) => ops.push(() => data.set(key, new Set([...(data.get(key) || []), member]))) && chain,
+        expire: () => chain,
+        exec: async () => ops.forEach((op) => op())
+      };
+      return chain;
+    }
+  };
+  return client;
+};
+
+const buildApp = (redisClient, handler, options = {}) => {
+  const { cache, invalidate, invalidateOnWrite } = createCache(redisClient);
+  const app = express();
+  app.get('/items', cache(options.duration || 60, ['items'], options), handler);
+  app.use(errorHandler);
+  return { app, invalidate, invalidateOnWrite };
+};
+
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+describe('createCache', () => {
+  let now;
+
+  beforeEach(() => {
+    now = Date.parse('2026-01-01T00:00:00Z');
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('serves repeated requests from the cache', async () => {
+    const handler = jest.fn((req, res) => res.json({ n: handler.mock.calls.length }));
+    const { app } = buildApp(null, handler);
+
+    const first = await request(app).get('/items');
+    const second = await request(app).get('/items');
+
+    expect(first.headers['x-cache']).toBe('MISS');
+    expect(second.headers['x-cache']).toBe('HIT');
+    expect(second.body).toEqual({ n: 1 });
+    expect(second.headers['cache-control']).toBe('public, max-age=60');
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it('purges entries by tag', async () => {
+    const handler = jest.fn((req, res) => res.json({ n: handler.mock.calls.length }));
+    const { app, invalidate } = buildApp(null, handler);
+
+    await request(app).get('/items');
+    expect(await invalidate(['items', 'other'])).toEqual({ items: 1, other: 0 });
+    const res = await request(app).get('/items');
+
+    expect(res.headers['x-cache']).toBe('MISS');
+    expect(res.body).toEqual({ n: 2 });
+  });
+
+  it('purges a model\'s tags after writes through the plugin', async () => {
+    const { invalidate, invalidateOnWrite } = buildApp(null, jest.fn());
+    const schema = new mongoose.Schema({ name: String });
+    const hooks = [];
+    jest.spyOn(schema, 'post').mockImplementation((...args) => hooks.push(args));
+
+    invalidateOnWrite(['items'])(schema);
+
+    const events = hooks.flatMap(([names]) => [].concat(names));
+    expect(events).toEqual(expect.arrayContaining(['save', 'insertMany', 'updateOne', 'deleteMany', 'findOneAndDelete']));
+    const purge = hooks[0][hooks[0].length - 1];
+    await expect(purge()).resolves.toBeUndefined();
+    expect(await invalidate(['items'])).toEqual({ items: 0 });
+  });
+
+  it('never caches error responses', async () => {
+    const handler = jest.fn((req, res) => res.status(500).json({ error: 'boom' }));
+    const { app } = buildApp(null, handler);
+
+    const first = await request(app).get('/items');
+    const second = await request(app).get('/items');
+
+    expect(first.headers['cache-control']).toBe('no-store');
+    expect(second.headers['x-cache']).toBe('MISS');
+    expect(handler).toHaveBeenCalledTimes(2);
+  });
+
+  it('answers conditional requests with 304', async () => {
+    const { app } = buildApp(null, (req, res) => res.json({ ok: true }));
+
+    const first = await request(app).get('/items');
+    const byEtag = await request(app).get('/items').set('If-None-Match', first.headers.etag);
+    const byDate = await request(app).get('/items').set('If-Modified-Since', first.headers['last-modified']);
+
+    expect(first.headers.etag).toMatch(/^W\/"/);
+    expect(byEtag.status).toBe(304);
+    expect(byDate.status).toBe(304);
+  });
+
+  it('coalesces concurrent misses into one computation', async () => {
+    let respond;
+    const handler = jest.fn((req, res) => { respond = () => res.json({ ok: true }); });
+    const { app } = buildApp(null, handler);
+
+    const first = request(app).get('/items').then((res) => res);
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    const second = request(app).get('/items').then((res) => res);
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    respond();
+
+    const results = await Promise.all([first, second]);
+    expect(results.map((res) => res.headers['x-cache'])).toEqual(['MISS', 'COALESCED']);
+    expect(results[1].body).toEqual({ ok: true });
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  describe.each([
+    ['in memory', () => null],
+    ['with Redis', createFakeRedis]
+  ])('a write during a miss (%s)', (label, createRedis) => {
+    it('does not store the body read before the write', async () => {
+      let stock = 5;
+      // While set, the list route reads the stock and then waits for it
+      let held = null;
+      const { cache, invalidate } = createCache(createRedis());
+      const app = express();
+      app.use(express.json());
+      app.get('/items', cache(60, ['items']), async (req, res) => {
+        const body = { stock };
+        await held;
+        res.json(body);
+      });
+      app.patch('/items', async (req, res) => {
+        stock = req.body.stock;
+        await invalidate(['items']);
+        res.json({ stock });
+      });
+
+      let release;
+      held = new Promise((resolve) => { release = resolve; });
+      const slow = request(app).get('/items').then((res) => res);
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      await request(app).patch('/items').send({ stock: 0 });
+      held = null;
+      release();
+      const stale = await slow;
+      await settle();
+      const after = await request(app).get('/items');
+
+      expect(stale.body).toEqual({ stock: 5 });
+      expect(after.headers['x-cache']).toBe('MISS');
+      expect(after.body).toEqual({ stock: 0 });
+    });
+  });
+
+  describe('stale-while-revalidate', () => {
+    it('serves the stale body and refreshes it in the background', async () => {
+      const handler = jest.fn((req, res) => res.json({ n: handler.mock.calls.length }));
+      const { app } = buildApp(null, handler, { duration: 1, staleWhileRevalidate: 60 });
+
+      await request(app).get('/items');
+      now += 2000;
+      const stale = await request(app).get('/items');
+      await settle();
+      const fresh = await request(app).get('/items');
+
+      expect(stale.headers['x-cache']).toBe('STALE');
+      expect(stale.body).toEqual({ n: 1 });
+      expect(fresh.headers['x-cache']).toBe('HIT');
+      expect(fresh.body).toEqual({ n: 2 });
+    });
+
+    it('frees the key and the Redis lock when the refresh fails', async () => {
+      const redisClient = createFakeRedis();
+      let fail = false;
+      const handler = jest.fn((req, res, next) => (fail ? next(new Error('database down')) : res.json({ ok: true })));
+      const { app } = buildApp(redisClient, handler, { duration: 1, staleWhileRevalidate: 60 });
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+
+      await request(app).get('/items');
+      now += 2000;
+      fail = true;
+      const stale = await request(app).get('/items');
+      await settle();
+
+      expect(stale.headers['x-cache']).toBe('STALE');
+      expect(redisClient.data.has('lock:cache:/items')).toBe(false);
+
+      // The next request refreshes again at once instead of waiting out the timeout
+      await request(app).get('/items');
+      await settle();
+      expect(handler).toHaveBeenCalledTimes(3);
+    });
+  });
+});
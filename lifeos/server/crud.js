@@ -0,0 +1,160 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { sendError } = require('./errors');
+const { operation, trackRoutes, ref, json, noContent } = require('./openapi');
+
+// Keep only the fields clients are allowed to write
+const pick = (body = {}, fields) => {
+  const result = {};
+  for (const field of fields) {
+    if (Object.prototype.hasOwnProperty.call(body, field)) {
+      result[field] = body[field];
+    }
+  }
+  return result;
+};
+
+// Create, read, replace, update and delete routes for a single model.
+// List endpoints stay in index.js since each one has its own filters.
+// Validation and duplicate key errors go to the error handler, which reports
+// them field by field.
+// `authorizeWrite` is middleware run before every create, update and delete.
+// `adminFields` (e.g. a user's role) are ignored in writes by anyone but an
+// admin, and left as they are by their PUTs.
+// Every write is recorded through `audit` (a track() from audit.js), and
+// DELETE is a soft delete that an admin can undo.
+const crudRouter = (Model, { fields, adminFields = [], projection, authorizeWrite = [], audit }) => {
+  const router = trackRoutes(express.Router());
+  const model = Model.modelName;
+  const name = model.toLowerCase();
+  // Documents every route under the model's tag (Users, Products)
+  const documented = (meta) => operation({ tag: `${model}s`, ...meta });
+  const notFound = (res) => sendError(res, 404, `${model} not found`);
+
+  const writableFields = (req) => (req.user && req.user.role === 'admin'
+    ? fields
+    : fields.filter((field) => !adminFields.includes(field)));
+  const requiredFields = fields.filter((field) => Model.schema.path(field) && Model.schema.path(field).isRequired);
+
+  const load = (id) => {
+    if (!mongoose.isValidObjectId(id)) return null;
+    return Model.findById(id);
+  };
+
+  router.post('/', documented({
+    operationId: `create${model}`,
+    summary: `Create a ${name}`,
+    body: ref(model),
+    responses: { 201: json(ref(model), 'Created') },
+    conflict: true
+  }), authorizeWrite, async (req, res, next) => {
+    try {
+      const doc = await Model.create(pick(req.body, writableFields(req)));
+      await audit.record(req, 'create', null, doc);
+      res.status(201).location(`${req.baseUrl}/${doc._id}`).json(doc);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.get('/:id', documented({
+    operationId: `get${model}`,
+    summary: `Get a ${name}`,
+    responses: { 200: json(ref(model)) },
+    notFound: true
+  }), async (req, res, next) => {
+    try {
+      const doc = mongoose.isValidObjectId(req.params.id)
+        ? await Model.findById(req.params.id).select(projection).lean()
+        : null;
+      if (!doc) return notFound(res);
+      res.json(doc);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // PUT replaces every writable field, so the body must have all the required
+  // ones; omitted optional fields are cleared
+  router.put('/:id', documented({
+    operationId: `replace${model}`,
+    summary: `Replace a ${name}; omitted fields are cleared`,
+    body: ref(model),
+    responses: { 200: json(ref(model)) },
+    notFound: true,
+    conflict: true
+  }), authorizeWrite, async (req, res, next) => {
+    try {
+      const writable = writableFields(req);
+      const body = pick(req.body, writable);
+      const missing = requiredFields.filter((field) => writable.includes(field)
+        && (body[field] === undefined || body[field] === null));
+      if (missing.length > 0) {
+        return sendError(res, 400, `PUT replaces the whole ${name}: send every required field, or use PATCH to change some of them`, {
+          code: 'VALIDATION_ERROR',
+          details: missing.map((field) => ({ location: 'body', field, message: `${field} is required` }))
+        });
+      }
+
+      const doc = await load(req.params.id);
+      if (!doc) return notFound(res);
+
+      const before = audit.snapshot(doc);
+      for (const field of writable) {
+        doc.set(field, body[field]);
+      }
+      await doc.save();
+      await audit.record(req, 'update', before, doc);
+      res.json(doc);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // PATCH only touches the fields present in the body
+  router.patch('/:id', documented({
+    operationId: `update${model}`,
+    summary: `Update some fields of a ${name}`,
+    body: ref(model),
+    responses: { 200: json(ref(model)) },
+    notFound: true,
+    conflict: true
+  }), authorizeWrite, async (req, res, next) => {
+    try {
+      const doc = await load(req.params.id);
+      if (!doc) return notFound(res);
+
+      const before = audit.snapshot(doc);
+      doc.set(pick(req.body, writableFields(req)));
+      await doc.save();
+      await audit.record(req, 'update', before, doc);
+      res.json(doc);
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  router.delete('/:id', documented({
+    operationId: `delete${model}`,
+    summary: `Soft-delete a ${name}; admins can restore it`,
+    responses: { 204: noContent },
+    notFound: true
+  }), authorizeWrite, async (req, res, next) => {
+    try {
+      const doc = await load(req.params.id);
+      if (!doc) return notFound(res);
+
+      const before = audit.snapshot(doc);
+      doc.deletedAt = new Date();
+      await doc.save();
+      await audit.record(req, 'delete', before, doc);
+      res.status(204).end();
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+};
+
+module.exports = { crudRouter };
@@ -0,0 +1,202 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { crudRouter } = require('./crud');
+const { compileModels } = require('./models');
+const { errorHandler } = require('./errors');
+
+// Models on a connection that is never opened; database calls are stubbed
+const { User } = compileModels(mongoose.createConnection());
+
+const FIELDS = ['name', 'email', 'avatar', 'role'];
+
+// Stand-in for findById(): awaitable, or chained with select().lean()
+const found = (doc) => ({
+  select: () => ({ lean: async () => (doc ? doc.toObject() : null) }),
+  then: (resolve, reject) => Promise.resolve(doc).then(resolve, reject)
+});
+
+const buildApp = (audit) => {
+  const app = express();
+  app.use(express.json());
+  // Tests pick the caller's role with a header
+  const authorizeWrite = (req, res, next) => {
+    req.user = { id: String(new mongoose.Types.ObjectId()), role: req.get('X-Role') || 'admin' };
+    next();
+  };
+  app.use('/api/users', crudRouter(User, {
+    fields: FIELDS,
+    adminFields: ['role'],
+    projection: 'name email avatar role createdAt',
+    authorizeWrite,
+    audit
+  }));
+  app.use(errorHandler);
+  return app;
+};
+
+describe('crudRouter', () => {
+  let app;
+  let audit;
+  let existing;
+
+  beforeEach(() => {
+    audit = {
+      snapshot: jest.fn((doc) => doc.toObject()),
+      record: jest.fn(async () => {})
+    };
+    app = buildApp(audit);
+    existing = new User({ name: 'Ada', email: 'ada@example.com', avatar: 'a.png', role: 'admin' });
+    jest.spyOn(User, 'findById').mockImplementation((id) => found(String(id) === String(existing._id) ? existing : null));
+    jest.spyOn(User, 'create').mockImplementation(async (values) => {
+      const doc = new User(values);
+      await doc.validate();
+      return doc;
+    });
+    jest.spyOn(User.prototype, 'save').mockImplementation(async function save() {
+      await this.validate();
+      return this;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('POST /', () => {
+    it('creates the record with its location and audits it', async () => {
+      const res = await request(app).post('/api/users').send({ name: 'Grace', email: 'grace@example.com' });
+
+      expect(res.status).toBe(201);
+      expect(res.headers.location).toBe(`/api/users/${res.body._id}`);
+      expect(res.body).toMatchObject({ name: 'Grace', email: 'grace@example.com', role: 'user' });
+      expect(audit.record).toHaveBeenCalledWith(expect.anything(), 'create', null, expect.any(User));
+    });
+
+    it('ignores fields that are not writable', async () => {
+      const res = await request(app).post('/api/users').send({ name: 'Grace', email: 'grace@example.com', passwordHash: 'x', deletedAt: '2020-01-01' });
+
+      expect(res.status).toBe(201);
+      expect(User.create).toHaveBeenCalledWith({ name: 'Grace', email: 'grace@example.com' });
+    });
+
+    it('only lets admins set admin fields', async () => {
+      const res = await request(app)
+        .post('/api/users')
+        .set('X-Role', 'user')
+        .send({ name: 'Mallory', email: 'mallory@example.com', role: 'admin' });
+
+      expect(res.status).toBe(201);
+      expect(res.body.role).toBe('user');
+    });
+
+    it('reports schema validation errors field by field', async () => {
+      const res = await request(app).post('/api/users').send({ email: 'not-an-email' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error.code).toBe('VALIDATION_ERROR');
+      expect(res.body.error.details.map((detail) => detail.field).sort()).toEqual(['email', 'name']);
+    });
+
+    it('maps duplicate keys to 409', async () => {
+      User.create.mockRejectedValue(Object.assign(new Error('E11000'), { code: 11000, keyValue: { email: 'ada@example.com' } }));
+
+      const res = await request(app).post('/api/users').send({ name: 'Ada', email: 'ada@example.com' });
+
+      expect(res.status).toBe(409);
+      expect(res.body.error).toMatchObject({ code: 'DUPLICATE_VALUE', details: [{ field: 'email' }] });
+    });
+  });
+
+  describe('GET /:id', () => {
+    it('returns the record', async () => {
+      const res = await request(app).get(`/api/users/${existing._id}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ name: 'Ada', email: 'ada@example.com' });
+    });
+
+    it('returns 404 for unknown and malformed ids', async () => {
+      const unknown = await request(app).get(`/api/users/${new mongoose.Types.ObjectId()}`);
+      const malformed = await request(app).get('/api/users/not-an-id');
+
+      expect(unknown.status).toBe(404);
+      expect(malformed.status).toBe(404);
+      expect(malformed.body.error.code).toBe('NOT_FOUND');
+      expect(User.findById).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('PUT /:id', () => {
+    it('requires every required field and says why', async () => {
+      const res = await request(app).put(`/api/users/${existing._id}`).send({ name: 'Ada L.' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error.message).toMatch(/PUT replaces the whole user/);
+      expect(res.body.error.details.map((detail) => detail.field)).toEqual(['email', 'role']);
+      expect(User.prototype.save).not.toHaveBeenCalled();
+    });
+
+    it('replaces the record, clearing omitted optional fields', async () => {
+      const res = await request(app)
+        .put(`/api/users/${existing._id}`)
+        .send({ name: 'Ada L.', email: 'ada@example.com', role: 'user' });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ name: 'Ada L.', role: 'user' });
+      expect(res.body.avatar).toBeUndefined();
+      expect(audit.record).toHaveBeenCalledWith(expect.anything(), 'update', expect.objectContaining({ name: 'Ada' }), existing);
+    });
+
+    it('keeps admin fields when a non-admin replaces the record', async () => {
+      const res = await request(app)
+        .put(`/api/users/${existing._id}`)
+        .set('X-Role', 'user')
+        .send({ name: 'Ada L.', email: 'ada@example.com', role: 'user' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.role).toBe('admin');
+    });
+
+    it('returns 404 for an unknown record', async () => {
+      const res = await request(app)
+        .put(`/api/users/${new mongoose.Types.ObjectId()}`)
+        .send({ name: 'Ada', email: 'ada@example.com', role: 'user' });
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('PATCH /:id', () => {
+    it('only changes the fields in the body', async () => {
+      const res = await request(app).patch(`/api/users/${existing._id}`).send({ name: 'Countess' });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ name: 'Countess', email: 'ada@example.com', avatar: 'a.png', role: 'admin' });
+    });
+
+    it('validates the changed fields', async () => {
+      const res = await request(app).patch(`/api/users/${existing._id}`).send({ role: 'owner' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error.details[0].field).toBe('role');
+    });
+  });
+
+  describe('DELETE /:id', () => {
+    it('soft-deletes the record and audits it', async () => {
+      const res = await request(app).delete(`/api/users/${existing._id}`);
+
+      expect(res.status).toBe(204);
+      expect(existing.deletedAt).toBeInstanceOf(Date);
+      expect(audit.record).toHaveBeenCalledWith(expect.anything(), 'delete', expect.objectContaining({ deletedAt: null }), existing);
+    });
+
+    it('returns 404 for an unknown record', async () => {
+      const res = await request(app).delete(`/api/users/${new mongoose.Types.ObjectId()}`);
+
+      expect(res.status).toBe(404);
+      expect(audit.record).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,101 @@
+const fs = require('fs');
+const path = require('path');
+
+// Files under `dir`, capped at `maxBytes` in total. Once a write takes the
+// total past the cap, the least recently read or written files are deleted
+// until it fits again.
+//
+// The index lives in memory. It is rebuilt from the directory on first use
+// (oldest modified first), so files left by an earlier run count towards the
+// cap. Processes sharing one directory each keep their own index, so
+// together they can hold up to `maxBytes` per process.
+//
+// Paths are relative to `dir` and must come from the caller, never the client.
+const createDiskCache = ({ dir, maxBytes }) => {
+  const files = new Map(); // relative path -> size, least recently used first
+  let total = 0;
+  let loading = null;
+
+  const forget = (file) => {
+    if (!files.has(file)) return;
+    total -= files.get(file);
+    files.delete(file);
+  };
+
+  const touch = (file, size) => {
+    forget(file);
+    files.set(file, size);
+    total += size;
+  };
+
+  // Every file below `relative`, with its size and modification time
+  const walk = async (relative) => {
+    const entries = await fs.promises.readdir(path.join(dir, relative), { withFileTypes: true }).catch(() => []);
+    const found = await Promise.all(entries.map(async (entry) => {
+      const file = path.join(relative, entry.name);
+      if (entry.isDirectory()) return walk(file);
+      const stats = await fs.promises.stat(path.join(dir, file)).catch(() => null);
+      return stats ? [{ file, size: stats.size, mtimeMs: stats.mtimeMs }] : [];
+    }));
+    return found.flat();
+  };
+
+  const load = () => {
+    if (!loading) {
+      // Every read and write waits for this, so the index is empty until then
+      loading = walk('').then((found) => {
+        found
+          .sort((a, b) => a.mtimeMs - b.mtimeMs)
+          .forEach(({ file, size }) => touch(file, size));
+      });
+    }
+    return loading;
+  };
+
+  const evict = async () => {
+    while (total > maxBytes && files.size > 0) {
+      const [file] = files.keys();
+      forget(file);
+      await fs.promises.rm(path.join(dir, file), { force: true });
+    }
+  };
+
+  return {
+    // The file's contents, or null if it is not cached
+    read: async (file) => {
+      await load();
+      const data = await fs.promises.readFile(path.join(dir, file)).catch(() => null);
+      if (data) touch(file, data.length);
+      else forget(file);
+      return data;
+    },
+
+    write: async (file, data) => {
+      await load();
+      const target = path.join(dir, file);
+      // Write to a temp file first so concurrent readers never see a partial file
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      const tmpFile = `${target}.${process.pid}.${Date.now()}.tmp`;
+      await fs.promises.writeFile(tmpFile, data);
+      await fs.promises.rename(tmpFile, target);
+      touch(file, data.length);
+      await evict();
+    },
+
+    // Delete a directory of cached files
+    removeAll: async (relative) => {
+      await load();
+      const prefix = `${path.join(relative)}${path.sep}`;
+      [...files.keys()].filter((file) => file.startsWith(prefix)).forEach(forget);
+      await fs.promises.rm(path.join(dir, relative), { recursive: true, force: true });
+    },
+
+    // Bytes currently cached, as far as this process knows
+    size: async () => {
+      await load();
+      return total;
+    }
+  };
+};
+
+module.exports = { createDiskCache };
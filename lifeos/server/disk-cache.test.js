@@ -0,0 +1,68 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createDiskCache } = require('./disk-cache');
+
+describe('createDiskCache', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lifeos-disk-cache-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const exists = (file) => fs.existsSync(path.join(dir, file));
+
+  it('stores and reads files', async () => {
+    const cache = createDiskCache({ dir, maxBytes: 100 });
+
+    await cache.write(path.join('a', 'one'), Buffer.from('hello'));
+
+    expect(String(await cache.read(path.join('a', 'one')))).toBe('hello');
+    expect(await cache.read(path.join('a', 'missing'))).toBeNull();
+    expect(fs.readdirSync(path.join(dir, 'a'))).toEqual(['one']);
+  });
+
+  it('evicts the least recently used files past the cap', async () => {
+    const cache = createDiskCache({ dir, maxBytes: 25 });
+
+    await cache.write('first', Buffer.alloc(10));
+    await cache.write('second', Buffer.alloc(10));
+    await cache.read('first');
+    await cache.write('third', Buffer.alloc(10));
+
+    expect(exists('first')).toBe(true);
+    expect(exists('second')).toBe(false);
+    expect(exists('third')).toBe(true);
+    expect(await cache.size()).toBe(20);
+  });
+
+  it('counts files left by an earlier process, oldest first', async () => {
+    fs.mkdirSync(path.join(dir, 'img'));
+    fs.writeFileSync(path.join(dir, 'img', 'old'), Buffer.alloc(10));
+    fs.utimesSync(path.join(dir, 'img', 'old'), new Date(2020, 0, 1), new Date(2020, 0, 1));
+    fs.writeFileSync(path.join(dir, 'img', 'recent'), Buffer.alloc(10));
+    const cache = createDiskCache({ dir, maxBytes: 25 });
+
+    expect(await cache.size()).toBe(20);
+    await cache.write('new', Buffer.alloc(10));
+
+    expect(exists(path.join('img', 'old'))).toBe(false);
+    expect(exists(path.join('img', 'recent'))).toBe(true);
+  });
+
+  it('removes a directory and stops counting its files', async () => {
+    const cache = createDiskCache({ dir, maxBytes: 100 });
+    await cache.write(path.join('img', 'a'), Buffer.alloc(10));
+    await cache.write(path.join('image', 'b'), Buffer.alloc(10));
+
+    await cache.removeAll('img');
+
+    expect(exists('img')).toBe(false);
+    expect(exists(path.join('image', 'b'))).toBe(true);
+    expect(await cache.size()).toBe(10);
+  });
+});
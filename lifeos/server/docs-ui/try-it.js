@@ -0,0 +1,104 @@
+/* eslint-env browser */
+// "Try it" forms on /api/docs: build the request from the form, send it with
+// the access token from the header field and show the response underneath.
+(() => {
+  const TOKEN_KEY = 'lifeos-docs-token';
+  const tokenInput = document.getElementById('token');
+
+  tokenInput.value = sessionStorage.getItem(TOKEN_KEY) || '';
+  tokenInput.addEventListener('change', () => {
+    sessionStorage.setItem(TOKEN_KEY, tokenInput.value.trim());
+  });
+
+  const fieldsIn = (form, location) => [...form.querySelectorAll(`[data-in="${location}"]`)];
+
+  const buildUrl = (form) => {
+    let path = form.dataset.path;
+    for (const input of fieldsIn(form, 'path')) {
+      path = path.replace(`{${input.name}}`, encodeURIComponent(input.value.trim()));
+    }
+    const query = new URLSearchParams();
+    for (const input of fieldsIn(form, 'query')) {
+      if (input.value !== '') query.set(input.name, input.value);
+    }
+    const search = query.toString();
+    return search ? `${path}?${search}` : path;
+  };
+
+  const buildBody = (form) => {
+    if (form.dataset.body === 'json') {
+      const text = form.querySelector('[data-in="body"]').value.trim();
+      return text ? { body: text, headers: { 'Content-Type': 'application/json' } } : {};
+    }
+    if (form.dataset.body === 'multipart') {
+      const data = new FormData();
+      for (const input of fieldsIn(form, 'form')) {
+        if (input.type === 'file') {
+          for (const file of input.files) data.append(input.name, file);
+        } else if (input.value !== '') {
+          data.append(input.name, input.value);
+        }
+      }
+      return { body: data };
+    }
+    return {};
+  };
+
+  const show = (result, status, content) => {
+    result.replaceChildren();
+    const heading = document.createElement('strong');
+    heading.textContent = status;
+    result.append(heading, content);
+    result.hidden = false;
+  };
+
+  const renderBody = async (response) => {
+    const type = response.headers.get('Content-Type') || '';
+    if (type.startsWith('image/')) {
+      const img = document.createElement('img');
+      img.src = URL.createObjectURL(await response.blob());
+      return img;
+    }
+    const pre = document.createElement('pre');
+    if (type.includes('json')) {
+      pre.textContent = JSON.stringify(await response.json(), null, 2);
+    } else if (type.startsWith('text/')) {
+      pre.textContent = await response.text();
+    } else {
+      const blob = await response.blob();
+      pre.textContent = blob.size ? `${blob.size} bytes of ${type || 'binary data'}` : '(empty body)';
+    }
+    return pre;
+  };
+
+  document.addEventListener('submit', async (event) => {
+    const form = event.target.closest('form.try');
+    if (!form) return;
+    event.preventDefault();
+
+    const result = form.querySelector('.result');
+    const button = form.querySelector('button');
+    const token = tokenInput.value.trim();
+    let init;
+    try {
+      const { body, headers = {} } = buildBody(form);
+      if (token) headers.Authorization = `Bearer ${token}`;
+      init = { method: form.dataset.method.toUpperCase(), headers, body };
+    } catch (err) {
+      show(result, 'Could not build the request', document.createTextNode(` ${err.message}`));
+      return;
+    }
+
+    button.disabled = true;
+    try {
+      const started = performance.now();
+      const response = await fetch(buildUrl(form), init);
+      const elapsed = Math.round(performance.now() - started);
+      show(result, `${response.status} ${response.statusText} · ${elapsed} ms`, await renderBody(response));
+    } catch (err) {
+      show(result, 'Request failed', document.createTextNode(` ${err.message}`));
+    } finally {
+      button.disabled = false;
+    }
+  });
+})();
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+const multer = require('multer');
+const { logger } = require('./logger');
+
+// Every API error is sent as one envelope:
+//   { "error": { "code": "NOT_FOUND", "message": "Product not found", "details": [] } }
+// `code` is stable for clients to branch on, `message` is for humans and
+// `details` lists per-field problems ({ location, field, message }) when there
+// are any. Unexpected errors are logged and never leak their message.
+const STATUS_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  429: 'RATE_LIMITED',
+  503: 'SERVICE_UNAVAILABLE'
+};
+
+// Thrown (or passed to next) by route code for errors the client should see
+class ApiError extends Error {
+  constructor(status, message, { code, details = [] } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code || STATUS_CODES[status] || 'INTERNAL_ERROR';
+    this.details = details;
+  }
+}
+
+const sendError = (res, status, message, { code, details = [] } = {}) => res.status(status).json({
+  error: { code: code || STATUS_CODES[status] || 'INTERNAL_ERROR', message, details }
+});
+
+// Map known library errors onto client errors; null means it is our fault
+const toApiError = (error) => {
+  if (error instanceof ApiError) return error;
+
+  // Upload limits (file size, file count) and unexpected file fields
+  if (error instanceof multer.MulterError) {
+    return error.code === 'LIMIT_FILE_SIZE'
+      ? new ApiError(413, error.message)
+      : new ApiError(400, error.message, { code: 'INVALID_UPLOAD' });
+  }
+
+  if (error instanceof mongoose.Error.ValidationError) {
+    const details = Object.entries(error.errors).map(([field, err]) => ({
+      location: 'body',
+      field,
+      message: err instanceof mongoose.Error.CastError ? `${field} is invalid` : err.message
+    }));
+    return new ApiError(400, 'Validation failed', { code: 'VALIDATION_ERROR', details });
+  }
+
+  // E11000 duplicate key error from a unique index
+  if (error.code === 11000) {
+    const details = Object.keys(error.keyValue || error.keyPattern || {}).map((field) => ({
+      location: 'body',
+      field,
+      message: `${field} already exists`
+    }));
+    return new ApiError(409, 'Duplicate value', { code: 'DUPLICATE_VALUE', details });
+  }
+
+  // Malformed or oversized bodies rejected by express.json() and friends
+  if (error.type && error.expose && error.status >= 400 && error.status < 500) {
+    return error.status === 413
+      ? new ApiError(413, 'Request body is too large')
+      : new ApiError(error.status, 'Request body could not be parsed', { code: 'INVALID_BODY' });
+  }
+
+  return null;
+};
+
+// Final Express error handler
+const errorHandler = (error, req, res, next) => {
+  // Middleware waiting on the route, e.g. a background cache refresh
+  if (typeof res.locals.onRouteError === 'function') res.locals.onRouteError(error);
+
+  // Too late for an envelope; let Express close the connection
+  if (res.headersSent) return next(error);
+
+  const apiError = toApiError(error);
+  if (apiError) {
+    return sendError(res, apiError.status, apiError.message, apiError);
+  }
+
+  logger.error('Unhandled error', error);
+  sendError(res, 500, 'Internal server error');
+};
+
+module.exports = { ApiError, sendError, errorHandler };
@@ -0,0 +1,82 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const multer = require('multer');
+const request = require('supertest');
+const { ApiError, errorHandler } = require('./errors');
+
+// A route that fails with whatever the test provides
+const buildApp = (makeError) => {
+  const app = express();
+  app.use(express.json({ limit: '1kb' }));
+  app.post('/fail', (req, res, next) => next(makeError()));
+  app.use(errorHandler);
+  return app;
+};
+
+const fail = (makeError) => request(buildApp(makeError)).post('/fail');
+
+describe('errorHandler', () => {
+  beforeEach(() => {
+    jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('sends ApiErrors as they are', async () => {
+    const res = await fail(() => new ApiError(404, 'Product not found'));
+
+    expect(res.status).toBe(404);
+    expect(res.body).toEqual({ error: { code: 'NOT_FOUND', message: 'Product not found', details: [] } });
+  });
+
+  it('maps Mongoose validation errors field by field', async () => {
+    const Thing = mongoose.createConnection().model('Thing', new mongoose.Schema({ price: { type: Number, min: 0 } }));
+    const error = new Thing({ price: 'abc' }).validateSync();
+
+    const res = await fail(() => error);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toEqual({
+      code: 'VALIDATION_ERROR',
+      message: 'Validation failed',
+      details: [{ location: 'body', field: 'price', message: 'price is invalid' }]
+    });
+  });
+
+  it('maps duplicate keys to 409', async () => {
+    const res = await fail(() => Object.assign(new Error('E11000'), { code: 11000, keyPattern: { email: 1 } }));
+
+    expect(res.status).toBe(409);
+    expect(res.body.error.details).toEqual([{ location: 'body', field: 'email', message: 'email already exists' }]);
+  });
+
+  it('maps upload limits', async () => {
+    const tooLarge = await fail(() => new multer.MulterError('LIMIT_FILE_SIZE'));
+    const unexpected = await fail(() => new multer.MulterError('LIMIT_UNEXPECTED_FILE', 'avatar'));
+
+    expect(tooLarge.status).toBe(413);
+    expect(unexpected.status).toBe(400);
+    expect(unexpected.body.error.code).toBe('INVALID_UPLOAD');
+  });
+
+  it('maps unparseable and oversized bodies', async () => {
+    const app = buildApp(() => new Error('unreachable'));
+
+    const malformed = await request(app).post('/fail').set('Content-Type', 'application/json').send('{"name":');
+    const oversized = await request(app).post('/fail').send({ text: 'x'.repeat(2048) });
+
+    expect(malformed.status).toBe(400);
+    expect(malformed.body.error.code).toBe('INVALID_BODY');
+    expect(oversized.status).toBe(413);
+  });
+
+  it('hides the message of unexpected errors and logs them', async () => {
+    const res = await fail(() => new Error('connection string mongodb://user:secret@db'));
+
+    expect(res.status).toBe(500);
+    expect(res.body.error).toEqual({ code: 'INTERNAL_ERROR', message: 'Internal server error', details: [] });
+    expect(process.stderr.write).toHaveBeenCalledWith(expect.stringContaining('Unhandled error'));
+  });
+});
@@ -0,0 +1,121 @@
+const express = require('express');
+const sharp = require('sharp');
+const { operation, trackRoutes, ref, json } = require('./openapi');
+
+// Liveness and readiness probes.
+//
+// /live only says the process is serving requests. /ready probes every
+// dependency and answers 503 when a critical one is down; Redis is not
+// critical because the cache middleware falls back to the database.
+const PROBE_TIMEOUT_MS = 2000;
+
+const withTimeout = (promise, ms) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// Run one probe; resolves to { status, critical, latency, error? }
+const probe = async ({ check, critical }) => {
+  const start = process.hrtime.bigint();
+  const latency = () => Math.round(Number(process.hrtime.bigint() - start) / 1e5) / 10;
+  try {
+    await withTimeout(Promise.resolve().then(check), PROBE_TIMEOUT_MS);
+    return { status: 'up', critical, latency: latency() };
+  } catch (error) {
+    return { status: 'down', critical, latency: latency(), error: error.message };
+  }
+};
+
+const healthRouter = ({ mongoose, redisClient, migrator }) => {
+  const router = trackRoutes(express.Router());
+
+  const checks = {
+    mongo: {
+      critical: true,
+      check: () => {
+        // With bufferCommands off, queries fail outright until the connection is up
+        if (mongoose.connection.readyState !== 1) throw new Error('Not connected');
+        return mongoose.connection.db.admin().ping();
+      }
+    },
+    redis: {
+      critical: false,
+      check: () => {
+        if (!redisClient.isReady) throw new Error('Not connected');
+        return redisClient.ping();
+      }
+    },
+    sharp: {
+      critical: true,
+      check: () => sharp({
+        create: { width: 1, height: 1, channels: 3, background: '#000' }
+      }).png().toBuffer()
+    }
+  };
+
+  // Not ready while startup migrations run, or after they failed
+  if (migrator) {
+    checks.migrations = { critical: true, check: migrator.checkStartup };
+  }
+
+  const live = (req, res) => {
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      status: 'OK',
+      timestamp: new Date().toISOString(),
+      uptime: process.uptime()
+    });
+  };
+
+  const ready = async (req, res, next) => {
+    try {
+      const names = Object.keys(checks);
+      const results = await Promise.all(names.map((name) => probe(checks[name])));
+      const report = Object.fromEntries(names.map((name, i) => [name, results[i]]));
+
+      const down = results.filter((result) => result.status === 'down');
+      let status = 'OK';
+      if (down.some((result) => result.critical)) status = 'DOWN';
+      else if (down.length > 0) status = 'DEGRADED';
+
+      res.set('Cache-Control', 'no-store');
+      res.status(status === 'DOWN' ? 503 : 200).json({
+        status,
+        timestamp: new Date().toISOString(),
+        uptime: process.uptime(),
+        checks: report
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  const readyResponses = { 200: json(ref('Health')), 503: json(ref('Health'), 'A critical dependency is down') };
+
+  router.get('/live', operation({
+    operationId: 'getLiveness',
+    tag: 'Health',
+    summary: 'Whether the process is serving requests',
+    responses: { 200: json(ref('Health')) }
+  }), live);
+  router.get('/ready', operation({
+    operationId: 'getReadiness',
+    tag: 'Health',
+    summary: 'Dependency checks; 503 when a critical dependency is down',
+    responses: readyResponses
+  }), ready);
+  // The bare endpoint reports real dependency status too
+  router.get('/', operation({
+    operationId: 'getHealth',
+    tag: 'Health',
+    summary: 'Same as /api/health/ready',
+    responses: readyResponses
+  }), ready);
+
+  return router;
+};
+
+module.exports = { healthRouter };
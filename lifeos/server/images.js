@@ -0,0 +1,584 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const sharp = require('sharp');
+const archiver = require('archiver');
+const { timeImageProcessing } = require('./prometheus');
+const { ApiError, sendError } = require('./errors');
+const { logger } = require('./logger');
+const { createDiskCache } = require('./disk-cache');
+const { validate, int, number, string, oneOf, boolean } = require('./validation');
+
+// Responsive image pipeline: every upload is resized to a set of widths in
+// AVIF and WebP, plus a tiny blurred placeholder (LQIP) that is inlined as a
+// data URI so cards can paint something before the real image arrives.
+const VARIANT_WIDTHS = [320, 640, 960, 1280, 1920];
+const VARIANT_FORMATS = ['avif', 'webp'];
+const VARIANT_QUALITY = { avif: 50, webp: 75 };
+const PLACEHOLDER_WIDTH = 24;
+
+const CONTENT_TYPES = { avif: 'image/avif', webp: 'image/webp', jpeg: 'image/jpeg', png: 'image/png' };
+
+// On-the-fly transforms (/api/img/:id). Widths and heights snap up to this
+// list and quality to steps of 5, so the number of distinct renditions (and
+// cache entries) per image stays small no matter what clients ask for.
+const TRANSFORM_SIZES = [160, 320, 480, 640, 800, 960, 1280, 1600, 1920];
+const TRANSFORM_FORMATS = ['avif', 'webp', 'jpeg', 'png'];
+const TRANSFORM_FITS = ['cover', 'contain', 'fill', 'inside', 'outside'];
+const TRANSFORM_CACHE_DIR = process.env.IMAGE_CACHE_DIR || path.join(os.tmpdir(), 'lifeos-image-cache');
+// That is still thousands of renditions per image, so the disk cache evicts
+// the least recently used once it holds more than this
+const TRANSFORM_CACHE_MAX_MB = parseInt(process.env.IMAGE_CACHE_MAX_MB, 10) || 512;
+const transformCache = createDiskCache({ dir: TRANSFORM_CACHE_DIR, maxBytes: TRANSFORM_CACHE_MAX_MB * 1024 * 1024 });
+
+// Keys are generated server-side; anything else is rejected before touching storage
+const KEY_PATTERN = /^products\/[a-f0-9]{24}\/([a-f0-9]{24})-\d+\.(avif|webp)$/;
+
+// sharp's errors for input it cannot decode: unknown formats, empty,
+// truncated or corrupt data, or more pixels than it is allowed to open
+const UNREADABLE_IMAGE = /^(Input (buffer|image)|\w+load(_buffer)?:|Vips\w+:)/i;
+
+// Rethrow a decode failure as the client's fault; anything else stays a 500
+const rejectUnreadable = (err) => {
+  if (UNREADABLE_IMAGE.test(err.message)) {
+    throw new ApiError(400, 'The uploaded file is not a readable image', { code: 'INVALID_UPLOAD' });
+  }
+  throw err;
+};
+
+// sharp works on libuv's threadpool (4 threads by default), which fs and dns
+// share. Capping concurrent jobs keeps image work from starving everything else;
+// extra jobs wait in a bounded queue.
+const IMAGE_CONCURRENCY = parseInt(process.env.IMAGE_CONCURRENCY, 10) || 2;
+const IMAGE_QUEUE_LIMIT = IMAGE_CONCURRENCY * 10;
+
+let activeJobs = 0;
+const waitingJobs = [];
+
+const acquireJobSlot = () => new Promise((resolve) => {
+  if (activeJobs < IMAGE_CONCURRENCY) {
+    activeJobs += 1;
+    resolve();
+  } else {
+    waitingJobs.push(resolve);
+  }
+});
+
+// Hand the slot straight to the next waiter, if any
+const releaseJobSlot = () => {
+  const nextJob = waitingJobs.shift();
+  if (nextJob) nextJob();
+  else activeJobs -= 1;
+};
+
+// Wrap an image operation so it runs in a job slot and is timed once started
+const imageJob = (operation, fn) => {
+  const timed = timeImageProcessing(operation, fn);
+  return async (...args) => {
+    await acquireJobSlot();
+    try {
+      return await timed(...args);
+    } finally {
+      releaseJobSlot();
+    }
+  };
+};
+
+// Middleware for image routes: answer 503 instead of queueing without bound.
+// Runs before multer so a rejected request does not buffer its upload.
+const imageQueueGuard = (req, res, next) => {
+  if (waitingJobs.length >= IMAGE_QUEUE_LIMIT) {
+    res.set('Retry-After', '5');
+    return sendError(res, 503, 'Image processing is busy, please try again shortly');
+  }
+  next();
+};
+
+const imageUrl = (key) => `/api/images/${key}`;
+
+// Local disk store rooted at IMAGE_STORAGE_DIR
+const createLocalStore = (root) => ({
+  async put(key, buffer) {
+    const file = path.join(root, key);
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(file, buffer);
+  },
+
+  async get(key) {
+    try {
+      return await fs.promises.readFile(path.join(root, key));
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  },
+
+  async remove(key) {
+    await fs.promises.rm(path.join(root, key), { force: true });
+  },
+
+  async exists(key) {
+    try {
+      await fs.promises.access(path.join(root, key));
+      return true;
+    } catch (err) {
+      if (err.code === 'ENOENT') return false;
+      throw err;
+    }
+  }
+});
+
+// GridFS store in the application database, for deployments without a shared disk
+const createGridFSStore = (bucketName) => {
+  let bucket;
+  const getBucket = () => {
+    if (!bucket) {
+      bucket = new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName });
+    }
+    return bucket;
+  };
+
+  const findIds = async (key) => {
+    const files = await getBucket().find({ filename: key }, { projection: { _id: 1 } }).toArray();
+    return files.map((file) => file._id);
+  };
+
+  return {
+    async put(key, buffer, contentType) {
+      await new Promise((resolve, reject) => {
+        getBucket()
+          .openUploadStream(key, { metadata: { contentType } })
+          .on('finish', resolve)
+          .on('error', reject)
+          .end(buffer);
+      });
+    },
+
+    async get(key) {
+      if ((await findIds(key)).length === 0) return null;
+      const chunks = [];
+      for await (const chunk of getBucket().openDownloadStreamByName(key)) {
+        chunks.push(chunk);
+      }
+      return Buffer.concat(chunks);
+    },
+
+    async remove(key) {
+      for (const id of await findIds(key)) {
+        await getBucket().delete(id);
+      }
+    },
+
+    async exists(key) {
+      return (await findIds(key)).length > 0;
+    }
+  };
+};
+
+const imageStore = process.env.IMAGE_STORE === 'gridfs'
+  ? createGridFSStore('images')
+  : createLocalStore(process.env.IMAGE_STORAGE_DIR || path.join(__dirname, '../uploads'));
+
+// Resize an upload into every variant and store them. Resolves to the image
+// metadata saved on the product (see imageSchema in models.js). Passing the
+// same `imageId` again overwrites the same keys (used by scripts/seed.js).
+// If any step fails, every file it stored is deleted again.
+const processProductImage = imageJob('variants', async (productId, buffer, {
+  alt,
+  imageId = new mongoose.Types.ObjectId()
+} = {}) => {
+  const written = [];
+  const put = (key, data, contentType) => {
+    written.push(key);
+    return imageStore.put(key, data, contentType);
+  };
+
+  try {
+    const source = sharp(buffer).rotate(); // honour EXIF orientation
+
+    // EXIF orientations 5-8 turn the image by 90°, swapping its displayed dimensions
+    const meta = await sharp(buffer).metadata();
+    const [width, height] = meta.orientation >= 5 ? [meta.height, meta.width] : [meta.width, meta.height];
+
+    // Never upscale: use the widths below the original, plus the original if it fits the range
+    const widths = VARIANT_WIDTHS.filter((w) => w < width);
+    if (width <= VARIANT_WIDTHS[VARIANT_WIDTHS.length - 1]) {
+      widths.push(width);
+    }
+
+    // Keep the (auto-rotated, metadata-stripped) original for later re-encoding.
+    // Decoded alone first: libvips reports a bad upload hit by the concurrent
+    // variant jobs below as "Unknown error" now and then.
+    const { data: original, info: originalInfo } = await source.clone().toBuffer({ resolveWithObject: true });
+    const originalKey = `products/${productId}/${imageId}-original.${originalInfo.format}`;
+    await put(originalKey, original, `image/${originalInfo.format}`);
+
+    // allSettled, so no write is still running when the cleanup below starts
+    const results = await Promise.allSettled(
+      VARIANT_FORMATS.flatMap((format) => widths.map(async (w) => {
+        const { data, info } = await source
+          .clone()
+          .resize(w)
+          .toFormat(format, { quality: VARIANT_QUALITY[format] })
+          .toBuffer({ resolveWithObject: true });
+
+        const key = `products/${productId}/${imageId}-${w}.${format}`;
+        await put(key, data, CONTENT_TYPES[format]);
+        return { format, width: info.width, height: info.height, size: info.size, key, url: imageUrl(key) };
+      }))
+    );
+    const failed = results.find((result) => result.status === 'rejected');
+    if (failed) throw failed.reason;
+    const variants = results.map((result) => result.value);
+
+    const placeholder = await source
+      .clone()
+      .resize(PLACEHOLDER_WIDTH)
+      .blur()
+      .webp({ quality: 40 })
+      .toBuffer();
+
+    return {
+      _id: imageId,
+      alt,
+      width,
+      height,
+      placeholder: `data:image/webp;base64,${placeholder.toString('base64')}`,
+      original: { key: originalKey, format: originalInfo.format, size: originalInfo.size },
+      variants
+    };
+  } catch (err) {
+    await Promise.all(written.map((key) => imageStore.remove(key).catch((removeErr) => {
+      logger.error('Removing a partly processed image failed', { key, error: removeErr });
+    })));
+    return rejectUnreadable(err);
+  }
+});
+
+// Delete the stored original, every variant and any cached transforms of an image
+const removeProductImage = async (image) => {
+  const keys = (image.variants || []).map((variant) => variant.key);
+  if (image.original && image.original.key) keys.push(image.original.key);
+  await Promise.all([
+    ...keys.map((key) => imageStore.remove(key)),
+    transformCache.removeAll(String(image._id))
+  ]);
+};
+
+// The images whose files are still stored, e.g. when restoring an older
+// version of a product; external (url-only) images are always kept
+const keepStoredImages = async (images = []) => {
+  const stored = await Promise.all(images.map((image) => (image.original && image.original.key
+    ? imageStore.exists(image.original.key)
+    : true)));
+  return images.filter((image, i) => stored[i]);
+};
+
+// Serve a stored variant; originals are never exposed directly. Variants of
+// deleted products stay stored (so the product can be restored), which is
+// why `findImage` (see transformRoute) has to confirm the image first.
+const serveImage = (findImage) => async (req, res, next) => {
+  try {
+    const key = req.params[0];
+    const match = KEY_PATTERN.exec(key);
+    if (!match || !await findImage(match[1])) {
+      return sendError(res, 404, 'Image not found');
+    }
+
+    const data = await imageStore.get(key);
+    if (!data) {
+      return sendError(res, 404, 'Image not found');
+    }
+
+    // Keys never change content, so they can be cached forever
+    res.set({
+      'Content-Type': CONTENT_TYPES[path.extname(key).slice(1)],
+      'Content-Length': data.length,
+      'Cache-Control': 'public, max-age=31536000, immutable'
+    });
+    res.send(data);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Crop strategies and watermark placements offered by the optimizer
+const CROP_STRATEGIES = {
+  attention: sharp.strategy.attention,
+  entropy: sharp.strategy.entropy,
+  center: 'centre'
+};
+const WATERMARK_POSITIONS = ['northwest', 'north', 'northeast', 'west', 'center', 'east', 'southwest', 'south', 'southeast'];
+
+// Optimizer form fields (see validation.js); multipart values arrive as strings
+const OPTIMIZE_SETTINGS = {
+  width: int({ min: 1, max: 4000, default: 800 }),
+  quality: int({ min: 1, max: 100, default: 80 }),
+  format: oneOf(TRANSFORM_FORMATS, { default: 'webp' }),
+  aspect: string({ pattern: /^[1-9]\d{0,2}:[1-9]\d{0,2}$/, message: 'must look like 16:9' }),
+  crop: oneOf(Object.keys(CROP_STRATEGIES), { default: 'attention' }),
+  grayscale: boolean({ default: false }),
+  blur: number({ min: 0, max: 20, default: 0 }),
+  sharpen: boolean({ default: false }),
+  lossless: boolean({ default: false }),
+  // EXIF (including GPS) is stripped unless explicitly kept
+  stripMetadata: boolean({ default: true }),
+  watermarkText: string({ maxLength: 100, default: '' }),
+  watermarkPosition: oneOf(WATERMARK_POSITIONS, { default: 'southeast' }),
+  watermarkOpacity: number({ min: 0, max: 1, default: 0.5 })
+};
+
+// Settings for optimizeImage() from a validated OPTIMIZE_SETTINGS body
+const optimizeSettings = (body) => ({
+  ...body,
+  aspect: body.aspect ? body.aspect.split(':').map(Number) : undefined,
+  // sharp's smallest blur sigma is 0.3
+  blur: body.blur && Math.max(body.blur, 0.3)
+});
+
+const escapeXml = (text) => text.replace(/[<>&'"]/g, (c) => `&#${c.charCodeAt(0)};`);
+
+// Build a watermark overlay for a `width` x `height` output image. sharp
+// refuses to composite an overlay larger than the image, so it must fit both.
+const watermarkOverlay = async ({ width, height }, { watermarkText, watermarkOpacity }, logo) => {
+  if (logo) {
+    // Logo at a fifth of the image width (less for tall logos on short
+    // images), faded by the opacity setting
+    return sharp(logo)
+      .resize(Math.max(1, Math.round(width / 5)), height, { fit: 'inside' })
+      .ensureAlpha()
+      .composite([{
+        input: Buffer.from([255, 255, 255, Math.round(watermarkOpacity * 255)]),
+        raw: { width: 1, height: 1, channels: 4 },
+        tile: true,
+        blend: 'dest-in'
+      }])
+      .png()
+      .toBuffer();
+  }
+
+  const fontSize = Math.max(12, Math.round(width * 0.04));
+  const boxWidth = Math.min(width, Math.ceil(fontSize * 0.6 * watermarkText.length) + fontSize);
+  const boxHeight = Math.min(height, Math.round(fontSize * 1.6));
+  return Buffer.from(
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${boxWidth}" height="${boxHeight}">` +
+    `<text x="50%" y="50%" dominant-baseline="middle" text-anchor="middle" font-family="sans-serif" ` +
+    `font-size="${fontSize}" fill="#fff" fill-opacity="${watermarkOpacity}" stroke="#000" ` +
+    `stroke-opacity="${watermarkOpacity / 2}">${escapeXml(watermarkText)}</text></svg>`
+  );
+};
+
+// Encoder options; `lossless` keeps every pixel and only squeezes the encoding
+const encoderOptions = ({ format, quality, lossless }) => {
+  if (!lossless) return { quality };
+  if (format === 'png') return { compressionLevel: 9, adaptiveFiltering: true, palette: false, effort: 10 };
+  if (format === 'webp' || format === 'avif') return { lossless: true };
+  return { quality: 100 }; // JPEG has no lossless mode
+};
+
+// Resize and re-encode one upload with parsed optimizer settings.
+// `logo` is an optional watermark image buffer.
+const optimizeImage = imageJob('optimize', async (buffer, settings, logo) => {
+  const { width, aspect, crop, grayscale, blur, sharpen, stripMetadata, format } = settings;
+
+  // Auto-rotate from EXIF before anything else so crops use the upright image
+  let pipeline = sharp(buffer).rotate();
+  const meta = await sharp(buffer).metadata().catch(rejectUnreadable);
+  const [srcWidth, srcHeight] = meta.orientation >= 5 ? [meta.height, meta.width] : [meta.width, meta.height];
+
+  // Output dimensions, for sizing the watermark
+  let outWidth;
+  let outHeight;
+  if (aspect) {
+    // Exact aspect ratio, keeping the most interesting region. Shrink the
+    // target until it fits inside the (upright) source so nothing is upscaled.
+    outWidth = Math.max(1, Math.min(width, srcWidth, Math.floor(srcHeight * aspect[0] / aspect[1])));
+    outHeight = Math.max(1, Math.round(outWidth * aspect[1] / aspect[0]));
+    pipeline = pipeline.resize(outWidth, outHeight, {
+      fit: 'cover',
+      position: CROP_STRATEGIES[crop]
+    });
+  } else {
+    pipeline = pipeline.resize(width, null, {
+      withoutEnlargement: true,
+      fit: 'inside'
+    });
+    // Rounded down: an overlay a pixel short fits, one a pixel over does not
+    outWidth = Math.min(width, srcWidth);
+    outHeight = Math.max(1, Math.floor(srcHeight * outWidth / srcWidth));
+  }
+
+  if (grayscale) pipeline = pipeline.grayscale();
+  if (blur) pipeline = pipeline.blur(blur);
+  if (sharpen) pipeline = pipeline.sharpen();
+
+  if (logo || settings.watermarkText) {
+    // sharp composites after resizing, so this stays one pipeline and
+    // keepMetadata() below still has the source's EXIF and ICC profile
+    const overlay = await watermarkOverlay({ width: outWidth, height: outHeight }, settings, logo).catch(rejectUnreadable);
+    pipeline = pipeline.composite([{ input: overlay, gravity: settings.watermarkPosition }]);
+  }
+
+  if (!stripMetadata) pipeline = pipeline.keepMetadata();
+
+  return pipeline.toFormat(format, encoderOptions(settings)).toBuffer().catch(rejectUnreadable);
+});
+
+// File name for an optimized upload: original base name, new extension, no path tricks
+const optimizedName = (originalName, format, taken) => {
+  const base = path.basename(originalName, path.extname(originalName)).replace(/[^\w.-]+/g, '_') || 'image';
+  const ext = format === 'jpeg' ? 'jpg' : format;
+  let name = `${base}.${ext}`;
+  for (let i = 1; taken.has(name); i++) {
+    name = `${base}-${i}.${ext}`;
+  }
+  taken.add(name);
+  return name;
+};
+
+// Optimize every upload and stream them back as a ZIP archive. Files are
+// processed one at a time to bound memory; a manifest.json in the archive
+// records per-file sizes, and any file sharp could not decode.
+const sendOptimizedArchive = async (res, files, settings, logo) => {
+  const archive = archiver('zip', { zlib: { level: 0 } }); // images are already compressed
+  const taken = new Set(['manifest.json']);
+  const manifest = [];
+
+  res.set({
+    'Content-Type': 'application/zip',
+    'Content-Disposition': 'attachment; filename="optimized-images.zip"'
+  });
+  archive.on('warning', (err) => logger.warn('Archive warning', err));
+  archive.on('error', (err) => res.destroy(err));
+  archive.pipe(res);
+
+  for (const file of files) {
+    try {
+      const optimized = await optimizeImage(file.buffer, settings, logo);
+      const name = optimizedName(file.originalname, settings.format, taken);
+      archive.append(optimized, { name });
+      manifest.push({
+        file: file.originalname,
+        name,
+        originalSize: file.size,
+        optimizedSize: optimized.length,
+        compressionRatio: Number(((file.size - optimized.length) / file.size * 100).toFixed(1))
+      });
+    } catch (err) {
+      manifest.push({ file: file.originalname, error: err.message });
+    }
+  }
+
+  archive.append(JSON.stringify({ settings, files: manifest }, null, 2), { name: 'manifest.json' });
+  await archive.finalize();
+};
+
+const snapSize = (size) => (size === undefined
+  ? null
+  : TRANSFORM_SIZES.find((allowed) => allowed >= size) || TRANSFORM_SIZES[TRANSFORM_SIZES.length - 1]);
+
+// Pick the best format the client accepts when `fmt` is not given
+const negotiateFormat = (accept = '') => {
+  if (accept.includes('image/avif')) return 'avif';
+  if (accept.includes('image/webp')) return 'webp';
+  return 'jpeg';
+};
+
+const TRANSFORM_QUERY = {
+  w: int({ min: 1 }),
+  h: int({ min: 1 }),
+  q: int({ min: 1, max: 100, default: 75 }),
+  fmt: oneOf(TRANSFORM_FORMATS),
+  fit: oneOf(TRANSFORM_FITS, { default: 'inside' })
+};
+
+// Snap a validated TRANSFORM_QUERY onto the allowed renditions
+const transformParams = (query, accept) => ({
+  width: snapSize(query.w),
+  height: snapSize(query.h),
+  quality: Math.min(100, Math.max(5, Math.round(query.q / 5) * 5)),
+  format: query.fmt || negotiateFormat(accept),
+  fit: query.fit
+});
+
+const renderTransform = imageJob('transform', (original, { width, height, fit, format, quality }) => (
+  sharp(original)
+    .resize(width, height, { fit, withoutEnlargement: true })
+    .toFormat(format, { quality })
+    .toBuffer()
+));
+
+// GET /api/img/:id?w=&h=&q=&fmt=&fit= — re-encode a stored original on demand.
+// Results are cached on disk per image and parameter set (TRANSFORM_CACHE_MAX_MB
+// in total, least recently used evicted first); `findImage(id)`
+// resolves to the product image subdocument, or null once the image or its
+// product is deleted.
+const transformRoute = (findImage) => [validate({ query: TRANSFORM_QUERY }), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    if (!mongoose.isValidObjectId(id)) {
+      return sendError(res, 404, 'Image not found');
+    }
+
+    const { width, height, quality, format, fit } = transformParams(req.query, req.get('Accept'));
+    const variant = `w${width || 'auto'}-h${height || 'auto'}-q${quality}-${fit}.${format}`;
+    const cacheFile = path.join(id, variant);
+
+    // Originals never change for a given image id, so the parameters identify
+    // the bytes. These headers only go on responses that carry the image (or
+    // confirm the client's copy), never on errors.
+    const imageHeaders = {
+      'Content-Type': CONTENT_TYPES[format],
+      'Cache-Control': 'public, max-age=31536000, immutable',
+      ETag: `"${id}-${variant}"`
+    };
+    res.vary('Accept');
+
+    // Looked up before the 304 and disk cache checks, which would otherwise
+    // keep serving the image after its product is deleted
+    const image = await findImage(id);
+    if (!image || !image.original || !image.original.key) {
+      return sendError(res, 404, 'Image not found');
+    }
+
+    // req.fresh compares the request against the response's ETag
+    res.set('ETag', imageHeaders.ETag);
+    if (req.fresh) {
+      return res.set(imageHeaders).status(304).end();
+    }
+    res.removeHeader('ETag');
+
+    let data = await transformCache.read(cacheFile);
+    const cacheStatus = data ? 'HIT' : 'MISS';
+
+    if (!data) {
+      const original = await imageStore.get(image.original.key);
+      if (!original) {
+        return sendError(res, 404, 'Image not found');
+      }
+
+      data = await renderTransform(original, { width, height, fit, format, quality });
+      await transformCache.write(cacheFile, data);
+    }
+
+    res.set({ ...imageHeaders, 'Content-Length': data.length, 'X-Image-Cache': cacheStatus });
+    res.send(data);
+  } catch (error) {
+    next(error);
+  }
+}];
+
+module.exports = {
+  imageStore,
+  imageQueueGuard,
+  OPTIMIZE_SETTINGS,
+  optimizeSettings,
+  optimizeImage,
+  sendOptimizedArchive,
+  processProductImage,
+  removeProductImage,
+  keepStoredImages,
+  serveImage,
+  transformRoute
+};
@@ -0,0 +1,298 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const sharp = require('sharp');
+
+const tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'lifeos-images-test-'));
+process.env.IMAGE_CACHE_DIR = path.join(tmpRoot, 'cache');
+process.env.IMAGE_STORAGE_DIR = path.join(tmpRoot, 'store');
+
+const { imageStore, serveImage, transformRoute, processProductImage, optimizeSettings, optimizeImage } = require('./images');
+const { errorHandler } = require('./errors');
+const { logger } = require('./logger');
+
+const IMMUTABLE = 'public, max-age=31536000, immutable';
+
+const buildApp = (findImage) => {
+  const app = express();
+  app.get('/api/images/*', serveImage(findImage));
+  app.get('/api/img/:id', transformRoute(findImage));
+  app.use(errorHandler);
+  return app;
+};
+
+describe('transformRoute', () => {
+  const id = String(new mongoose.Types.ObjectId());
+  const originalKey = `products/${id}/original.png`;
+  let images;
+  let app;
+
+  beforeAll(async () => {
+    const png = await sharp({ create: { width: 400, height: 300, channels: 3, background: '#3366cc' } }).png().toBuffer();
+    await imageStore.put(originalKey, png, 'image/png');
+  });
+
+  beforeEach(() => {
+    images = { [id]: { original: { key: originalKey } } };
+    app = buildApp(async (imageId) => images[imageId] || null);
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpRoot, { recursive: true, force: true });
+  });
+
+  it('renders the requested rendition, then serves it from the disk cache', async () => {
+    const first = await request(app).get(`/api/img/${id}?w=200&fmt=webp`);
+    const second = await request(app).get(`/api/img/${id}?w=200&fmt=webp`);
+
+    expect(first.status).toBe(200);
+    expect(first.headers).toMatchObject({ 'content-type': 'image/webp', 'cache-control': IMMUTABLE, 'x-image-cache': 'MISS' });
+    expect((await sharp(first.body).metadata()).width).toBe(320);
+    expect(second.headers['x-image-cache']).toBe('HIT');
+    expect(second.headers.etag).toBe(first.headers.etag);
+  });
+
+  it('negotiates the format from Accept', async () => {
+    const res = await request(app).get(`/api/img/${id}?w=100`).set('Accept', 'image/avif,image/*');
+
+    expect(res.headers['content-type']).toBe('image/avif');
+    expect(res.headers.vary).toBe('Accept');
+  });
+
+  it('answers a matching If-None-Match with 304', async () => {
+    const { headers } = await request(app).get(`/api/img/${id}?w=200&fmt=jpeg`);
+    const res = await request(app).get(`/api/img/${id}?w=200&fmt=jpeg`).set('If-None-Match', headers.etag);
+
+    expect(res.status).toBe(304);
+    expect(res.headers['cache-control']).toBe(IMMUTABLE);
+  });
+
+  it('sends 404s as uncacheable JSON', async () => {
+    delete images[id];
+
+    const res = await request(app).get(`/api/img/${id}?w=640&fmt=png`);
+
+    expect(res.status).toBe(404);
+    expect(res.headers['content-type']).toMatch(/^application\/json/);
+    expect(res.headers.etag || '').not.toContain(id);
+    expect(res.headers['cache-control']).not.toBe(IMMUTABLE);
+  });
+
+  it('stops serving cached renditions once the image is gone', async () => {
+    const cached = await request(app).get(`/api/img/${id}?w=200&fmt=avif`);
+    delete images[id];
+
+    const plain = await request(app).get(`/api/img/${id}?w=200&fmt=avif`);
+    const conditional = await request(app).get(`/api/img/${id}?w=200&fmt=avif`).set('If-None-Match', cached.headers.etag);
+
+    expect(cached.status).toBe(200);
+    expect(plain.status).toBe(404);
+    expect(conditional.status).toBe(404);
+  });
+
+  it('sends render failures as uncacheable JSON', async () => {
+    const brokenKey = `products/${id}/broken.png`;
+    await imageStore.put(brokenKey, Buffer.from('not an image'), 'image/png');
+    images[id] = { original: { key: brokenKey } };
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+
+    const res = await request(app).get(`/api/img/${id}?w=960&fmt=png`);
+
+    expect(res.status).toBe(500);
+    expect(res.headers['content-type']).toMatch(/^application\/json/);
+    expect(res.headers.etag || '').not.toContain(id);
+    expect(res.headers['cache-control']).not.toBe(IMMUTABLE);
+    expect(logger.error).toHaveBeenCalledWith('Unhandled error', expect.objectContaining({
+      message: expect.stringMatching(/unsupported image format/)
+    }));
+    logger.error.mockRestore();
+  });
+});
+
+describe('serveImage', () => {
+  const productId = String(new mongoose.Types.ObjectId());
+  const imageId = String(new mongoose.Types.ObjectId());
+  const key = `products/${productId}/${imageId}-640.webp`;
+  let images;
+  let app;
+
+  beforeAll(async () => {
+    await imageStore.put(key, Buffer.from('webp bytes'), 'image/webp');
+  });
+
+  beforeEach(() => {
+    images = { [imageId]: { variants: [{ key }] } };
+    app = buildApp(async (id) => images[id] || null);
+  });
+
+  it('serves a stored variant as immutable', async () => {
+    const res = await request(app).get(`/api/images/${key}`);
+
+    expect(res.status).toBe(200);
+    expect(res.headers).toMatchObject({ 'content-type': 'image/webp', 'cache-control': IMMUTABLE });
+  });
+
+  it('stops serving variants once the image is gone', async () => {
+    delete images[imageId];
+
+    const res = await request(app).get(`/api/images/${key}`);
+
+    expect(res.status).toBe(404);
+  });
+
+  it('never serves keys outside the variant pattern', async () => {
+    const res = await request(app).get(`/api/images/products/${productId}/${imageId}-original.png`);
+
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('processProductImage', () => {
+  const productId = new mongoose.Types.ObjectId();
+  const storedFiles = () => {
+    const dir = path.join(process.env.IMAGE_STORAGE_DIR, 'products', String(productId));
+    return fs.existsSync(dir) ? fs.readdirSync(dir) : [];
+  };
+
+  // Stand-in for the upload route: the processed image or the error envelope
+  const buildUploadApp = () => {
+    const app = express();
+    app.post('/api/products/:id/images', express.raw({ type: '*/*' }), async (req, res, next) => {
+      try {
+        res.status(201).json(await processProductImage(req.params.id, req.body));
+      } catch (error) {
+        next(error);
+      }
+    });
+    app.use(errorHandler);
+    return app;
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(path.join(process.env.IMAGE_STORAGE_DIR, 'products', String(productId)), { recursive: true, force: true });
+  });
+
+  it('stores the variants and the original', async () => {
+    const jpeg = await sharp({ create: { width: 400, height: 300, channels: 3, background: '#cc6633' } }).jpeg().toBuffer();
+
+    const image = await processProductImage(productId, jpeg);
+
+    expect(image.variants.map((variant) => `${variant.width}.${variant.format}`).sort()).toEqual(['320.avif', '320.webp', '400.avif', '400.webp']);
+    expect(storedFiles()).toHaveLength(5);
+  });
+
+  it('answers uploads that are not readable images with 400', async () => {
+    const png = await sharp({ create: { width: 400, height: 300, channels: 3, background: '#cc6633' } }).png().toBuffer();
+
+    const upload = (body) => request(buildUploadApp())
+      .post(`/api/products/${productId}/images`)
+      .set('Content-Type', 'image/png')
+      .send(body);
+
+    const text = await upload(Buffer.from('not an image'));
+    const truncated = await upload(png.subarray(0, png.length / 2));
+
+    for (const res of [text, truncated]) {
+      expect(res.status).toBe(400);
+      expect(res.body.error.code).toBe('INVALID_UPLOAD');
+    }
+    expect(storedFiles()).toEqual([]);
+  });
+
+  it('deletes everything it stored when one write fails', async () => {
+    const jpeg = await sharp({ create: { width: 400, height: 300, channels: 3, background: '#cc6633' } }).jpeg().toBuffer();
+    const put = imageStore.put.bind(imageStore);
+    jest.spyOn(imageStore, 'put').mockImplementation((key, ...args) => (key.endsWith('-320.webp')
+      ? Promise.reject(new Error('disk full'))
+      : put(key, ...args)));
+
+    await expect(processProductImage(productId, jpeg)).rejects.toThrow('disk full');
+    expect(imageStore.put).toHaveBeenCalledTimes(5);
+    expect(storedFiles()).toEqual([]);
+  });
+});
+
+describe('optimizeImage', () => {
+  // Validated OPTIMIZE_SETTINGS defaults
+  const settings = (overrides) => optimizeSettings({
+    width: 800,
+    quality: 80,
+    format: 'png',
+    crop: 'attention',
+    grayscale: false,
+    blur: 0,
+    sharpen: false,
+    lossless: false,
+    stripMetadata: true,
+    watermarkText: '',
+    watermarkPosition: 'southeast',
+    watermarkOpacity: 0.5,
+    ...overrides
+  });
+
+  const solid = (width, height) => sharp({ create: { width, height, channels: 3, background: '#808080' } }).png().toBuffer();
+
+  it('crops to the requested aspect ratio', async () => {
+    const output = await optimizeImage(await solid(1000, 1000), settings({ width: 400, aspect: '16:9' }));
+
+    expect(await sharp(output).metadata()).toMatchObject({ width: 400, height: 225, format: 'png' });
+  });
+
+  it('fits a tall logo onto a short crop', async () => {
+    const logo = await solid(40, 400);
+
+    const output = await optimizeImage(await solid(1200, 300), settings({ width: 400, aspect: '4:1' }), logo);
+
+    expect(await sharp(output).metadata()).toMatchObject({ width: 400, height: 100 });
+  });
+
+  it('keeps EXIF under a watermark when asked to', async () => {
+    const photo = await sharp({ create: { width: 600, height: 400, channels: 3, background: '#808080' } })
+      .withExif({ IFD0: { Copyright: 'Ada Lovelace' } })
+      .jpeg()
+      .toBuffer();
+
+    const kept = await optimizeImage(photo, settings({ width: 300, format: 'jpeg', stripMetadata: false, watermarkText: 'LifeOS' }));
+    const stripped = await optimizeImage(photo, settings({ width: 300, format: 'jpeg', watermarkText: 'LifeOS' }));
+
+    expect(String((await sharp(kept).metadata()).exif)).toContain('Ada Lovelace');
+    expect((await sharp(stripped).metadata()).exif).toBeUndefined();
+  });
+
+  it('rejects files that are not readable images with a 400', async () => {
+    const png = await solid(300, 200);
+
+    await expect(optimizeImage(Buffer.from('not an image'), settings())).rejects.toMatchObject({ status: 400, code: 'INVALID_UPLOAD' });
+    await expect(optimizeImage(png.subarray(0, png.length / 2), settings())).rejects.toMatchObject({ status: 400, code: 'INVALID_UPLOAD' });
+    await expect(optimizeImage(png, settings(), Buffer.from('not a logo'))).rejects.toMatchObject({ status: 400, code: 'INVALID_UPLOAD' });
+  });
+
+  it('answers unreadable uploads with 400 instead of 500', async () => {
+    // Stand-in for the optimize route: the optimized image or the error envelope
+    const app = express();
+    app.post('/api/optimize-image', express.raw({ type: '*/*' }), async (req, res, next) => {
+      try {
+        const output = await optimizeImage(req.body, settings());
+        res.type('png').send(output);
+      } catch (error) {
+        next(error);
+      }
+    });
+    app.use(errorHandler);
+
+    const res = await request(app).post('/api/optimize-image').set('Content-Type', 'image/jpeg').send(Buffer.from('not an image'));
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toMatchObject({ code: 'INVALID_UPLOAD', message: 'The uploaded file is not a readable image' });
+  });
+
+  it('fits a text watermark onto a very small image', async () => {
+    const output = await optimizeImage(await solid(200, 10), settings({ width: 200, watermarkText: '(c) LifeOS' }));
+
+    expect(await sharp(output).metadata()).toMatchObject({ width: 200, height: 10 });
+  });
+});
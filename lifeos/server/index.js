@@ -4,98 +4,176 @@ const helmet = require('helmet');
 const cors = require('cors');
 const mongoose = require('mongoose');
 const redis = require('redis');
-const sharp = require('sharp');
 const multer = require('multer');
 const path = require('path');
-
-const app = express();
+const { crudRouter } = require('./crud');
+const { userSchema, productSchema, compileModels } = require('./models');
+const { createMigrator } = require('./migrator');
+const { createAuditTrail } = require('./audit');
+const { logger, requestContext } = require('./logger');
+const { ApiError, sendError, errorHandler } = require('./errors');
+const { validate, int, number, string, oneOf, array } = require('./validation');
+const { createCache } = require('./cache');
+const { authRouter, optionalAuth, requireRole, currentAccount } = require('./auth');
+const { MAX_QUERY_LENGTH, textSearch } = require('./search');
+const { metricsRouter, metricWriter } = require('./metrics');
+const { healthRouter } = require('./health');
+const {
+  openapiRouter,
+  operation,
+  trackRoutes,
+  ref,
+  json,
+  binary,
+  noContent,
+  notModified
+} = require('./openapi');
+const { createRateLimiter } = require('./ratelimit');
+const { timingPlugin, requestTiming } = require('./timing');
+const { httpMetrics, metricsHandler, trackMongoPool } = require('./prometheus');
+const {
+  imageQueueGuard,
+  OPTIMIZE_SETTINGS,
+  optimizeSettings,
+  optimizeImage,
+  sendOptimizedArchive,
+  processProductImage,
+  removeProductImage,
+  keepStoredImages,
+  serveImage,
+  transformRoute
+} = require('./images');
+const {
+  DEFAULT_SORT,
+  parseSort,
+  sortStage,
+  decodeCursor,
+  afterCursor,
+  isCursorRequest,
+  cursorPage
+} = require('./pagination');
+
+// Tracked so openapi.js can list the routes
+const app = trackRoutes(express());
 const PORT = process.env.PORT || 3001;
+const MONGO_MAX_POOL_SIZE = 10;
+
+// Behind nginx, take the client IP (used for rate limiting) from X-Forwarded-For
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
+
+// Request IDs and structured request logs; runs first so every log line has them
+app.use(requestContext);
+
+// Request counts and latency for /metrics
+app.use(httpMetrics);
 
 // Performance optimizations
 app.use(compression()); // Enable gzip compression
 app.use(helmet()); // Security headers
-app.use(cors());
+app.use(cors({ exposedHeaders: ['X-Request-Id'] }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Server-Timing headers for every API request, recorded in batches as
+// api_response metrics (apiMetrics is created with the models below)
+app.use('/api', requestTiming((entry) => apiMetrics.record(entry)));
+
 // Redis cache setup
 const redisClient = redis.createClient({
   socket: {
     host: process.env.REDIS_HOST || 'localhost',
-    port: process.env.REDIS_PORT ? parseInt(process.env.REDIS_PORT, 10) : 6379
+    port: process.env.REDIS_PORT ? parseInt(process.env.REDIS_PORT, 10) : 6379,
+    // Keep retrying with exponential backoff (plus jitter) capped at 30s;
+    // the response cache uses its in-memory tier until Redis is back
+    reconnectStrategy: (retries) => Math.min(100 * 2 ** retries, 30000) + Math.floor(Math.random() * 100)
   }
 });
 
 redisClient.on('error', (err) => {
-  console.log('Redis Client Error', err);
+  logger.warn('Redis client error', { error: err.message });
+});
+
+redisClient.on('ready', () => {
+  logger.info('Redis client ready');
+});
+
+const { cache, invalidate, invalidateOnWrite } = createCache(redisClient, {
+  maxEntries: process.env.CACHE_MAX_ENTRIES ? parseInt(process.env.CACHE_MAX_ENTRIES, 10) : 500
 });
 
+// Rate limit policies, counted per signed-in user or else per client IP.
+// Behind a proxy, set TRUST_PROXY (see above) or every client shares the
+// proxy's IP and limits. Admins are exempt from the image optimizer limits.
+const { rateLimit } = createRateLimiter(redisClient);
+const MINUTE = 60 * 1000;
+const notForAdmins = (max) => (req) => (req.user && req.user.role === 'admin' ? Infinity : max);
+const limits = {
+  auth: rateLimit({ name: 'auth', windowMs: 15 * MINUTE, max: 20 }),
+  search: rateLimit({ name: 'search', windowMs: MINUTE, max: 30 }),
+  // The optimizer sends one request per file (a batch of up to
+  // MAX_BATCH_FILES) plus live previews, and backs off on Retry-After
+  optimize: rateLimit({ name: 'optimize', windowMs: MINUTE, max: notForAdmins(60) }),
+  optimizeBatch: rateLimit({ name: 'optimize-batch', windowMs: MINUTE, max: notForAdmins(3) }),
+  transform: rateLimit({ name: 'transform', windowMs: MINUTE, max: 300 }),
+  metrics: rateLimit({ name: 'metrics', windowMs: MINUTE, max: 60 })
+};
+
 // MongoDB connection with optimizations
 // Note: bufferMaxEntries was removed in modern Mongo drivers; using supported options only
 mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/performance-demo', {
-  maxPoolSize: 10,
+  maxPoolSize: MONGO_MAX_POOL_SIZE,
   serverSelectionTimeoutMS: 5000,
   socketTimeoutMS: 45000
 }).catch((err) => {
-  console.error('MongoDB initial connect error:', err.message);
+  logger.error('MongoDB initial connect failed', { error: err.message });
 });
+trackMongoPool(mongoose.connection.getClient(), MONGO_MAX_POOL_SIZE);
 
 // Disable mongoose buffering at the library level to fail fast when DB is down
 mongoose.set('bufferCommands', false);
 
-// Database schemas
-const userSchema = new mongoose.Schema({
-  name: { type: String, required: true, index: true },
-  email: { type: String, required: true, unique: true, index: true },
-  avatar: String,
-  createdAt: { type: Date, default: Date.now, index: true }
-});
-
-const productSchema = new mongoose.Schema({
-  name: { type: String, required: true, index: true },
-  description: String,
-  price: { type: Number, required: true, index: true },
-  category: { type: String, index: true },
-  images: [String],
-  createdAt: { type: Date, default: Date.now, index: true }
+// Indexes are owned by the migration runner (server/migrator.js) rather than
+// created implicitly whenever a model compiles
+mongoose.set('autoIndex', false);
+
+// Attribute query time to the current request (must run before models are compiled)
+mongoose.plugin(timingPlugin);
+
+// Purge cached reads of a collection whenever it changes
+userSchema.plugin(invalidateOnWrite(['users']));
+productSchema.plugin(invalidateOnWrite(['products']));
+
+const { User, Product, Metric, AuditEntry } = compileModels();
+const apiMetrics = metricWriter(Metric, { logger });
+
+// Bring the database up to date once connected; MIGRATE_ON_START is apply
+// (default), check or off. See scripts/migrate.js for the full CLI.
+const migrator = createMigrator(mongoose.connection, { models: { User, Product, Metric, AuditEntry } });
+mongoose.connection.once('open', () => migrator.runOnStartup(process.env.MIGRATE_ON_START || 'apply'));
+
+// Fields clients may write, which are also the fields the audit trail tracks
+const USER_FIELDS = ['name', 'email', 'avatar', 'role'];
+const PRODUCT_FIELDS = ['name', 'description', 'price', 'category', 'images'];
+
+// Audit log of every change to users and products, with admin history and restore
+const { track, auditRouter } = createAuditTrail(AuditEntry, {
+  users: { model: User, fields: USER_FIELDS },
+  products: {
+    model: Product,
+    fields: PRODUCT_FIELDS,
+    // Image files deleted since that version cannot come back with it
+    prepareRestore: async (values) => ({ ...values, images: await keepStoredImages(values.images || []) })
+  }
 });
+const userAudit = track('users');
+const productAudit = track('products');
 
-const User = mongoose.model('User', userSchema);
-const Product = mongoose.model('Product', productSchema);
-
-// Cache middleware
-const cache = (duration = 300) => {
-  return async (req, res, next) => {
-    const key = `cache:${req.originalUrl}`;
-
-    // If Redis is not connected, skip caching
-    if (!redisClient || !redisClient.isOpen) {
-      return next();
-    }
-
-    try {
-      const cached = await redisClient.get(key);
-      if (cached) {
-        return res.json(JSON.parse(cached));
-      }
-
-      res.sendResponse = res.json;
-      res.json = async (body) => {
-        try {
-          // Redis v4 uses setEx instead of setex
-          await redisClient.setEx(key, duration, JSON.stringify(body));
-        } catch (err) {
-          console.error('Redis cache setex error:', err);
-        }
-        res.sendResponse(body);
-      };
-
-      next();
-    } catch (error) {
-      next();
-    }
-  };
-};
+// Admin routes check the account itself, so deleting or demoting an admin
+// takes effect at once rather than when the access token expires
+const requireAdmin = [requireRole('admin'), currentAccount(User)];
 
 // Image optimization middleware
 const upload = multer({
@@ -107,53 +185,145 @@ const upload = multer({
     if (file.mimetype.startsWith('image/')) {
       cb(null, true);
     } else {
-      cb(new Error('Only image files are allowed'), false);
+      cb(new ApiError(400, 'Only image files are allowed', { code: 'INVALID_UPLOAD' }), false);
     }
   }
 });
 
 // Optimize image endpoint
-app.post('/api/optimize-image', upload.single('image'), async (req, res) => {
+// Optional `watermark` file: a logo composited onto the output
+const optimizeUpload = (field, maxCount) => upload.fields([
+  { name: field, maxCount },
+  { name: 'watermark', maxCount: 1 }
+]);
+
+const watermarkLogo = (req) => (req.files && req.files.watermark ? req.files.watermark[0].buffer : null);
+
+// Settings are multipart fields, so they can only be validated once multer has run
+const optimizeBody = validate({ body: OPTIMIZE_SETTINGS });
+
+app.post('/api/optimize-image', operation({
+  operationId: 'optimizeImage',
+  tag: 'Image optimizer',
+  summary: 'Resize, crop, filter and re-encode one image',
+  files: { image: { required: true }, watermark: { description: 'Logo composited onto the output' } },
+  responses: { 200: binary('image/*', 'The optimized image') }
+}), optionalAuth, limits.optimize, imageQueueGuard, optimizeUpload('image', 1), optimizeBody, async (req, res, next) => {
   try {
-    if (!req.file) {
-      return res.status(400).json({ error: 'No image provided' });
+    const image = req.files && req.files.image && req.files.image[0];
+    if (!image) {
+      return sendError(res, 400, 'No image provided', { code: 'INVALID_UPLOAD' });
     }
 
-    const { width = 800, quality = 80, format = 'webp' } = req.body;
+    const settings = optimizeSettings(req.body);
 
-    const optimizedImage = await sharp(req.file.buffer)
-      .resize(parseInt(width), null, {
-        withoutEnlargement: true,
-        fit: 'inside'
-      })
-      .toFormat(format, { quality: parseInt(quality) })
-      .toBuffer();
+    const optimizedImage = await optimizeImage(image.buffer, settings, watermarkLogo(req));
 
     res.set({
-      'Content-Type': `image/${format}`,
+      'Content-Type': `image/${settings.format}`,
       'Content-Length': optimizedImage.length,
       'Cache-Control': 'public, max-age=31536000' // 1 year cache
     });
 
     res.send(optimizedImage);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
+  }
+});
+
+// Batch optimize up to MAX_BATCH_FILES images and download them as one ZIP
+const MAX_BATCH_FILES = 20;
+
+app.post('/api/optimize-images', operation({
+  operationId: 'optimizeImages',
+  tag: 'Image optimizer',
+  summary: `Optimize up to ${MAX_BATCH_FILES} images and download them as a ZIP`,
+  files: { images: { required: true, multiple: true }, watermark: { description: 'Logo composited onto every output' } },
+  responses: { 200: binary('application/zip', 'ZIP of optimized images plus manifest.json') }
+}), optionalAuth, limits.optimizeBatch, imageQueueGuard, optimizeUpload('images', MAX_BATCH_FILES), optimizeBody, async (req, res, next) => {
+  try {
+    const images = req.files && req.files.images;
+    if (!images || images.length === 0) {
+      return sendError(res, 400, 'No images provided', { code: 'INVALID_UPLOAD' });
+    }
+
+    await sendOptimizedArchive(res, images, optimizeSettings(req.body), watermarkLogo(req));
+  } catch (error) {
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      next(error);
+    }
   }
 });
 
+// Fields each list may be sorted by; all of them are indexed in the schemas
+const USER_SORT_FIELDS = ['name', 'createdAt'];
+const PRODUCT_SORT_FIELDS = ['price', 'name', 'createdAt'];
+
+// Query parameters shared by the paginated lists. `limit` is clamped rather
+// than rejected so over-eager clients still get a page. `page` is capped so
+// the skip stays a safe integer; deeper walks should use `cursor` instead.
+const MAX_PAGE_SIZE = 100;
+const MAX_PAGE = 10000;
+const listQuery = (sortFields) => ({
+  page: int({ min: 1, max: MAX_PAGE, default: 1 }),
+  limit: int({ min: 1, max: MAX_PAGE_SIZE, clamp: true, default: 20 }),
+  sort: oneOf(sortFields.flatMap((field) => [field, `-${field}`]), { default: DEFAULT_SORT }),
+  // Empty for the first page of a cursor walk
+  cursor: string({ allowEmpty: true, maxLength: 512 })
+});
+
+const productFilterQuery = {
+  category: string({ trim: true, lowercase: true, maxLength: 100 }),
+  minPrice: number({ min: 0 }),
+  maxPrice: number({ min: 0 }),
+  priceBelow: number({ min: 0, description: 'Exclusive upper bound, as for a price bucket whose maxExclusive is true' })
+};
+
+const invalidCursor = (res) => sendError(res, 400, 'Invalid cursor', {
+  code: 'VALIDATION_ERROR',
+  details: [{ location: 'query', field: 'cursor', message: 'cursor is invalid or was issued for another sort order' }]
+});
+
 // Optimized API endpoints with caching and pagination
-app.get('/api/users', cache(300), async (req, res) => {
+app.get('/api/users', operation({
+  operationId: 'listUsers',
+  tag: 'Users',
+  summary: 'List users by page, or by cursor when `cursor` is sent (empty for the first page)',
+  responses: { 200: json(ref('UserPage')), 304: notModified }
+}), validate({ query: listQuery(USER_SORT_FIELDS) }), cache(300, ['users']), async (req, res, next) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
+    const { page, limit } = req.query;
+    const sort = parseSort(req.query.sort, USER_SORT_FIELDS);
+    const projection = { $project: { name: 1, email: 1, avatar: 1, createdAt: 1 } };
+
+    // Cursor mode: no skip and no count, just the next slice of the index
+    if (isCursorRequest(req)) {
+      const cursor = req.query.cursor ? decodeCursor(req.query.cursor, sort, User.schema) : null;
+      if (req.query.cursor && !cursor) {
+        return invalidCursor(res);
+      }
+
+      const users = await User.aggregate([
+        ...(cursor ? [{ $match: afterCursor(cursor) }] : []),
+        { $sort: sortStage(sort) },
+        { $limit: limit + 1 },
+        projection
+      ]);
+
+      const { items, pagination } = cursorPage(users, limit, sort);
+      return res.json({ users: items, pagination });
+    }
+
     const skip = (page - 1) * limit;
 
     // Use aggregation pipeline for better performance
     const users = await User.aggregate([
-      { $sort: { createdAt: -1 } },
+      { $sort: sortStage(sort) },
       { $skip: skip },
       { $limit: limit },
-      { $project: { name: 1, email: 1, avatar: 1, createdAt: 1 } }
+      projection
     ]);
 
     const total = await User.countDocuments();
@@ -168,33 +338,64 @@ app.get('/api/users', cache(300), async (req, res) => {
       }
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
-app.get('/api/products', cache(300), async (req, res) => {
+// Category and price filters shared by the product list and its facets
+const productFilters = ({ category, minPrice, maxPrice, priceBelow }) => {
+  const categoryFilter = category ? { category } : {};
+  const priceFilter = {};
+  if (minPrice !== undefined || maxPrice !== undefined || priceBelow !== undefined) {
+    priceFilter.price = {};
+    if (minPrice !== undefined) priceFilter.price.$gte = minPrice;
+    if (maxPrice !== undefined) priceFilter.price.$lte = maxPrice;
+    if (priceBelow !== undefined) priceFilter.price.$lt = priceBelow;
+  }
+  return { categoryFilter, priceFilter };
+};
+
+const productListQuery = { ...listQuery(PRODUCT_SORT_FIELDS), ...productFilterQuery };
+
+app.get('/api/products', operation({
+  operationId: 'listProducts',
+  tag: 'Products',
+  summary: 'List products by page, or by cursor when `cursor` is sent (empty for the first page)',
+  responses: { 200: json(ref('ProductPage')), 304: notModified }
+}), validate({ query: productListQuery }), cache(300, ['products']), async (req, res, next) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
+    const { page, limit } = req.query;
     const skip = (page - 1) * limit;
-    const category = req.query.category;
-    const minPrice = req.query.minPrice;
-    const maxPrice = req.query.maxPrice;
+    const sort = parseSort(req.query.sort, PRODUCT_SORT_FIELDS);
 
     // Build query with indexes
-    const query = {};
-    if (category) query.category = category;
-    if (minPrice || maxPrice) {
-      query.price = {};
-      if (minPrice) query.price.$gte = parseFloat(minPrice);
-      if (maxPrice) query.price.$lte = parseFloat(maxPrice);
+    const { categoryFilter, priceFilter } = productFilters(req.query);
+    const query = { ...categoryFilter, ...priceFilter };
+
+    const fields = 'name description price category images createdAt';
+
+    // Cursor mode: no skip and no count, just the next slice of the index
+    if (isCursorRequest(req)) {
+      const cursor = req.query.cursor ? decodeCursor(req.query.cursor, sort, Product.schema) : null;
+      if (req.query.cursor && !cursor) {
+        return invalidCursor(res);
+      }
+
+      const products = await Product.find(cursor ? { $and: [query, afterCursor(cursor)] } : query)
+        .sort(sortStage(sort))
+        .limit(limit + 1)
+        .select(fields)
+        .lean();
+
+      const { items, pagination } = cursorPage(products, limit, sort);
+      return res.json({ products: items, pagination });
     }
 
     const products = await Product.find(query)
-      .sort({ createdAt: -1 })
+      .sort(sortStage(sort))
       .skip(skip)
       .limit(limit)
-      .select('name description price category images createdAt')
+      .select(fields)
       .lean(); // Use lean() for better performance
 
     const total = await Product.countDocuments(query);
@@ -209,56 +410,283 @@ app.get('/api/products', cache(300), async (req, res) => {
       }
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
-// Search endpoint with text indexing
-app.get('/api/search', cache(60), async (req, res) => {
+// Facet counts for the product filter bar. Each facet ignores its own filter,
+// so every category stays selectable while a price range is applied and the
+// histogram still spans all prices within the chosen category.
+const facetsQuery = {
+  ...productFilterQuery,
+  buckets: int({ min: 1, max: 20, clamp: true, default: 5 })
+};
+
+app.get('/api/products/facets', operation({
+  operationId: 'getProductFacets',
+  tag: 'Products',
+  summary: 'Category counts and price histogram; each facet ignores its own filter',
+  responses: { 200: json(ref('ProductFacets')), 304: notModified }
+}), validate({ query: facetsQuery }), cache(300, ['products']), async (req, res, next) => {
   try {
-    const { q, type = 'products' } = req.query;
+    const { buckets } = req.query;
+    const { categoryFilter, priceFilter } = productFilters(req.query);
+
+    const [facets] = await Product.aggregate([
+      {
+        $facet: {
+          total: [
+            { $match: { ...categoryFilter, ...priceFilter } },
+            { $count: 'count' }
+          ],
+          categories: [
+            { $match: { ...priceFilter, category: { $type: 'string' } } },
+            { $group: { _id: '$category', count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } }
+          ],
+          priceRange: [
+            { $match: categoryFilter },
+            { $group: { _id: null, min: { $min: '$price' }, max: { $max: '$price' } } }
+          ],
+          priceBuckets: [
+            { $match: categoryFilter },
+            { $bucketAuto: { groupBy: '$price', buckets } }
+          ]
+        }
+      }
+    ]);
 
-    if (!q || q.length < 2) {
-      return res.json({ results: [] });
+    const range = facets.priceRange[0] || { min: null, max: null };
+    // $bucketAuto bounds are [min, max) except for the last bucket, which
+    // ends at the highest price; filter with priceBelow or maxPrice to match
+    const lastBucket = facets.priceBuckets.length - 1;
+
+    res.json({
+      total: facets.total[0]?.count || 0,
+      categories: facets.categories.map(({ _id, count }) => ({ value: _id, count })),
+      price: {
+        min: range.min,
+        max: range.max,
+        buckets: facets.priceBuckets.map(({ _id, count }, i) => ({
+          min: _id.min,
+          max: _id.max,
+          maxExclusive: i < lastBucket,
+          count
+        }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Upload an image to a product, generating its responsive variants
+const productImageBody = {
+  alt: string({ trim: true, maxLength: 200 })
+};
+
+app.post('/api/products/:id/images', operation({
+  operationId: 'uploadProductImage',
+  tag: 'Products',
+  summary: 'Upload a product image and generate its responsive variants',
+  files: { image: { required: true } },
+  responses: { 201: json({ $ref: '#/components/schemas/Product/properties/images/items' }, 'Created') },
+  notFound: true
+}), requireAdmin, imageQueueGuard, upload.single('image'), validate({ body: productImageBody }), async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return sendError(res, 400, 'No image provided', { code: 'INVALID_UPLOAD' });
     }
 
-    let results = [];
-
-    if (type === 'products') {
-      // Use text search with regex for better performance
-      results = await Product.find({
-        $or: [
-          { name: { $regex: q, $options: 'i' } },
-          { description: { $regex: q, $options: 'i' } }
-        ]
-      })
-      .limit(10)
-      .select('name description price category')
-      .lean();
-    } else if (type === 'users') {
-      results = await User.find({
-        name: { $regex: q, $options: 'i' }
-      })
-      .limit(10)
-      .select('name email avatar')
-      .lean();
+    const product = mongoose.isValidObjectId(req.params.id) ? await Product.findById(req.params.id) : null;
+    if (!product) {
+      return sendError(res, 404, 'Product not found');
     }
 
+    const before = productAudit.snapshot(product);
+    const image = await processProductImage(product._id, req.file.buffer, { alt: req.body.alt });
+    product.images.push(image);
+    try {
+      await product.save();
+    } catch (error) {
+      // The product does not reference the files, so nothing else would delete them
+      await removeProductImage(image).catch((err) => logger.error('Removing unsaved image failed', { error: err }));
+      throw error;
+    }
+    await productAudit.record(req, 'update', before, product);
+
+    res.status(201).json(product.images.id(image._id));
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.delete('/api/products/:id/images/:imageId', operation({
+  operationId: 'deleteProductImage',
+  tag: 'Products',
+  summary: 'Delete a product image and its stored files',
+  responses: { 204: noContent },
+  notFound: true
+}), requireAdmin, async (req, res, next) => {
+  try {
+    const product = mongoose.isValidObjectId(req.params.id) ? await Product.findById(req.params.id) : null;
+    const image = product && mongoose.isValidObjectId(req.params.imageId)
+      ? product.images.id(req.params.imageId)
+      : null;
+    if (!image) {
+      return sendError(res, 404, 'Image not found');
+    }
+
+    const before = productAudit.snapshot(product);
+    image.deleteOne();
+    await product.save();
+    await productAudit.record(req, 'update', before, product);
+    await removeProductImage(image);
+
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// The product image with this id, or null; deleted products are skipped
+const findProductImage = async (id) => {
+  const product = await Product.findOne({ 'images._id': id }, { 'images.$': 1 });
+  return product ? product.images[0] : null;
+};
+
+// Stored image variants
+app.get('/api/images/*', operation({
+  operationId: 'getStoredImage',
+  tag: 'Images',
+  summary: 'A stored image variant (immutable)',
+  responses: { 200: binary('image/*', 'AVIF or WebP image') },
+  notFound: true
+}), serveImage(findProductImage));
+
+// On-the-fly resizing and format negotiation for uploaded images
+app.get('/api/img/:id', operation({
+  operationId: 'transformImage',
+  tag: 'Images',
+  summary: 'Resize and re-encode an uploaded image; the format follows Accept unless fmt is given',
+  responses: { 200: binary('image/*', 'The transformed image'), 304: notModified },
+  notFound: true
+}), limits.transform, imageQueueGuard, transformRoute(findProductImage));
+
+// Authentication
+app.use('/api/auth', limits.auth, authRouter(User, { audit: userAudit }));
+
+// Create, read, update and delete routes; only admins may write
+app.use('/api/users', crudRouter(User, {
+  fields: USER_FIELDS,
+  adminFields: ['role'],
+  projection: 'name email avatar role createdAt',
+  authorizeWrite: requireAdmin,
+  audit: userAudit
+}));
+
+app.use('/api/products', crudRouter(Product, {
+  fields: PRODUCT_FIELDS,
+  projection: 'name description price category images createdAt',
+  authorizeWrite: requireAdmin,
+  audit: productAudit
+}));
+
+// Search endpoint using the $text indexes, ranked by relevance
+const searchTargets = {
+  products: {
+    type: 'product',
+    model: Product,
+    projection: 'name description price category images',
+    fields: ['name', 'description']
+  },
+  users: {
+    type: 'user',
+    model: User,
+    projection: 'name email avatar',
+    fields: ['name']
+  }
+};
+
+const searchQuery = {
+  q: string({ trim: true, maxLength: MAX_QUERY_LENGTH, default: '' }),
+  type: oneOf([...Object.keys(searchTargets), 'all'], { default: 'products' }),
+  limit: int({ min: 1, max: 50, clamp: true, default: 10 })
+};
+
+app.get('/api/search', operation({
+  operationId: 'search',
+  tag: 'Search',
+  summary: 'Full-text search ranked by relevance; queries shorter than 2 characters return no results',
+  responses: { 200: json(ref('SearchResults')), 304: notModified }
+}), limits.search, validate({ query: searchQuery }), cache(60, ['products', 'users']), async (req, res, next) => {
+  try {
+    const { q, type, limit } = req.query;
+
+    if (q.length < 2) {
+      return res.json({ results: [] });
+    }
+
+    const types = type === 'all' ? Object.keys(searchTargets) : [type];
+
+    const lists = await Promise.all(types.map((name) => {
+      const { model, projection, fields } = searchTargets[name];
+      return textSearch(model, q, { projection, fields, limit });
+    }));
+
+    // type=all merges every collection into one list ordered by textScore
+    const results = type === 'all'
+      ? lists
+        .flatMap((list, i) => list.map((doc) => ({ ...doc, type: searchTargets[types[i]].type })))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit)
+      : lists[0];
+
     res.json({ results });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    next(error);
   }
 });
 
-// Health check endpoint
-app.get('/api/health', (req, res) => {
-  res.json({
-    status: 'OK',
-    timestamp: new Date().toISOString(),
-    uptime: process.uptime()
-  });
+// Flush cached responses by tag, e.g. { "tags": ["products"] }
+const flushBody = {
+  tags: array(string({ required: true, trim: true, maxLength: 100 }), { required: true, minItems: 1, maxItems: 50 })
+};
+
+app.post('/api/admin/cache/flush', operation({
+  operationId: 'flushCache',
+  tag: 'Admin',
+  summary: 'Drop cached responses by tag',
+  responses: { 200: json(ref('CacheFlushResult')) }
+}), requireAdmin, validate({ body: flushBody }), async (req, res, next) => {
+  try {
+    const flushed = await invalidate(req.body.tags);
+    res.json({ flushed });
+  } catch (error) {
+    next(error);
+  }
 });
 
+// Audit log, record history and restore of deleted or earlier versions
+app.use('/api/admin', auditRouter({ authorize: requireAdmin }));
+
+// Real-user performance metrics (web vitals beacons) and percentile reports;
+// only admins may read the reports
+app.use('/api/metrics', limits.metrics, metricsRouter(Metric, { authorizeReport: requireAdmin }));
+
+// Prometheus scrape target
+app.get('/metrics', metricsHandler);
+
+// Health checks: /api/health/live (process up) and /api/health/ready (dependencies)
+app.use('/api/health', healthRouter({ mongoose, redisClient, migrator }));
+
+// OpenAPI description (/api/openapi.json) and browsable docs (/api/docs),
+// generated from the routes registered above
+app.use(openapiRouter(app, { User, Product, AuditEntry }));
+
+// Unknown API routes get the error envelope instead of the React app
+app.use('/api', (req, res) => sendError(res, 404, `No route for ${req.method} ${req.baseUrl}${req.path}`));
+
 // Serve static files with caching
 app.use('/static', express.static(path.join(__dirname, '../client/build/static'), {
   maxAge: '1y',
@@ -271,29 +699,23 @@ app.get('*', (req, res) => {
   res.sendFile(path.join(__dirname, '../client/build/index.html'));
 });
 
-// Error handling middleware
-app.use((error, req, res, next) => {
-  console.error('Error:', error);
-  res.status(500).json({
-    error: process.env.NODE_ENV === 'production'
-      ? 'Internal server error'
-      : error.message
-  });
-});
+// Error envelope for everything passed to next(error)
+app.use(errorHandler);
 
 // Graceful shutdown
 process.on('SIGTERM', async () => {
-  console.log('SIGTERM received, shutting down gracefully');
+  logger.info('SIGTERM received, shutting down gracefully');
+  await apiMetrics.flush();
   try {
     // Await Redis quit (modern Redis clients support promises natively)
     await redisClient.quit();
   } catch (err) {
-    console.error('Error closing Redis client:', err);
+    logger.error('Closing Redis client failed', err);
   }
   try {
     await mongoose.connection.close();
   } catch (err) {
-    console.error('Error closing MongoDB connection:', err);
+    logger.error('Closing MongoDB connection failed', err);
   }
   process.exit(0);
 });
@@ -304,13 +726,12 @@ process.on('SIGTERM', async () => {
     if (!redisClient.isOpen) {
       await redisClient.connect();
     }
-    console.log('Redis client connected');
+    logger.info('Redis client connected');
   } catch (e) {
-    console.warn('Redis connect failed:', e.message);
+    logger.warn('Redis connect failed', { error: e.message });
   }
 })();
 
 app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-  console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+  logger.info('Server running', { port: Number(PORT), environment: process.env.NODE_ENV || 'development' });
 });
\ No newline at end of file
@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const { routePattern } = require('./timing');
+
+// Structured JSON logging.
+//
+// Every line is one JSON object: { time, level, msg, ...fields }. Lines logged
+// while handling a request also carry its requestId, method, route, user and
+// duration so far, taken from the request context set up by `requestContext`.
+// Values are redacted before they are written: sensitive keys (passwords,
+// tokens, cookies) are masked, and emails and bearer/JWT tokens are scrubbed
+// from every string.
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const DEFAULT_LEVEL = process.env.NODE_ENV === 'production' ? 'info' : 'debug';
+const MIN_LEVEL = LEVELS[process.env.LOG_LEVEL] || LEVELS[DEFAULT_LEVEL];
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+// Incoming IDs are only trusted if they look like an ID and not like an injection
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+const SENSITIVE_KEY = /pass(word|wd)|secret|token|authorization|cookie|api[-_]?key|email/i;
+const EMAIL = /[\w.+%-]+@[\w-]+(\.[\w-]+)*\.[A-Za-z]{2,}/g;
+const BEARER = /\bBearer\s+[\w.~+/-]+=*/gi;
+const JWT = /\beyJ[\w-]+\.[\w-]+\.[\w-]+/g;
+const MAX_DEPTH = 5;
+
+const storage = new AsyncLocalStorage();
+
+const redactString = (text) => text
+  .replace(BEARER, 'Bearer [REDACTED]')
+  .replace(JWT, '[REDACTED]')
+  .replace(EMAIL, '[EMAIL]');
+
+const serializeError = (error) => ({
+  name: error.name,
+  message: error.message,
+  ...(error.code !== undefined && { code: error.code }),
+  stack: error.stack
+});
+
+const redact = (value, depth = 0) => {
+  if (typeof value === 'string') return redactString(value);
+  if (value instanceof Error) return redact(serializeError(value), depth);
+  if (!value || typeof value !== 'object' || value instanceof Date) return value;
+  if (depth >= MAX_DEPTH) return '[Truncated]';
+  if (Array.isArray(value)) return value.map((item) => redact(item, depth + 1));
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    result[key] = SENSITIVE_KEY.test(key) && item != null ? '[REDACTED]' : redact(item, depth + 1);
+  }
+  return result;
+};
+
+// Fields describing the request being handled, if any
+const requestFields = () => {
+  const context = storage.getStore();
+  if (!context) return {};
+  const { req, requestId, start } = context;
+  return {
+    requestId,
+    method: req.method,
+    route: routePattern(req),
+    user: req.user ? req.user.id : undefined,
+    duration: Math.round(Number(process.hrtime.bigint() - start) / 1e5) / 10
+  };
+};
+
+const write = (level, msg, fields = {}) => {
+  if (LEVELS[level] < MIN_LEVEL) return;
+  // An Error passed as the fields becomes { error }
+  const extra = fields instanceof Error ? { error: fields } : fields;
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg: redactString(String(msg)),
+    ...requestFields(),
+    ...redact(extra)
+  };
+  const line = `${JSON.stringify(entry)}\n`;
+  if (LEVELS[level] >= LEVELS.warn) process.stderr.write(line);
+  else process.stdout.write(line);
+};
+
+const logger = {
+  debug: (msg, fields) => write('debug', msg, fields),
+  info: (msg, fields) => write('info', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields)
+};
+
+// Assign every request an ID (reusing a well-formed incoming X-Request-Id, e.g.
+// from nginx), echo it in the response and log each request once it finishes
+const requestContext = (req, res, next) => {
+  const incoming = req.get(REQUEST_ID_HEADER);
+  const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  const context = { req, requestId, start: process.hrtime.bigint() };
+
+  req.id = requestId;
+  res.set(REQUEST_ID_HEADER, requestId);
+
+  res.on('finish', () => {
+    storage.run(context, () => {
+      let level = 'info';
+      if (res.statusCode >= 500) level = 'error';
+      else if (res.statusCode >= 400) level = 'warn';
+      logger[level]('request completed', {
+        status: res.statusCode,
+        cache: res.locals.cache,
+        contentLength: Number(res.get('Content-Length')) || undefined
+      });
+    });
+  });
+
+  storage.run(context, next);
+};
+
+module.exports = { logger, requestContext };
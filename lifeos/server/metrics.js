@@ -0,0 +1,220 @@
+const express = require('express');
+const { sendError } = require('./errors');
+const { validate, string, date } = require('./validation');
+const { operation, trackRoutes, ref, json } = require('./openapi');
+
+// Real-user performance metrics stored in the performance_metrics collection.
+//
+// Browsers report web vitals with navigator.sendBeacon, which can only send a
+// plain body and never reads the response, so POST accepts JSON sent as either
+// application/json or text/plain and stores whatever entries are valid.
+const MAX_BATCH_SIZE = 50;
+const MAX_URL_LENGTH = 2048;
+const DEFAULT_RANGE_MS = 24 * 60 * 60 * 1000;
+// Clock skew allowed for client-supplied timestamps
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+const METRIC_TYPE_PATTERN = /^[A-Za-z][A-Za-z0-9_]{0,63}$/;
+const RATINGS = ['good', 'needs-improvement', 'poor'];
+const PERCENTILES = [0.5, 0.75, 0.95];
+
+// Keep only the path so query strings (tokens, emails) are never stored
+const normalizeUrl = (value) => {
+  if (typeof value !== 'string' || !value) return undefined;
+  try {
+    return new URL(value, 'http://localhost').pathname.slice(0, MAX_URL_LENGTH);
+  } catch (err) {
+    return undefined;
+  }
+};
+
+const parseTimestamp = (value, now) => {
+  if (value === undefined) return now;
+  const timestamp = new Date(value);
+  const time = timestamp.getTime();
+  if (Number.isNaN(time) || time > now.getTime() + MAX_CLOCK_SKEW_MS || time < now.getTime() - DEFAULT_RANGE_MS) {
+    return null;
+  }
+  return timestamp;
+};
+
+// Returns a document for the collection, or null if the entry is invalid
+const toMetric = (entry, { userAgent, now }) => {
+  if (!entry || typeof entry !== 'object') return null;
+
+  const metricType = entry.metric_type || entry.name;
+  const value = Number(entry.value);
+  const timestamp = parseTimestamp(entry.timestamp, now);
+  if (typeof metricType !== 'string' || !METRIC_TYPE_PATTERN.test(metricType)) return null;
+  if (!Number.isFinite(value) || value < 0 || !timestamp) return null;
+
+  return {
+    metric_type: metricType,
+    value,
+    timestamp,
+    url: normalizeUrl(entry.url),
+    rating: RATINGS.includes(entry.rating) ? entry.rating : undefined,
+    navigation_type: typeof entry.navigationType === 'string' ? entry.navigationType.slice(0, 32) : undefined,
+    user_agent: userAgent ? userAgent.slice(0, 512) : undefined
+  };
+};
+
+// Accept `[...]`, `{ metrics: [...] }` or a single metric object
+const batchEntries = (body) => {
+  let data = body;
+  if (typeof data === 'string') {
+    try {
+      data = JSON.parse(data);
+    } catch (err) {
+      return null;
+    }
+  }
+  if (Array.isArray(data)) return data;
+  if (data && Array.isArray(data.metrics)) return data.metrics;
+  if (data && typeof data === 'object' && Object.keys(data).length > 0) return [data];
+  return null;
+};
+
+const reportQuery = {
+  from: date(),
+  to: date(),
+  type: string({ pattern: /^[A-Za-z0-9_]+(\s*,\s*[A-Za-z0-9_]+)*$/, message: 'must be a comma-separated list of metric types' }),
+  url: string({ maxLength: MAX_URL_LENGTH })
+};
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+// POST is open to every browser; `authorizeReport` (middleware, e.g.
+// requireRole('admin')) guards the reports, which reveal traffic per URL
+const metricsRouter = (Metric, { authorizeReport = [] } = {}) => {
+  const router = trackRoutes(express.Router());
+
+  router.post('/', operation({
+    operationId: 'reportMetrics',
+    tag: 'Metrics',
+    summary: 'Record web vitals; also accepts the same JSON as text/plain (sendBeacon)',
+    body: ref('MetricBatch'),
+    responses: { 202: json(ref('MetricsAccepted'), 'Accepted') }
+  }), express.text({ type: 'text/plain', limit: '64kb' }), async (req, res, next) => {
+    try {
+      const entries = batchEntries(req.body);
+      if (!entries || entries.length === 0) {
+        return sendError(res, 400, 'Expected a metric or an array of metrics', { code: 'INVALID_BODY' });
+      }
+      if (entries.length > MAX_BATCH_SIZE) {
+        return sendError(res, 400, `At most ${MAX_BATCH_SIZE} metrics per request`, { code: 'INVALID_BODY' });
+      }
+
+      const context = { userAgent: req.get('user-agent'), now: new Date() };
+      const metrics = entries.map((entry) => toMetric(entry, context)).filter(Boolean);
+      if (metrics.length === 0) {
+        return sendError(res, 400, 'No valid metrics in request', { code: 'INVALID_BODY' });
+      }
+
+      // Entries are already normalized, so skip Mongoose document hydration
+      await Metric.collection.insertMany(metrics, { ordered: false });
+      res.status(202).json({ accepted: metrics.length, rejected: entries.length - metrics.length });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  // Percentiles per metric type and URL over a time range (default: last 24h).
+  // Filters: from, to (ISO date or epoch ms), type (comma-separated), url
+  router.get('/', operation({
+    operationId: 'getMetricsReport',
+    tag: 'Metrics',
+    summary: 'Percentiles per metric and URL over a time range (default: the last 24 hours)',
+    responses: { 200: json(ref('MetricsReport')) }
+  }), authorizeReport, validate({ query: reportQuery }), async (req, res, next) => {
+    try {
+      const to = req.query.to || new Date();
+      const from = req.query.from || new Date(to.getTime() - DEFAULT_RANGE_MS);
+      if (from > to) {
+        return sendError(res, 400, 'from must not be after to', {
+          code: 'VALIDATION_ERROR',
+          details: [{ location: 'query', field: 'from', message: 'from must not be after to' }]
+        });
+      }
+
+      const match = { timestamp: { $gte: from, $lte: to } };
+      if (req.query.type) {
+        match.metric_type = { $in: req.query.type.split(',').map((type) => type.trim()) };
+      }
+      if (req.query.url) {
+        match.url = normalizeUrl(req.query.url);
+      }
+
+      const groups = await Metric.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: { metric: '$metric_type', url: '$url' },
+            count: { $sum: 1 },
+            avg: { $avg: '$value' },
+            min: { $min: '$value' },
+            max: { $max: '$value' },
+            percentiles: { $percentile: { input: '$value', p: PERCENTILES, method: 'approximate' } }
+          }
+        },
+        { $sort: { '_id.metric': 1, count: -1 } }
+      ]);
+
+      const metrics = groups.map(({ _id, count, avg, min, max, percentiles }) => ({
+        metric: _id.metric,
+        url: _id.url || null,
+        count,
+        avg: round(avg),
+        min,
+        max,
+        p50: percentiles[0],
+        p75: percentiles[1],
+        p95: percentiles[2]
+      }));
+
+      res.json({ from, to, metrics });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  return router;
+};
+
+// Buffers server-side metrics (e.g. api_response entries from timing.js) and
+// writes them with one insertMany per batch instead of one insert per request.
+// A batch is written once it holds `maxBatch` entries or `flushIntervalMs`
+// after its first entry. Entries are dropped, not queued, while MongoDB is
+// disconnected, so an outage cannot grow the buffer without bound. `record`
+// never throws; call `flush` on shutdown.
+const metricWriter = (Metric, { maxBatch = 100, flushIntervalMs = 5000, logger } = {}) => {
+  let batch = [];
+  let timer = null;
+
+  const flush = async () => {
+    clearTimeout(timer);
+    timer = null;
+    const entries = batch;
+    batch = [];
+    if (entries.length === 0 || Metric.db.readyState !== 1) return;
+    try {
+      await Metric.collection.insertMany(entries, { ordered: false });
+    } catch (err) {
+      if (logger) logger.error('Recording metrics failed', { entries: entries.length, error: err.message });
+    }
+  };
+
+  const record = (entry) => {
+    batch.push(entry);
+    if (batch.length >= maxBatch) {
+      flush();
+    } else if (!timer) {
+      timer = setTimeout(flush, flushIntervalMs);
+      // Pending metrics never keep the process alive
+      timer.unref();
+    }
+  };
+
+  return { record, flush };
+};
+
+module.exports = { metricsRouter, metricWriter };
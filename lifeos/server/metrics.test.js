@@ -0,0 +1,152 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { metricsRouter, metricWriter } = require('./metrics');
+const { requireRole } = require('./auth');
+const { compileModels } = require('./models');
+const { errorHandler } = require('./errors');
+
+// Models on a connection that is never opened; database calls are stubbed
+const { Metric } = compileModels(mongoose.createConnection());
+
+const bearer = (role) => `Bearer ${jwt.sign({ sub: 'u1', role, type: 'access' }, process.env.JWT_SECRET || 'development-only-secret')}`;
+
+const buildApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/metrics', metricsRouter(Metric, { authorizeReport: requireRole('admin') }));
+  app.use(errorHandler);
+  return app;
+};
+
+describe('metricsRouter', () => {
+  let app;
+
+  beforeEach(() => {
+    app = buildApp();
+    jest.spyOn(Metric.collection, 'insertMany').mockResolvedValue({});
+    jest.spyOn(Metric, 'aggregate').mockResolvedValue([
+      { _id: { metric: 'LCP', url: '/' }, count: 2, avg: 1200.5004, min: 900, max: 1501, percentiles: [900, 1501, 1501] }
+    ]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('POST /', () => {
+    it('stores the valid entries of a sendBeacon batch', async () => {
+      const res = await request(app)
+        .post('/api/metrics')
+        .set('Content-Type', 'text/plain')
+        .send(JSON.stringify([
+          { name: 'LCP', value: 1234, rating: 'good', url: 'https://example.com/products?token=secret' },
+          { name: 'not a metric', value: 1 }
+        ]));
+
+      expect(res.status).toBe(202);
+      expect(res.body).toEqual({ accepted: 1, rejected: 1 });
+      const [[stored]] = Metric.collection.insertMany.mock.calls;
+      expect(stored).toEqual([expect.objectContaining({ metric_type: 'LCP', value: 1234, url: '/products' })]);
+    });
+
+    it('rejects bodies without valid metrics', async () => {
+      const res = await request(app).post('/api/metrics').send({ name: 'CLS', value: -1 });
+
+      expect(res.status).toBe(400);
+      expect(Metric.collection.insertMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /', () => {
+    it('requires an admin', async () => {
+      const anonymous = await request(app).get('/api/metrics');
+      const user = await request(app).get('/api/metrics').set('Authorization', bearer('user'));
+
+      expect(anonymous.status).toBe(401);
+      expect(user.status).toBe(403);
+      expect(Metric.aggregate).not.toHaveBeenCalled();
+    });
+
+    it('reports percentiles per metric and URL', async () => {
+      const res = await request(app).get('/api/metrics?type=LCP').set('Authorization', bearer('admin'));
+
+      expect(res.status).toBe(200);
+      expect(res.body.metrics).toEqual([
+        { metric: 'LCP', url: '/', count: 2, avg: 1200.5, min: 900, max: 1501, p50: 900, p75: 1501, p95: 1501 }
+      ]);
+      expect(Metric.aggregate.mock.calls[0][0][0].$match.metric_type).toEqual({ $in: ['LCP'] });
+    });
+  });
+});
+
+describe('metricWriter', () => {
+  // Just the parts of the model the writer uses
+  let model;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    model = { db: { readyState: 1 }, collection: { insertMany: jest.fn(async () => {}) } };
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  const inserted = () => model.collection.insertMany.mock.calls.map(([entries]) => entries.map((entry) => entry.value));
+
+  it('writes a batch once it is full', () => {
+    const writer = metricWriter(model, { maxBatch: 3 });
+
+    [1, 2, 3, 4].forEach((value) => writer.record({ value }));
+
+    expect(inserted()).toEqual([[1, 2, 3]]);
+  });
+
+  it('writes a partial batch after the flush interval', () => {
+    const writer = metricWriter(model, { maxBatch: 10, flushIntervalMs: 1000 });
+
+    writer.record({ value: 1 });
+    jest.advanceTimersByTime(999);
+    expect(inserted()).toEqual([]);
+    writer.record({ value: 2 });
+    jest.advanceTimersByTime(1);
+
+    expect(inserted()).toEqual([[1, 2]]);
+  });
+
+  it('flushes what is left on demand', async () => {
+    const writer = metricWriter(model);
+
+    writer.record({ value: 1 });
+    await writer.flush();
+    await writer.flush();
+
+    expect(inserted()).toEqual([[1]]);
+  });
+
+  it('drops entries while MongoDB is disconnected', async () => {
+    const writer = metricWriter(model);
+    model.db.readyState = 0;
+
+    writer.record({ value: 1 });
+    await writer.flush();
+    model.db.readyState = 1;
+    writer.record({ value: 2 });
+    await writer.flush();
+
+    expect(inserted()).toEqual([[2]]);
+  });
+
+  it('logs failed writes instead of throwing', async () => {
+    const logger = { error: jest.fn() };
+    const writer = metricWriter(model, { logger });
+    model.collection.insertMany.mockRejectedValue(new Error('write concern'));
+
+    writer.record({ value: 1 });
+    await expect(writer.flush()).resolves.toBeUndefined();
+
+    expect(logger.error).toHaveBeenCalledWith('Recording metrics failed', { entries: 1, error: 'write concern' });
+  });
+});
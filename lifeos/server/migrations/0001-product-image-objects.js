@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// Products used to store images as plain URL strings. Store them as image
+// subdocuments ({ _id, url }) like every other image, so queries on
+// images._id (e.g. /api/img/:id) find them. The Product model still reads
+// both shapes.
+const BATCH_SIZE = 500;
+
+const rewriteImages = async (db, filter, convert) => {
+  const products = db.collection('products');
+  let batch = [];
+  let changed = 0;
+  const flush = async () => {
+    if (batch.length === 0) return;
+    await products.bulkWrite(batch, { ordered: false });
+    changed += batch.length;
+    batch = [];
+  };
+
+  for await (const product of products.find(filter, { projection: { images: 1 } })) {
+    batch.push({
+      updateOne: {
+        filter: { _id: product._id },
+        update: { $set: { images: product.images.map(convert) } }
+      }
+    });
+    if (batch.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+  return changed;
+};
+
+module.exports = {
+  description: 'Store legacy string product images as { _id, url } subdocuments',
+
+  up: async ({ db, logger }) => {
+    const changed = await rewriteImages(db, { images: { $type: 'string' } }, (image) => (
+      typeof image === 'string' ? { _id: new mongoose.Types.ObjectId(), url: image } : image
+    ));
+    logger.info('Converted string images', { products: changed });
+  },
+
+  // Back to strings for images that are nothing but a URL
+  down: async ({ db, logger }) => {
+    const urlOnly = (image) => image && typeof image === 'object'
+      && typeof image.url === 'string'
+      && Object.keys(image).every((key) => key === '_id' || key === 'url');
+    const changed = await rewriteImages(db, { 'images.url': { $exists: true } }, (image) => (
+      urlOnly(image) ? image.url : image
+    ));
+    logger.info('Restored string images', { products: changed });
+  }
+};
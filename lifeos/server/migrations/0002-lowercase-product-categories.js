@@ -0,0 +1,17 @@
+// The schema trims and lowercases `category` on write, but older documents
+// (and ones inserted outside the app) can hold "Books " or "books" side by
+// side. Filters compare the normalized value and facets group by it, so
+// normalize the stored values too.
+module.exports = {
+  description: 'Trim and lowercase product categories',
+
+  up: async ({ db, logger }) => {
+    const { modifiedCount } = await db.collection('products').updateMany(
+      { category: { $type: 'string', $regex: /[A-Z]|^\s|\s$/ } },
+      [{ $set: { category: { $toLower: { $trim: { input: '$category' } } } } }]
+    );
+    logger.info('Normalized product categories', { products: modifiedCount });
+  }
+
+  // No down(): the original spelling is not kept
+};
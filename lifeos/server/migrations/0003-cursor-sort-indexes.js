@@ -0,0 +1,45 @@
+// Keyset pagination sorts on (field, _id), but name and price only had
+// single-field indexes, so every cursor page sorted in memory on the _id
+// tie-breaker. Replace them with compound (field, _id) indexes; the compound
+// indexes still serve the filters the single-field ones did, and scanned
+// backwards they serve descending sorts as well.
+const INDEXES = {
+  users: ['name'],
+  products: ['name', 'price']
+};
+
+// MongoDB's "index not found" error
+const INDEX_NOT_FOUND = 27;
+
+const dropIfPresent = async (collection, name) => {
+  try {
+    await collection.dropIndex(name);
+  } catch (err) {
+    if (err.code !== INDEX_NOT_FOUND && err.codeName !== 'IndexNotFound') throw err;
+  }
+};
+
+module.exports = {
+  description: 'Replace the name and price indexes with (field, _id) compound indexes',
+
+  up: async ({ db, logger }) => {
+    for (const [collectionName, fields] of Object.entries(INDEXES)) {
+      const collection = db.collection(collectionName);
+      for (const field of fields) {
+        await collection.createIndex({ [field]: 1, _id: 1 });
+        await dropIfPresent(collection, `${field}_1`);
+        logger.info('Created compound cursor index', { collection: collectionName, field });
+      }
+    }
+  },
+
+  down: async ({ db }) => {
+    for (const [collectionName, fields] of Object.entries(INDEXES)) {
+      const collection = db.collection(collectionName);
+      for (const field of fields) {
+        await collection.createIndex({ [field]: 1 });
+        await dropIfPresent(collection, `${field}_1__id_1`);
+      }
+    }
+  }
+};
@@ -0,0 +1,38 @@
+// Deleted users kept their email in the unique index, so the address could
+// not be registered again, and the 409 gave away that a deleted account had
+// used it. Make the index unique only among users that are not deleted. Its
+// filter is the same `deletedAt: null` the soft delete adds to every query,
+// so lookups by email still use it. Users saved before soft deletes have no
+// deletedAt, which matches null, so they stay covered.
+const NAME = 'email_1';
+
+// MongoDB's "index not found" error
+const INDEX_NOT_FOUND = 27;
+
+const dropIfPresent = async (collection, name) => {
+  try {
+    await collection.dropIndex(name);
+  } catch (err) {
+    if (err.code !== INDEX_NOT_FOUND && err.codeName !== 'IndexNotFound') throw err;
+  }
+};
+
+module.exports = {
+  description: 'Only require unique emails among users that are not deleted',
+
+  // The options change but the name does not, so the old index goes first
+  up: async ({ db, logger }) => {
+    const users = db.collection('users');
+    await dropIfPresent(users, NAME);
+    await users.createIndex({ email: 1 }, { name: NAME, unique: true, partialFilterExpression: { deletedAt: null } });
+    logger.info('Email index now ignores deleted users');
+  },
+
+  // Fails with a duplicate key error while a deleted user shares an email
+  // with another user
+  down: async ({ db }) => {
+    const users = db.collection('users');
+    await dropIfPresent(users, NAME);
+    await users.createIndex({ email: 1 }, { name: NAME, unique: true });
+  }
+};
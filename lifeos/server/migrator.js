@@ -0,0 +1,285 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { logger: defaultLogger } = require('./logger');
+
+// Versioned schema migrations.
+//
+// Migrations are the files in server/migrations, applied in file name order
+// (NNNN-description.js). Each exports `up(context)` and optionally
+// `down(context)`; a migration without `down` cannot be rolled back. The
+// context is { db, connection, models, logger }. Prefer the raw driver
+// (`db.collection(...)`) over models so hooks such as cache invalidation do
+// not fire for every migrated document.
+//
+// Applied migrations are recorded in the `migrations` collection as
+// { _id: name, appliedAt, duration }. A lock document in the same collection
+// keeps two processes (e.g. two app instances starting at once) from
+// migrating concurrently.
+//
+// Indexes are reconciled against the Mongoose schemas in server/models.js:
+// missing indexes are created and indexes no schema declares are dropped.
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const COLLECTION = 'migrations';
+const LOCK_ID = '_lock';
+// A lock older than this is assumed to belong to a crashed process
+const LOCK_TTL_MS = 10 * 60 * 1000;
+const LOCK_POLL_MS = 1000;
+const MIGRATION_FILE = /^\d{4}-[\w-]+\.js$/;
+const STARTUP_MODES = ['apply', 'check', 'off'];
+
+class MigrationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MigrationError';
+  }
+}
+
+const loadMigrations = (dir = MIGRATIONS_DIR) => fs.readdirSync(dir)
+  .filter((file) => MIGRATION_FILE.test(file))
+  .sort()
+  .map((file) => {
+    const migration = require(path.join(dir, file));
+    if (typeof migration.up !== 'function') {
+      throw new MigrationError(`${file} does not export an up() function`);
+    }
+    return {
+      name: path.basename(file, '.js'),
+      description: migration.description,
+      up: migration.up,
+      down: migration.down
+    };
+  });
+
+const sleep = (ms) => new Promise((resolve) => {
+  setTimeout(resolve, ms);
+});
+
+const elapsed = (start) => Math.round(Number(process.hrtime.bigint() - start) / 1e5) / 10;
+
+// Readable form of an index key, e.g. { createdAt: -1, _id: -1 } -> createdAt_-1__id_-1
+const indexName = (key) => Object.entries(key).map(([field, order]) => `${field}_${order}`).join('_');
+
+const createMigrator = (connection, { models, migrations = loadMigrations(), logger = defaultLogger }) => {
+  const owner = `${os.hostname()}:${process.pid}`;
+  const collection = () => connection.db.collection(COLLECTION);
+  const context = () => ({ db: connection.db, connection, models, logger });
+
+  const appliedRecords = () => collection()
+    .find({ appliedAt: { $exists: true } })
+    .sort({ _id: 1 })
+    .toArray();
+
+  const acquireLock = async () => {
+    const now = new Date();
+    const lock = { owner, lockedAt: now, expiresAt: new Date(now.getTime() + LOCK_TTL_MS) };
+    try {
+      await collection().insertOne({ _id: LOCK_ID, ...lock });
+      return true;
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+    }
+    // Take over a lock whose holder died without releasing it
+    const taken = await collection().findOneAndUpdate(
+      { _id: LOCK_ID, expiresAt: { $lt: now } },
+      { $set: lock }
+    );
+    return Boolean(taken);
+  };
+
+  const releaseLock = () => collection().deleteOne({ _id: LOCK_ID, owner });
+
+  // Run `task` holding the lock. Without `wait`, fail at once if another
+  // process holds it; with `wait`, poll until it is released.
+  const withLock = async (task, { wait = false } = {}) => {
+    while (!(await acquireLock())) {
+      if (!wait) {
+        const lock = await collection().findOne({ _id: LOCK_ID });
+        throw new MigrationError(
+          `Migrations are locked by ${lock ? `${lock.owner} since ${lock.lockedAt.toISOString()}` : 'another process'}`
+        );
+      }
+      await sleep(LOCK_POLL_MS);
+    }
+    try {
+      return await task();
+    } finally {
+      await releaseLock();
+    }
+  };
+
+  // Drops the lock regardless of its owner; for recovering from a crashed run
+  const unlock = async () => {
+    const { deletedCount } = await collection().deleteOne({ _id: LOCK_ID });
+    return deletedCount > 0;
+  };
+
+  // Index differences per model: { User: { toCreate: [[key, options]], toDrop: [name] } }
+  const diffIndexes = async () => {
+    const diff = {};
+    for (const [name, Model] of Object.entries(models)) {
+      diff[name] = await Model.diffIndexes({ indexOptionsToCreate: true });
+    }
+    return diff;
+  };
+
+  const status = async () => {
+    const records = await appliedRecords();
+    const known = new Set(migrations.map((migration) => migration.name));
+    const appliedNames = new Set(records.map((record) => record._id));
+    return {
+      applied: records.filter((record) => known.has(record._id)),
+      pending: migrations.filter((migration) => !appliedNames.has(migration.name)),
+      // Applied by a newer build, or a migration file was renamed or removed
+      unknown: records.filter((record) => !known.has(record._id)),
+      indexes: await diffIndexes()
+    };
+  };
+
+  // Create missing indexes and, with `drop`, drop stale ones. An index whose
+  // options changed is both stale and missing; without `drop` it is reported
+  // but left alone, because creating it would conflict with the old one.
+  const reconcileIndexes = async ({ drop = true, dryRun = false } = {}) => {
+    const result = {};
+    for (const [name, { toCreate, toDrop }] of Object.entries(await diffIndexes())) {
+      const Model = models[name];
+      const staleKeys = new Set((await Model.listIndexes().catch(() => []))
+        .filter((index) => toDrop.includes(index.name))
+        .map((index) => indexName(index.key)));
+      const creatable = drop ? toCreate : toCreate.filter(([key]) => !staleKeys.has(indexName(key)));
+
+      result[name] = {
+        created: creatable.map(([key, options]) => (options && options.name) || indexName(key)),
+        dropped: drop ? toDrop : [],
+        stale: drop ? [] : toDrop
+      };
+      if (dryRun) continue;
+
+      if (drop && toDrop.length > 0) {
+        await Model.cleanIndexes({ toDrop });
+        logger.info('Dropped stale indexes', { collection: Model.collection.collectionName, indexes: toDrop });
+      }
+      if (creatable.length > 0) {
+        await Model.createIndexes({ toCreate: creatable });
+        logger.info('Created indexes', { collection: Model.collection.collectionName, indexes: result[name].created });
+      }
+      if (!drop && toDrop.length > 0) {
+        logger.warn('Stale indexes left in place; run `npm run migrate -- indexes` to drop them', {
+          collection: Model.collection.collectionName,
+          indexes: toDrop
+        });
+      }
+    }
+    return result;
+  };
+
+  const refuseUnknown = (unknown) => {
+    if (unknown.length > 0) {
+      throw new MigrationError(
+        `The database has migrations this build does not know: ${unknown.map((record) => record._id).join(', ')}`
+      );
+    }
+  };
+
+  const applyPending = async ({ to } = {}) => {
+    const { pending, unknown } = await status();
+    refuseUnknown(unknown);
+    if (to && !migrations.some((migration) => migration.name === to)) {
+      throw new MigrationError(`No migration named ${to}`);
+    }
+
+    const batch = to ? pending.filter((migration) => migration.name <= to) : pending;
+    const applied = [];
+    for (const migration of batch) {
+      logger.info('Applying migration', { migration: migration.name });
+      const start = process.hrtime.bigint();
+      await migration.up(context());
+      const duration = elapsed(start);
+      await collection().insertOne({ _id: migration.name, appliedAt: new Date(), duration });
+      logger.info('Applied migration', { migration: migration.name, duration });
+      applied.push(migration.name);
+    }
+    return applied;
+  };
+
+  // Apply pending migrations (up to and including `to`), then reconcile indexes
+  const up = ({ to, dropIndexes = true } = {}) => withLock(async () => {
+    const applied = await applyPending({ to });
+    const indexes = await reconcileIndexes({ drop: dropIndexes });
+    return { applied, indexes };
+  });
+
+  // Roll back the `steps` most recently applied migrations, newest first
+  const down = ({ steps = 1 } = {}) => withLock(async () => {
+    const { applied, unknown } = await status();
+    refuseUnknown(unknown);
+
+    const batch = applied.slice(-steps).reverse()
+      .map((record) => migrations.find((migration) => migration.name === record._id));
+    const irreversible = batch.filter((migration) => typeof migration.down !== 'function');
+    if (irreversible.length > 0) {
+      throw new MigrationError(`Cannot roll back ${irreversible.map((migration) => migration.name).join(', ')}: no down()`);
+    }
+
+    const reverted = [];
+    for (const migration of batch) {
+      logger.info('Reverting migration', { migration: migration.name });
+      const start = process.hrtime.bigint();
+      await migration.down(context());
+      await collection().deleteOne({ _id: migration.name });
+      logger.info('Reverted migration', { migration: migration.name, duration: elapsed(start) });
+      reverted.push(migration.name);
+    }
+    return reverted;
+  });
+
+  // Startup modes (MIGRATE_ON_START):
+  //   apply - apply pending migrations and create missing indexes (default)
+  //   check - only log what is pending
+  //   off   - do nothing
+  // Startup never rolls back and never drops indexes, waits for a migration
+  // another instance is running, and refuses to touch a database that has
+  // migrations this build does not know (an older build after a rollback).
+  let startupState = { status: 'idle' };
+
+  const runOnStartup = async (mode = 'apply') => {
+    if (mode === 'off') return;
+    startupState = { status: 'running' };
+    try {
+      if (!STARTUP_MODES.includes(mode)) {
+        throw new MigrationError(`MIGRATE_ON_START must be one of ${STARTUP_MODES.join(', ')}`);
+      }
+      if (mode === 'check') {
+        const { pending, unknown, indexes } = await status();
+        const missing = Object.values(indexes).reduce((count, diff) => count + diff.toCreate.length, 0);
+        if (pending.length > 0 || unknown.length > 0 || missing > 0) {
+          logger.warn('Database is not up to date; run `npm run migrate -- up`', {
+            pending: pending.map((migration) => migration.name),
+            unknown: unknown.map((record) => record._id),
+            missingIndexes: missing
+          });
+        }
+      } else {
+        await withLock(async () => {
+          await applyPending();
+          await reconcileIndexes({ drop: false });
+        }, { wait: true });
+      }
+      startupState = { status: 'done' };
+    } catch (error) {
+      startupState = { status: 'failed', error: error.message };
+      logger.error('Startup migrations failed', error);
+    }
+  };
+
+  // Throws while startup migrations are running or after they failed; used
+  // by the readiness probe
+  const checkStartup = () => {
+    if (startupState.status === 'running') throw new Error('Migrations in progress');
+    if (startupState.status === 'failed') throw new Error(startupState.error);
+  };
+
+  return { status, up, down, reconcileIndexes, unlock, runOnStartup, checkStartup };
+};
+
+module.exports = { createMigrator, loadMigrations, MigrationError, MIGRATIONS_DIR };
@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+const { compileModels } = require('./models');
+const { loadMigrations } = require('./migrator');
+
+// Enough of a driver collection to record index changes
+const createFakeCollection = (names) => {
+  const indexes = new Set(names);
+  return {
+    indexes,
+    createIndex: jest.fn(async (key) => {
+      const name = Object.entries(key).map(([field, order]) => `${field}_${order}`).join('_');
+      indexes.add(name);
+      return name;
+    }),
+    dropIndex: jest.fn(async (name) => {
+      if (!indexes.delete(name)) throw Object.assign(new Error('index not found'), { code: 27 });
+    })
+  };
+};
+
+const createFakeDb = (collections) => ({
+  collection: (name) => collections[name]
+});
+
+const logger = { info: () => {}, warn: () => {}, error: () => {} };
+
+describe('migrations', () => {
+  const migration = (name) => loadMigrations().find((candidate) => candidate.name === name);
+
+  it('are loaded in file name order', () => {
+    const names = loadMigrations().map((candidate) => candidate.name);
+
+    expect(names).toEqual([...names].sort());
+    expect(names.every((name) => /^\d{4}-/.test(name))).toBe(true);
+  });
+
+  describe('0003-cursor-sort-indexes', () => {
+    const { up, down } = migration('0003-cursor-sort-indexes');
+
+    it('replaces the single-field sort indexes with (field, _id) ones', async () => {
+      const users = createFakeCollection(['_id_', 'name_1']);
+      const products = createFakeCollection(['_id_', 'name_1', 'price_1']);
+
+      await up({ db: createFakeDb({ users, products }), logger });
+
+      expect([...users.indexes].sort()).toEqual(['_id_', 'name_1__id_1']);
+      expect([...products.indexes].sort()).toEqual(['_id_', 'name_1__id_1', 'price_1__id_1']);
+    });
+
+    it('tolerates indexes that were already dropped, and rolls back', async () => {
+      const users = createFakeCollection(['_id_']);
+      const products = createFakeCollection(['_id_', 'price_1']);
+      const db = createFakeDb({ users, products });
+
+      await up({ db, logger });
+      await down({ db, logger });
+
+      expect([...users.indexes].sort()).toEqual(['_id_', 'name_1']);
+      expect([...products.indexes].sort()).toEqual(['_id_', 'name_1', 'price_1']);
+    });
+
+    it('matches the indexes the schemas declare', () => {
+      const { User, Product } = compileModels(mongoose.createConnection());
+      const keys = (Model) => Model.schema.indexes().map(([key]) => key);
+
+      expect(keys(User)).toContainEqual({ name: 1, _id: 1 });
+      expect(keys(User)).not.toContainEqual({ name: 1 });
+      expect(keys(Product)).toEqual(expect.arrayContaining([{ name: 1, _id: 1 }, { price: 1, _id: 1 }]));
+      expect(keys(Product)).not.toContainEqual({ price: 1 });
+    });
+  });
+
+  describe('0004-unique-email-for-live-users', () => {
+    const { up, down } = migration('0004-unique-email-for-live-users');
+    const liveOnly = { partialFilterExpression: { deletedAt: null } };
+
+    it('swaps the unique email index for one that skips deleted users', async () => {
+      const users = createFakeCollection(['_id_', 'email_1']);
+
+      await up({ db: createFakeDb({ users }), logger });
+
+      expect(users.dropIndex).toHaveBeenCalledWith('email_1');
+      expect(users.createIndex).toHaveBeenCalledWith({ email: 1 }, { name: 'email_1', unique: true, ...liveOnly });
+      expect([...users.indexes].sort()).toEqual(['_id_', 'email_1']);
+    });
+
+    it('creates the index when there was none, and rolls back', async () => {
+      const users = createFakeCollection(['_id_']);
+      const db = createFakeDb({ users });
+
+      await up({ db, logger });
+      await down({ db, logger });
+
+      expect(users.createIndex).toHaveBeenLastCalledWith({ email: 1 }, { name: 'email_1', unique: true });
+      expect([...users.indexes].sort()).toEqual(['_id_', 'email_1']);
+    });
+
+    it('matches the index the user schema declares', () => {
+      const { User } = compileModels(mongoose.createConnection());
+      const emailIndexes = User.schema.indexes().filter(([key]) => 'email' in key);
+
+      expect(emailIndexes).toEqual([[{ email: 1 }, expect.objectContaining({ unique: true, ...liveOnly })]]);
+      expect(User.schema.path('email').options.unique).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,180 @@
+const mongoose = require('mongoose');
+const { CURSOR_SORT } = require('./pagination');
+
+// Database schemas.
+//
+// These schemas, and the indexes they declare, are the one description of the
+// database shape: server/migrator.js creates and drops indexes in MongoDB to
+// match them. Keep this module free of server state (Redis, Express) so the
+// migration CLI can compile the models without starting the server; plugins
+// that need such state are added by the caller before compileModels().
+
+const userSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+  email: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'Invalid email address']
+  },
+  avatar: String,
+  passwordHash: { type: String, select: false },
+  role: { type: String, enum: ['user', 'admin'], default: 'user', required: true },
+  createdAt: { type: Date, default: Date.now, index: true }
+});
+
+// Soft deletes: deleting a user or product sets `deletedAt` instead of
+// removing it, so the record can be restored (see audit.js). Queries and
+// aggregations leave deleted records out unless they opt in with
+// `.setOptions({ withDeleted: true })` / `.option({ withDeleted: true })`.
+// Documents written before soft deletes have no `deletedAt`, which matches
+// null as well. A deleted product keeps its stored image files for the
+// restore; the image routes stop serving them (see images.js).
+const softDelete = (schema) => {
+  schema.add({ deletedAt: { type: Date, default: null } });
+
+  schema.pre(['find', 'findOne', 'countDocuments', 'distinct'], function excludeDeleted() {
+    if (!this.getOptions().withDeleted) this.where({ deletedAt: null });
+  });
+
+  schema.pre('aggregate', function excludeDeleted() {
+    if (!this.options.withDeleted) this.pipeline().unshift({ $match: { deletedAt: null } });
+  });
+};
+
+userSchema.plugin(softDelete);
+
+// Emails are unique among users that are not deleted, so a deleted user's
+// address can be registered again (migration 0004)
+userSchema.index({ email: 1 }, { unique: true, partialFilterExpression: { deletedAt: null } });
+
+// Performance metrics keep the snake_case field names used by scripts/mongo-init.js
+const metricSchema = new mongoose.Schema({
+  metric_type: { type: String, required: true },
+  value: { type: Number, required: true },
+  timestamp: { type: Date, default: Date.now },
+  url: String,
+  rating: String,
+  navigation_type: String,
+  user_agent: String,
+  endpoint: String,
+  method: String,
+  status: Number,
+  cache: String,
+  db_time: Number,
+  db_queries: Number,
+  redis_time: Number,
+  bundle_name: String
+}, { collection: 'performance_metrics', versionKey: false });
+
+metricSchema.index({ timestamp: -1 });
+metricSchema.index({ metric_type: 1, timestamp: -1 });
+
+// Product image: either an external `url`, or an upload with generated variants
+const imageSchema = new mongoose.Schema({
+  url: String,
+  alt: { type: String, maxlength: 200 },
+  width: Number,
+  height: Number,
+  placeholder: String, // blurred LQIP data URI
+  original: {
+    key: String,
+    format: String,
+    size: Number
+  },
+  variants: [{
+    _id: false,
+    format: { type: String, enum: ['avif', 'webp'] },
+    width: Number,
+    height: Number,
+    size: Number,
+    key: String,
+    url: String
+  }]
+});
+
+const productSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true, maxlength: 200 },
+  description: { type: String, maxlength: 2000 },
+  price: { type: Number, required: true, min: 0 },
+  category: { type: String, trim: true, lowercase: true, index: true },
+  images: {
+    type: [imageSchema],
+    // Plain URL strings are still accepted for external images
+    set: (images) => (Array.isArray(images)
+      ? images.map((image) => (typeof image === 'string' ? { url: image } : image))
+      : images)
+  },
+  createdAt: { type: Date, default: Date.now, index: true }
+});
+
+// Older documents stored images as plain URL strings
+productSchema.pre('init', (raw) => {
+  if (Array.isArray(raw.images)) {
+    raw.images = raw.images.map((image) => (typeof image === 'string' ? { url: image } : image));
+  }
+});
+
+productSchema.plugin(softDelete);
+
+// Lets /api/img/:id find the product owning an image
+productSchema.index({ 'images._id': 1 });
+
+// Text indexes backing /api/search
+userSchema.index({ name: 'text' });
+productSchema.index({ name: 'text', description: 'text' });
+
+// Keyset pagination walks (sort field, _id) in index order for every sort
+// the lists allow; scanned backwards these serve descending sorts too. The
+// name and price indexes also back the exact and range filters on them.
+userSchema.index(CURSOR_SORT);
+userSchema.index({ name: 1, _id: 1 });
+productSchema.index(CURSOR_SORT);
+productSchema.index({ name: 1, _id: 1 });
+productSchema.index({ price: 1, _id: 1 });
+
+// One entry per change made through the API (see audit.js). `changes` holds
+// the before and after value of every tracked field that changed.
+const auditEntrySchema = new mongoose.Schema({
+  entity: { type: String, required: true, enum: ['users', 'products'] },
+  documentId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  action: { type: String, required: true, enum: ['create', 'update', 'delete', 'restore'] },
+  actor: {
+    id: mongoose.Schema.Types.ObjectId,
+    role: String
+  },
+  changes: [{
+    _id: false,
+    field: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  requestId: String,
+  timestamp: { type: Date, default: Date.now }
+}, { collection: 'audit_log', versionKey: false });
+
+// History of one record, the whole log, and everything one user did; all
+// newest first with _id as the cursor tie-breaker
+auditEntrySchema.index({ entity: 1, documentId: 1, timestamp: -1, _id: -1 });
+auditEntrySchema.index({ timestamp: -1, _id: -1 });
+auditEntrySchema.index({ 'actor.id': 1, timestamp: -1, _id: -1 });
+
+// Never expose password hashes in API responses
+userSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.passwordHash;
+    return ret;
+  }
+});
+
+// Compile the models on `connection`; global plugins (mongoose.plugin) must be
+// registered before this is called
+const compileModels = (connection = mongoose) => ({
+  User: connection.model('User', userSchema),
+  Product: connection.model('Product', productSchema),
+  Metric: connection.model('Metric', metricSchema),
+  AuditEntry: connection.model('AuditEntry', auditEntrySchema)
+});
+
+module.exports = { userSchema, productSchema, metricSchema, auditEntrySchema, compileModels };
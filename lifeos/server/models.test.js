@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const { compileModels } = require('./models');
+
+// Models on a connection that is never opened; database calls are stubbed
+const { User, Product } = compileModels(mongoose.createConnection());
+
+describe('models', () => {
+  beforeEach(() => {
+    // Reads resolve to the filter the hooks built instead of querying
+    jest.spyOn(mongoose.Query.prototype, '_find').mockImplementation(async function find() { return this.getFilter(); });
+    jest.spyOn(mongoose.Query.prototype, '_findOne').mockImplementation(async function findOne() { return this.getFilter(); });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('soft delete', () => {
+    it('leaves deleted records out of queries', async () => {
+      const id = String(new mongoose.Types.ObjectId());
+
+      expect(await User.find({ role: 'admin' })).toEqual({ role: 'admin', deletedAt: null });
+      expect(await Product.findById(id)).toEqual({ _id: id, deletedAt: null });
+    });
+
+    it('includes them when the query opts in', async () => {
+      expect(await User.find({ role: 'admin' }).setOptions({ withDeleted: true })).toEqual({ role: 'admin' });
+    });
+
+    it('leaves them out of aggregations unless they opt in', async () => {
+      const aggregate = jest.spyOn(Product.collection, 'aggregate').mockReturnValue({ toArray: async () => [] });
+
+      await Product.aggregate([{ $match: { category: 'books' } }]);
+      await Product.aggregate([{ $match: { category: 'books' } }]).option({ withDeleted: true });
+
+      expect(aggregate.mock.calls.map(([pipeline]) => pipeline)).toEqual([
+        [{ $match: { deletedAt: null } }, { $match: { category: 'books' } }],
+        [{ $match: { category: 'books' } }]
+      ]);
+    });
+
+    it('starts records out not deleted', () => {
+      expect(new User({ name: 'Ada', email: 'ada@example.com' }).deletedAt).toBeNull();
+    });
+  });
+
+  describe('product images', () => {
+    it('accepts plain URL strings', () => {
+      const product = new Product({ name: 'Lamp', price: 10, images: ['https://example.com/lamp.jpg'] });
+
+      expect(product.images[0].url).toBe('https://example.com/lamp.jpg');
+    });
+
+    it('reads plain URL strings stored by older versions', () => {
+      const product = Product.hydrate({ _id: new mongoose.Types.ObjectId(), name: 'Lamp', price: 10, images: ['https://example.com/lamp.jpg'] });
+
+      expect(product.images[0].url).toBe('https://example.com/lamp.jpg');
+    });
+  });
+});
@@ -0,0 +1,413 @@
+const express = require('express');
+const path = require('path');
+const { version } = require('../package.json');
+const { renderDocsPage } = require('./api-docs');
+
+// OpenAPI 3 description of the API, served at /api/openapi.json with a
+// browsable version at /api/docs.
+//
+// The document is built from the running app rather than written by hand.
+// Routers created with trackRoutes() record their routes as they are
+// registered, so every /api route is listed. Parameters and request bodies
+// come from the route's validate() schemas, auth requirements from
+// requireAuth / requireRole in its middleware, and the User and Product
+// shapes from their Mongoose schemas. Each route adds what code cannot tell
+// us (names, summaries and response bodies) with operation() next to its
+// other middleware.
+const SPEC_PATH = '/api/openapi.json';
+const DOCS_PATH = '/api/docs';
+
+const compact = (object) => Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const first = (option) => (Array.isArray(option) ? option[0] : option);
+
+// Mongoose schema types as JSON schemas
+const pathSchema = (schemaType) => {
+  const { instance, options } = schemaType;
+  switch (instance) {
+    case 'String':
+      return compact({
+        type: 'string',
+        enum: Array.isArray(options.enum) ? options.enum : undefined,
+        minLength: first(options.minlength),
+        maxLength: first(options.maxlength),
+        pattern: options.match ? first(options.match).source : undefined
+      });
+    case 'Number':
+      return compact({ type: 'number', minimum: first(options.min), maximum: first(options.max) });
+    case 'Boolean':
+      return { type: 'boolean' };
+    case 'Date':
+      return compact({ type: 'string', format: 'date-time', nullable: options.default === null ? true : undefined });
+    case 'ObjectId':
+      return { type: 'string', pattern: '^[a-f0-9]{24}$' };
+    case 'Embedded':
+      return modelSchema(schemaType.schema);
+    case 'Array':
+      return {
+        type: 'array',
+        items: schemaType.$isMongooseDocumentArray
+          ? modelSchema(schemaType.schema)
+          : pathSchema(schemaType.caster)
+      };
+    default:
+      return {};
+  }
+};
+
+// Object schema for a Mongoose schema; fields with `select: false` are never
+// sent to clients and are left out
+const modelSchema = (schema) => {
+  const root = { type: 'object', properties: {} };
+
+  schema.eachPath((name, schemaType) => {
+    if (name === '__v' || schemaType.options.select === false) return;
+
+    // Nested paths such as `original.key` become nested objects
+    const parts = name.split('.');
+    let target = root;
+    for (const part of parts.slice(0, -1)) {
+      target.properties[part] = target.properties[part] || { type: 'object', properties: {} };
+      target = target.properties[part];
+    }
+
+    const field = parts[parts.length - 1];
+    target.properties[field] = name === '_id' ? { ...pathSchema(schemaType), readOnly: true } : pathSchema(schemaType);
+    if (schemaType.isRequired) {
+      target.required = [...(target.required || []), field];
+    }
+  });
+
+  return root;
+};
+
+const integer = { type: 'integer' };
+const number = { type: 'number' };
+const string = { type: 'string' };
+const nullable = (schema) => ({ ...schema, nullable: true });
+const object = (properties, required) => compact({ type: 'object', properties, required });
+const arrayOf = (items) => ({ type: 'array', items });
+
+// Components that do not come from a Mongoose model
+const staticSchemas = {
+  ErrorResponse: object({
+    error: object({
+      code: { ...string, example: 'VALIDATION_ERROR' },
+      message: string,
+      details: arrayOf(object({
+        location: { type: 'string', enum: ['params', 'query', 'body'] },
+        field: string,
+        message: string
+      }))
+    }, ['code', 'message', 'details'])
+  }, ['error']),
+  PagePagination: object({ page: integer, limit: integer, total: integer, pages: integer }),
+  CursorPagination: object({
+    limit: integer,
+    hasMore: { type: 'boolean' },
+    nextCursor: nullable({ ...string, description: 'Pass as `cursor` to fetch the next page' })
+  }),
+  UserPage: object({
+    users: arrayOf(ref('User')),
+    pagination: { oneOf: [ref('PagePagination'), ref('CursorPagination')] }
+  }),
+  ProductPage: object({
+    products: arrayOf(ref('Product')),
+    pagination: { oneOf: [ref('PagePagination'), ref('CursorPagination')] }
+  }),
+  ProductFacets: object({
+    total: integer,
+    categories: arrayOf(object({ value: string, count: integer })),
+    price: object({
+      min: nullable(number),
+      max: nullable(number),
+      buckets: arrayOf(object({
+        min: number,
+        max: number,
+        maxExclusive: { type: 'boolean', description: 'Whether `max` itself falls in the next bucket' },
+        count: integer
+      }))
+    })
+  }),
+  Highlight: object({
+    snippet: string,
+    ranges: arrayOf({ ...arrayOf(integer), description: '[start, end) offsets into snippet' })
+  }),
+  SearchResults: object({
+    results: arrayOf({
+      type: 'object',
+      description: 'A matching product or user with its relevance score',
+      properties: {
+        _id: string,
+        score: number,
+        type: { type: 'string', enum: ['product', 'user'], description: 'Only set for type=all' },
+        highlights: { type: 'object', additionalProperties: ref('Highlight') }
+      },
+      additionalProperties: true
+    })
+  }),
+  AuditPage: object({
+    entries: arrayOf(ref('AuditEntry')),
+    pagination: ref('CursorPagination')
+  }),
+  RecordHistory: object({
+    record: { oneOf: [ref('User'), ref('Product')], description: 'The record as it is now, deleted or not' },
+    entries: arrayOf(ref('AuditEntry')),
+    pagination: ref('CursorPagination')
+  }),
+  TokenPair: object({ accessToken: string, refreshToken: string }),
+  AuthResponse: object({ user: ref('User'), accessToken: string, refreshToken: string }),
+  CacheFlushResult: object({ flushed: { type: 'object', additionalProperties: integer } }),
+  MetricInput: object({
+    name: { ...string, description: 'Metric type, e.g. LCP (or metric_type)' },
+    value: { ...number, minimum: 0 },
+    timestamp: { ...string, format: 'date-time' },
+    url: string,
+    rating: { type: 'string', enum: ['good', 'needs-improvement', 'poor'] },
+    navigationType: string
+  }, ['name', 'value']),
+  MetricBatch: {
+    oneOf: [
+      arrayOf(ref('MetricInput')),
+      object({ metrics: arrayOf(ref('MetricInput')) }),
+      ref('MetricInput')
+    ]
+  },
+  MetricsAccepted: object({ accepted: integer, rejected: integer }),
+  MetricsReport: object({
+    from: { ...string, format: 'date-time' },
+    to: { ...string, format: 'date-time' },
+    metrics: arrayOf(object({
+      metric: string,
+      url: nullable(string),
+      count: integer,
+      avg: number,
+      min: number,
+      max: number,
+      p50: number,
+      p75: number,
+      p95: number
+    }))
+  }),
+  Health: object({
+    status: { type: 'string', enum: ['OK', 'DEGRADED', 'DOWN'] },
+    timestamp: { ...string, format: 'date-time' },
+    uptime: number,
+    checks: {
+      type: 'object',
+      additionalProperties: object({
+        status: { type: 'string', enum: ['up', 'down'] },
+        critical: { type: 'boolean' },
+        latency: number,
+        error: string
+      })
+    }
+  })
+};
+
+const json = (schema, description = 'OK') => ({ description, content: { 'application/json': { schema } } });
+const binary = (type, description) => ({ description, content: { [type]: { schema: { type: 'string', format: 'binary' } } } });
+const noContent = { description: 'No content' };
+const notModified = { description: 'Not modified (ETag matched)' };
+
+// Route metadata for the spec, added to a route's middleware like validate():
+//   router.get('/:id', operation({ operationId: 'getUser', summary: 'Get a user' }), ...)
+// `operationId`, `tag`, `summary` and `responses` are copied into the spec.
+// `body` is a JSON request body schema for routes without a validate() body,
+// `files` lists multipart uploads ({ name: { required, multiple, description } })
+// and `notFound` / `conflict` add the 404 and 409 responses.
+const operation = (meta) => {
+  const documentOperation = (req, res, next) => next();
+  documentOperation.operation = meta;
+  return documentOperation;
+};
+
+// Routes recorded by trackRoutes(), per app or router
+const ROUTE_METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+const trackedRoutes = new WeakMap();
+
+// Record the routes registered on an Express app or router, and the tracked
+// routers mounted on it with use(), so the spec can list them without reading
+// Express internals. Returns `router`.
+const trackRoutes = (router) => {
+  const entries = [];
+  trackedRoutes.set(router, entries);
+
+  for (const method of ROUTE_METHODS) {
+    const register = router[method];
+    router[method] = function trackedRoute(routePath, ...handlers) {
+      // app.get(name) without handlers reads a setting
+      if (handlers.length > 0) entries.push({ method, path: routePath, handlers: handlers.flat(Infinity) });
+      return register.call(this, routePath, ...handlers);
+    };
+  }
+
+  const use = router.use;
+  router.use = function trackedUse(...args) {
+    const [mount, handlers] = typeof args[0] === 'string' ? [args[0], args.slice(1).flat(Infinity)] : ['', args.flat(Infinity)];
+    handlers.forEach((handler, i) => {
+      if (trackedRoutes.has(handler)) entries.push({ mount, middleware: handlers.slice(0, i), router: handler });
+    });
+    return use.apply(this, args);
+  };
+
+  return router;
+};
+
+// Express paths to OpenAPI paths: /users/:id -> /users/{id}, /images/* -> /images/{key}
+const toOpenApiPath = (expressPath) => (expressPath.replace(/(.)\/$/, '$1')
+  .replace(/:(\w+)/g, '{$1}')
+  .replace('*', '{key}'));
+
+// Every [method, path, handlers] of a tracked router under `prefix`, in
+// registration order; `middleware` runs before the router's own
+const collectRoutes = (router, prefix = '', middleware = []) => (trackedRoutes.get(router) || []).flatMap((entry) => (
+  entry.router
+    ? collectRoutes(entry.router, prefix + entry.mount, [...middleware, ...entry.middleware])
+    : [[entry.method, toOpenApiPath(prefix + entry.path), [...middleware, ...entry.handlers]]]
+));
+
+const isDocumented = (routePath) => routePath.startsWith('/api/') && routePath !== SPEC_PATH && !routePath.startsWith(DOCS_PATH);
+
+// Merge the schemas of every validate() in a route's middleware
+const routeSchemas = (handlers) => handlers
+  .filter((handler) => handler.schemas)
+  .reduce((merged, { schemas }) => ({
+    params: { ...merged.params, ...schemas.params },
+    query: { ...merged.query, ...schemas.query },
+    body: { ...merged.body, ...schemas.body }
+  }), { params: {}, query: {}, body: {} });
+
+const rulesSchema = (rules) => compact({
+  type: 'object',
+  properties: Object.fromEntries(Object.entries(rules).map(([name, rule]) => [name, rule.schema])),
+  required: Object.keys(rules).filter((name) => rules[name].required).length
+    ? Object.keys(rules).filter((name) => rules[name].required)
+    : undefined
+});
+
+const errorResponse = (description) => json(ref('ErrorResponse'), description);
+
+const buildOperation = (method, routePath, handlers) => {
+  const described = handlers.find((handler) => handler.operation);
+  const meta = described ? described.operation : {};
+  const schemas = routeSchemas(handlers);
+  const roleCheck = handlers.find((handler) => handler.roles);
+  const secured = handlers.some((handler) => handler.requiresToken);
+
+  const pathNames = [...routePath.matchAll(/\{(\w+)\}/g)].map((match) => match[1]);
+  const parameters = [
+    ...pathNames.map((name) => ({
+      name,
+      in: 'path',
+      required: true,
+      schema: schemas.params[name] ? schemas.params[name].schema : { type: 'string' }
+    })),
+    ...Object.entries(schemas.query).map(([name, rule]) => compact({
+      name,
+      in: 'query',
+      required: rule.required || undefined,
+      schema: rule.schema
+    }))
+  ];
+
+  let requestBody;
+  if (meta.files) {
+    const form = rulesSchema(schemas.body);
+    for (const [name, file] of Object.entries(meta.files)) {
+      const schema = { type: 'string', format: 'binary', description: file.description };
+      form.properties = { ...form.properties, [name]: file.multiple ? arrayOf(schema) : compact(schema) };
+      if (file.required) form.required = [...(form.required || []), name];
+    }
+    requestBody = { required: true, content: { 'multipart/form-data': { schema: form } } };
+  } else if (Object.keys(schemas.body).length > 0) {
+    requestBody = { required: true, content: { 'application/json': { schema: rulesSchema(schemas.body) } } };
+  } else if (meta.body) {
+    requestBody = { required: true, content: { 'application/json': { schema: meta.body } } };
+  }
+
+  const responses = { ...(meta.responses || { 200: { description: 'OK' } }) };
+  if (parameters.length > 0 || requestBody) responses[400] = responses[400] || errorResponse('Invalid request');
+  if (secured) responses[401] = responses[401] || errorResponse('Missing or invalid access token');
+  if (roleCheck) responses[403] = errorResponse(`Requires role: ${roleCheck.roles.join(' or ')}`);
+  if (meta.notFound) responses[404] = errorResponse('Not found');
+  if (meta.conflict) responses[409] = errorResponse('A unique field is already taken');
+  responses[500] = errorResponse('Unexpected server error');
+
+  return compact({
+    operationId: meta.operationId,
+    tags: [meta.tag || routePath.split('/')[2]],
+    summary: meta.summary,
+    description: roleCheck ? `Requires role: ${roleCheck.roles.join(' or ')}.` : undefined,
+    security: secured ? [{ bearerAuth: [] }] : undefined,
+    parameters: parameters.length > 0 ? parameters : undefined,
+    requestBody,
+    responses
+  });
+};
+
+const buildSpec = (app, models) => {
+  const paths = {};
+  for (const [method, routePath, handlers] of collectRoutes(app)) {
+    if (!isDocumented(routePath)) continue;
+    paths[routePath] = { ...paths[routePath], [method]: buildOperation(method, routePath, handlers) };
+  }
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'LifeOS API',
+      version,
+      description: 'Errors use one envelope: `{ "error": { "code", "message", "details": [] } }`.'
+    },
+    servers: [{ url: '/' }],
+    paths,
+    components: {
+      schemas: {
+        ...Object.fromEntries(Object.entries(models).map(([name, Model]) => [name, modelSchema(Model.schema)])),
+        ...staticSchemas
+      },
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+      }
+    }
+  };
+};
+
+// GET /api/openapi.json, /api/docs and the docs page script. `app` must be
+// tracked (see trackRoutes); `models` maps component names to Mongoose
+// models, e.g. { User, Product }.
+const openapiRouter = (app, models) => {
+  const router = express.Router();
+  // Routes are all registered before the first request, so build once
+  let spec = null;
+  const getSpec = () => spec || (spec = buildSpec(app, models));
+
+  router.get(SPEC_PATH, (req, res) => {
+    res.set('Cache-Control', 'no-cache');
+    res.json(getSpec());
+  });
+
+  router.get(DOCS_PATH, (req, res) => {
+    res.set('Cache-Control', 'no-cache');
+    res.type('html').send(renderDocsPage(getSpec(), { specPath: SPEC_PATH, scriptPath: `${DOCS_PATH}/try-it.js` }));
+  });
+
+  router.get(`${DOCS_PATH}/try-it.js`, (req, res) => {
+    res.sendFile(path.join(__dirname, 'docs-ui', 'try-it.js'));
+  });
+
+  return router;
+};
+
+module.exports = {
+  openapiRouter,
+  buildSpec,
+  operation,
+  trackRoutes,
+  ref,
+  json,
+  binary,
+  noContent,
+  notModified
+};
@@ -0,0 +1,104 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { buildSpec, openapiRouter, operation, trackRoutes, ref, json } = require('./openapi');
+const { requireRole } = require('./auth');
+const { validate, int, objectId, string } = require('./validation');
+
+const Widget = mongoose.createConnection().model('Widget', new mongoose.Schema({
+  name: { type: String, required: true, maxlength: 50 },
+  secret: { type: String, select: false },
+  archivedAt: { type: Date, default: null }
+}));
+
+const ok = (req, res) => res.json({ ok: true });
+
+const buildApp = () => {
+  const app = trackRoutes(express());
+
+  const widgets = trackRoutes(express.Router());
+  widgets.get('/:id', operation({
+    operationId: 'getWidget',
+    tag: 'Widgets',
+    summary: 'Get a widget',
+    responses: { 200: json(ref('Widget')) },
+    notFound: true
+  }), validate({ params: { id: objectId() }, query: { depth: int({ min: 1, required: true }) } }), ok);
+  widgets.post('/', operation({ operationId: 'createWidget' }), requireRole('admin'), validate({ body: { name: string({ required: true }) } }), ok);
+
+  app.use('/api/widgets', (req, res, next) => next(), widgets);
+  app.post('/api/upload', operation({ operationId: 'upload', files: { file: { required: true } } }), ok);
+  app.get('/internal', ok);
+  app.use(openapiRouter(app, { Widget }));
+  return app;
+};
+
+describe('openapi', () => {
+  let spec;
+
+  beforeAll(() => {
+    spec = buildSpec(buildApp(), { Widget });
+  });
+
+  it('lists tracked /api routes through mounted routers', () => {
+    expect(Object.keys(spec.paths)).toEqual(['/api/widgets/{id}', '/api/widgets', '/api/upload']);
+  });
+
+  it('takes names and responses from operation()', () => {
+    const getWidget = spec.paths['/api/widgets/{id}'].get;
+
+    expect(getWidget).toMatchObject({ operationId: 'getWidget', tags: ['Widgets'], summary: 'Get a widget' });
+    expect(Object.keys(getWidget.responses)).toEqual(['200', '400', '404', '500']);
+  });
+
+  it('documents parameters and bodies from validate()', () => {
+    const { parameters } = spec.paths['/api/widgets/{id}'].get;
+    const { requestBody } = spec.paths['/api/widgets'].post;
+
+    expect(parameters).toEqual([
+      { name: 'id', in: 'path', required: true, schema: { type: 'string', pattern: '^[a-f0-9]{24}$' } },
+      { name: 'depth', in: 'query', required: true, schema: { type: 'integer', minimum: 1 } }
+    ]);
+    expect(requestBody.content['application/json'].schema).toEqual({
+      type: 'object',
+      properties: { name: { type: 'string' } },
+      required: ['name']
+    });
+  });
+
+  it('documents auth from requireAuth and requireRole', () => {
+    const createWidget = spec.paths['/api/widgets'].post;
+
+    expect(createWidget.security).toEqual([{ bearerAuth: [] }]);
+    expect(createWidget.description).toBe('Requires role: admin.');
+    expect(createWidget.responses).toHaveProperty('401');
+    expect(createWidget.responses).toHaveProperty('403');
+    expect(spec.paths['/api/widgets/{id}'].get.security).toBeUndefined();
+  });
+
+  it('documents uploads as multipart forms', () => {
+    const { schema } = spec.paths['/api/upload'].post.requestBody.content['multipart/form-data'];
+
+    expect(schema).toMatchObject({ properties: { file: { type: 'string', format: 'binary' } }, required: ['file'] });
+  });
+
+  it('describes models from their Mongoose schemas', () => {
+    const widget = spec.components.schemas.Widget;
+
+    expect(widget.required).toEqual(['name']);
+    expect(widget.properties.name).toEqual({ type: 'string', maxLength: 50 });
+    expect(widget.properties.archivedAt).toEqual({ type: 'string', format: 'date-time', nullable: true });
+    expect(widget.properties).not.toHaveProperty('secret');
+  });
+
+  it('keeps tracked apps working as usual', async () => {
+    const app = buildApp();
+    app.set('answer', 42);
+
+    const res = await request(app).get('/api/openapi.json');
+
+    expect(app.get('answer')).toBe(42);
+    expect(res.status).toBe(200);
+    expect(res.body.paths).toEqual(spec.paths);
+  });
+});
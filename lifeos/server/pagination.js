@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+
+// Sorting and keyset ("cursor") pagination for list endpoints.
+//
+// Lists sort on one whitelisted field plus _id as a tie-breaker. The cursor is
+// an opaque base64url token holding that sort key for the last item on the
+// previous page, so each page is an index range scan instead of a skip over
+// every earlier document.
+const DEFAULT_SORT = '-createdAt';
+const CURSOR_SORT = { createdAt: -1, _id: -1 };
+
+// Parse `name` / `-name` into { field, direction }, or null if not allowed
+const parseSort = (value = DEFAULT_SORT, allowedFields) => {
+  if (typeof value !== 'string') return null;
+  const descending = value.startsWith('-');
+  const field = descending ? value.slice(1) : value;
+  if (!allowedFields.includes(field)) return null;
+  return { field, direction: descending ? -1 : 1 };
+};
+
+const sortStage = ({ field, direction }) => ({ [field]: direction, _id: direction });
+
+const encodeCursor = (doc, { field, direction }) => {
+  const payload = { f: field, d: direction, v: doc[field], i: String(doc._id) };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+// The cursor value as the sort field's schema type, or undefined if it is not
+// one. Cursors come from the client, so anything else (an object such as
+// { $ne: null } in particular) must never reach the query.
+const cursorValue = (value, type) => {
+  switch (type) {
+    case 'String':
+      return typeof value === 'string' ? value : undefined;
+    case 'Number':
+      return Number.isFinite(value) ? value : undefined;
+    case 'Date': {
+      const date = typeof value === 'string' ? new Date(value) : null;
+      return date && !Number.isNaN(date.getTime()) ? date : undefined;
+    }
+    default:
+      return undefined;
+  }
+};
+
+// Returns { field, direction, value, _id }, or null if the cursor is malformed,
+// was issued for a different sort order or holds a value that does not match
+// the sort field's type in `schema`
+const decodeCursor = (cursor, sort, schema) => {
+  try {
+    const { f, d, v, i } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (f !== sort.field || d !== sort.direction || typeof i !== 'string' || !mongoose.isValidObjectId(i)) return null;
+
+    const path = schema.path(f);
+    const value = cursorValue(v, path && path.instance);
+    if (value === undefined) return null;
+
+    return { field: f, direction: d, value, _id: new mongoose.Types.ObjectId(i) };
+  } catch (err) {
+    return null;
+  }
+};
+
+// Filter matching documents that sort after the cursor position
+const afterCursor = ({ field, direction, value, _id }) => {
+  const op = direction === -1 ? '$lt' : '$gt';
+  return {
+    $or: [
+      { [field]: { [op]: value } },
+      { [field]: value, _id: { [op]: _id } }
+    ]
+  };
+};
+
+// Requests opt into cursor mode by sending `cursor` (empty for the first page)
+const isCursorRequest = (req) => req.query.cursor !== undefined;
+
+// Given limit + 1 fetched items, trim the extra one and build the pagination block
+const cursorPage = (items, limit, sort) => {
+  const hasMore = items.length > limit;
+  const page = hasMore ? items.slice(0, limit) : items;
+  return {
+    items: page,
+    pagination: {
+      limit,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1], sort) : null
+    }
+  };
+};
+
+module.exports = {
+  DEFAULT_SORT,
+  CURSOR_SORT,
+  parseSort,
+  sortStage,
+  encodeCursor,
+  decodeCursor,
+  afterCursor,
+  isCursorRequest,
+  cursorPage
+};
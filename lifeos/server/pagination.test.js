@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+const {
+  parseSort,
+  sortStage,
+  encodeCursor,
+  decodeCursor,
+  afterCursor,
+  cursorPage
+} = require('./pagination');
+
+const schema = new mongoose.Schema({ name: String, price: Number, createdAt: Date, tags: [String] });
+
+// Hand-built cursors, as a client could send them
+const forge = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+describe('pagination', () => {
+  const _id = new mongoose.Types.ObjectId();
+
+  describe('parseSort', () => {
+    it('parses ascending and descending fields', () => {
+      expect(parseSort('name', ['name'])).toEqual({ field: 'name', direction: 1 });
+      expect(parseSort('-name', ['name'])).toEqual({ field: 'name', direction: -1 });
+    });
+
+    it('rejects fields that are not allowed', () => {
+      expect(parseSort('passwordHash', ['name'])).toBeNull();
+      expect(parseSort(['name'], ['name'])).toBeNull();
+    });
+
+    it('breaks ties on _id in the same direction', () => {
+      expect(sortStage({ field: 'price', direction: -1 })).toEqual({ price: -1, _id: -1 });
+    });
+  });
+
+  describe('cursors', () => {
+    it.each([
+      ['name', 'Widget'],
+      ['price', 9.5],
+      ['createdAt', new Date('2026-01-02T03:04:05Z')]
+    ])('round-trip a %s sort key', (field, value) => {
+      const sort = { field, direction: 1 };
+      const decoded = decodeCursor(encodeCursor({ [field]: value, _id }, sort), sort, schema);
+
+      expect(decoded).toEqual({ field, direction: 1, value, _id });
+    });
+
+    it('are only valid for the sort order they were issued for', () => {
+      const cursor = encodeCursor({ price: 5, _id }, { field: 'price', direction: 1 });
+
+      expect(decodeCursor(cursor, { field: 'price', direction: -1 }, schema)).toBeNull();
+      expect(decodeCursor(cursor, { field: 'name', direction: 1 }, schema)).toBeNull();
+    });
+
+    it('reject garbage', () => {
+      const sort = { field: 'name', direction: 1 };
+
+      expect(decodeCursor('not base64 json', sort, schema)).toBeNull();
+      expect(decodeCursor(forge({ f: 'name', d: 1, v: 'a', i: 'nope' }), sort, schema)).toBeNull();
+      expect(decodeCursor(forge({ f: 'name', d: 1, v: 'a', i: { $ne: null } }), sort, schema)).toBeNull();
+    });
+
+    it.each([
+      ['name', { $ne: null }],
+      ['name', 42],
+      ['price', { $gt: 0 }],
+      ['price', '5'],
+      ['price', null],
+      ['createdAt', { $exists: true }],
+      ['createdAt', 'yesterday'],
+      ['createdAt', 1767225600000],
+      ['tags', 'a']
+    ])('reject a %s value of %p', (field, v) => {
+      const sort = { field, direction: 1 };
+
+      expect(decodeCursor(forge({ f: field, d: 1, v, i: String(_id) }), sort, schema)).toBeNull();
+    });
+  });
+
+  describe('afterCursor', () => {
+    it('matches documents after the position, breaking ties on _id', () => {
+      expect(afterCursor({ field: 'price', direction: -1, value: 5, _id })).toEqual({
+        $or: [{ price: { $lt: 5 } }, { price: 5, _id: { $lt: _id } }]
+      });
+    });
+  });
+
+  describe('cursorPage', () => {
+    const sort = { field: 'price', direction: 1 };
+    const items = [1, 2, 3].map((price) => ({ price, _id: new mongoose.Types.ObjectId() }));
+
+    it('trims the look-ahead item and points at the last one kept', () => {
+      const { items: page, pagination } = cursorPage(items, 2, sort);
+
+      expect(page).toHaveLength(2);
+      expect(pagination.hasMore).toBe(true);
+      expect(decodeCursor(pagination.nextCursor, sort, schema)).toMatchObject({ value: 2, _id: items[1]._id });
+    });
+
+    it('has no next cursor on the last page', () => {
+      expect(cursorPage(items, 3, sort).pagination).toEqual({ limit: 3, hasMore: false, nextCursor: null });
+    });
+  });
+});
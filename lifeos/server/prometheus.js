@@ -0,0 +1,140 @@
+const client = require('prom-client');
+const { routePattern } = require('./timing');
+const { sendError } = require('./errors');
+
+// Prometheus telemetry served at /metrics.
+//
+// Everything is registered on a private registry so tests or a second app
+// instance never collide with prom-client's global default registry.
+const register = new client.Registry();
+
+// Process CPU/memory/GC plus event loop lag (nodejs_eventloop_lag_*)
+client.collectDefaultMetrics({ register });
+
+const httpRequests = new client.Counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests by method, route and status code',
+  labelNames: ['method', 'route', 'status'],
+  registers: [register]
+});
+
+const httpDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency by method, route and status code',
+  labelNames: ['method', 'route', 'status'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [register]
+});
+
+const cacheRequests = new client.Counter({
+  name: 'cache_requests_total',
+  help: 'Responses from cache() routes by result (hit, stale, coalesced or miss)',
+  labelNames: ['result'],
+  registers: [register]
+});
+
+// Derived from the counter above so dashboards get the ratio without PromQL
+new client.Gauge({
+  name: 'cache_hit_ratio',
+  help: 'Share of cache() route responses that did not run the route since startup',
+  registers: [register],
+  async collect() {
+    const { values } = await cacheRequests.get();
+    const count = (result) => values.filter((v) => v.labels.result === result).reduce((sum, v) => sum + v.value, 0);
+    const hits = count('hit') + count('stale') + count('coalesced');
+    const total = hits + count('miss');
+    this.set(total ? hits / total : 0);
+  }
+});
+
+const imageDuration = new client.Histogram({
+  name: 'image_processing_duration_seconds',
+  help: 'Time spent in sharp by operation',
+  labelNames: ['operation'],
+  buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [register]
+});
+
+// Wrap an async function so every call is observed under `operation`
+const timeImageProcessing = (operation, fn) => async (...args) => {
+  const end = imageDuration.startTimer({ operation });
+  try {
+    return await fn(...args);
+  } finally {
+    end();
+  }
+};
+
+// Mongo connection pool usage, tracked from the driver's pool events
+const trackMongoPool = (mongoClient, maxPoolSize) => {
+  let open = 0;
+  let checkedOut = 0;
+
+  mongoClient.on('connectionCreated', () => { open += 1; });
+  mongoClient.on('connectionClosed', () => { open = Math.max(0, open - 1); });
+  mongoClient.on('connectionCheckedOut', () => { checkedOut += 1; });
+  mongoClient.on('connectionCheckedIn', () => { checkedOut = Math.max(0, checkedOut - 1); });
+  // A cleared pool drops its checked-out connections without checking them in
+  mongoClient.on('connectionPoolCleared', () => { checkedOut = 0; });
+
+  new client.Gauge({
+    name: 'mongodb_pool_connections',
+    help: 'MongoDB pool connections by state (open or in_use)',
+    labelNames: ['state'],
+    registers: [register],
+    collect() {
+      this.set({ state: 'open' }, open);
+      this.set({ state: 'in_use' }, checkedOut);
+    }
+  });
+
+  new client.Gauge({
+    name: 'mongodb_pool_max_size',
+    help: 'Configured maxPoolSize',
+    registers: [register],
+    collect() {
+      this.set(maxPoolSize);
+    }
+  });
+
+  new client.Gauge({
+    name: 'mongodb_pool_utilization',
+    help: 'In-use connections as a share of maxPoolSize',
+    registers: [register],
+    collect() {
+      this.set(checkedOut / maxPoolSize);
+    }
+  });
+};
+
+// Count and time every request once it finishes
+const httpMetrics = (req, res, next) => {
+  const end = httpDuration.startTimer();
+
+  res.on('finish', () => {
+    const labels = { method: req.method, route: routePattern(req), status: res.statusCode };
+    end(labels);
+    httpRequests.inc(labels);
+    if (res.locals.cache) cacheRequests.inc({ result: res.locals.cache.toLowerCase() });
+  });
+
+  next();
+};
+
+// GET /metrics in the Prometheus text format. Set METRICS_TOKEN to require
+// `Authorization: Bearer <token>` when the port is reachable from outside.
+const metricsHandler = async (req, res, next) => {
+  const token = process.env.METRICS_TOKEN;
+  if (token && req.get('authorization') !== `Bearer ${token}`) {
+    return sendError(res, 401, 'Unauthorized');
+  }
+
+  try {
+    res.set('Content-Type', register.contentType);
+    res.end(await register.metrics());
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { httpMetrics, metricsHandler, timeImageProcessing, trackMongoPool };
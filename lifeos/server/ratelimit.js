@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const { sendError } = require('./errors');
+const { logger } = require('./logger');
+
+// Sliding-window rate limiting.
+//
+// Each client's recent requests live in a Redis sorted set scored by time, so
+// the window slides smoothly instead of resetting on fixed boundaries and the
+// limit is shared by every server instance. While Redis is unavailable the
+// same algorithm runs in process memory, per instance.
+//
+// Responses carry the IETF draft headers (RateLimit-Limit, -Remaining, -Reset,
+// -Policy); rejected requests get a 429 with Retry-After.
+
+// Trim the window, then add this request only if there is room. Returns
+// { allowed, count, oldest score } atomically.
+const SLIDING_WINDOW_SCRIPT = `
+local now = tonumber(ARGV[1])
+local window = tonumber(ARGV[2])
+local limit = tonumber(ARGV[3])
+redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', now - window)
+local count = redis.call('ZCARD', KEYS[1])
+local allowed = 0
+if count < limit then
+  redis.call('ZADD', KEYS[1], now, ARGV[4])
+  count = count + 1
+  allowed = 1
+end
+redis.call('PEXPIRE', KEYS[1], window)
+local oldest = redis.call('ZRANGE', KEYS[1], 0, 0, 'WITHSCORES')
+return { allowed, count, oldest[2] or now }
+`;
+
+// Who a request counts against: the signed-in user, else the client IP
+const clientKey = (req) => (req.user ? `user:${req.user.id}` : `ip:${req.ip}`);
+
+const createMemoryWindow = (windowMs) => {
+  const hits = new Map(); // key -> ascending timestamps
+
+  // Drop clients with no requests left in the window
+  setInterval(() => {
+    const cutoff = Date.now() - windowMs;
+    for (const [key, times] of hits) {
+      if (times[times.length - 1] <= cutoff) hits.delete(key);
+    }
+  }, windowMs).unref();
+
+  return (key, now, limit) => {
+    const times = (hits.get(key) || []).filter((time) => time > now - windowMs);
+    const allowed = times.length < limit;
+    if (allowed) times.push(now);
+    hits.set(key, times);
+    return { allowed, count: times.length, oldest: times.length ? times[0] : now };
+  };
+};
+
+const createRateLimiter = (redisClient) => {
+  // Policy: `name` namespaces the counters, `max` is a number or (req) => number
+  const rateLimit = ({ name, windowMs, max, key = clientKey }) => {
+    const memoryWindow = createMemoryWindow(windowMs);
+
+    const hit = async (id, now, limit) => {
+      if (redisClient && redisClient.isReady) {
+        try {
+          const [allowed, count, oldest] = await redisClient.eval(SLIDING_WINDOW_SCRIPT, {
+            keys: [`ratelimit:${name}:${id}`],
+            arguments: [String(now), String(windowMs), String(limit), `${now}-${crypto.randomUUID()}`]
+          });
+          return { allowed: allowed === 1, count, oldest: Number(oldest) };
+        } catch (err) {
+          logger.error('Rate limit check failed, using the in-memory window', { policy: name, error: err.message });
+        }
+      }
+      return memoryWindow(id, now, limit);
+    };
+
+    return async (req, res, next) => {
+      try {
+        const limit = typeof max === 'function' ? max(req) : max;
+        if (!Number.isFinite(limit)) return next(); // unlimited for this client
+
+        const now = Date.now();
+        const { allowed, count, oldest } = await hit(key(req), now, limit);
+        // Seconds until the oldest request leaves the window and frees a slot
+        const reset = Math.max(1, Math.ceil((oldest + windowMs - now) / 1000));
+
+        res.set({
+          'RateLimit-Limit': String(limit),
+          'RateLimit-Remaining': String(Math.max(0, limit - count)),
+          'RateLimit-Reset': String(reset),
+          'RateLimit-Policy': `${limit};w=${Math.ceil(windowMs / 1000)}`
+        });
+
+        if (!allowed) {
+          res.set('Retry-After', String(reset));
+          return sendError(res, 429, 'Too many requests, please try again later');
+        }
+        next();
+      } catch (error) {
+        // Never block traffic because the limiter itself failed
+        logger.error('Rate limiter failed, letting the request through', { policy: name, error });
+        next();
+      }
+    };
+  };
+
+  return { rateLimit };
+};
+
+module.exports = { createRateLimiter };
@@ -0,0 +1,97 @@
+const express = require('express');
+const request = require('supertest');
+const { createRateLimiter } = require('./ratelimit');
+
+const MINUTE = 60 * 1000;
+
+// Tests pick the caller with headers
+const identify = (req, res, next) => {
+  if (req.get('X-User')) req.user = { id: req.get('X-User'), role: req.get('X-Role') || 'user' };
+  next();
+};
+
+const buildApp = (redisClient, max, { trustProxy } = {}) => {
+  const { rateLimit } = createRateLimiter(redisClient);
+  const app = express();
+  if (trustProxy) app.set('trust proxy', trustProxy);
+  app.get('/limited', identify, rateLimit({ name: 'test', windowMs: MINUTE, max }), (req, res) => res.json({ ok: true }));
+  return app;
+};
+
+const statuses = async (app, count, headers = {}) => {
+  const results = [];
+  for (let i = 0; i < count; i += 1) {
+    results.push((await request(app).get('/limited').set(headers)).status);
+  }
+  return results;
+};
+
+describe('rateLimit', () => {
+  let now;
+
+  beforeEach(() => {
+    now = Date.parse('2026-01-01T00:00:00Z');
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('rejects requests over the limit with Retry-After', async () => {
+    const app = buildApp(null, 2);
+
+    expect(await statuses(app, 2)).toEqual([200, 200]);
+    now += 15 * 1000;
+    const res = await request(app).get('/limited');
+
+    expect(res.status).toBe(429);
+    expect(res.headers['retry-after']).toBe('45');
+    expect(res.headers).toMatchObject({ 'ratelimit-limit': '2', 'ratelimit-remaining': '0', 'ratelimit-policy': '2;w=60' });
+  });
+
+  it('counts clients behind a trusted proxy separately', async () => {
+    // As docker-compose.yml sets it; tests connect over loopback, like a local proxy
+    const proxied = buildApp(null, 1, { trustProxy: 'loopback,uniquelocal' });
+    const direct = buildApp(null, 1);
+    const client = (ip) => ({ 'X-Forwarded-For': ip });
+
+    expect(await statuses(proxied, 2, client('203.0.113.1'))).toEqual([200, 429]);
+    expect(await statuses(proxied, 1, client('203.0.113.2'))).toEqual([200]);
+    expect(await statuses(direct, 1, client('203.0.113.1'))).toEqual([200]);
+    expect(await statuses(direct, 1, client('203.0.113.2'))).toEqual([429]);
+  });
+
+  it('slides the window instead of resetting it', async () => {
+    const app = buildApp(null, 2);
+
+    await statuses(app, 1);
+    now += 30 * 1000;
+    await statuses(app, 1);
+    now += 31 * 1000;
+
+    expect(await statuses(app, 2)).toEqual([200, 429]);
+  });
+
+  it('counts signed-in users separately from their IP', async () => {
+    const app = buildApp(null, 1);
+
+    expect(await statuses(app, 1)).toEqual([200]);
+    expect(await statuses(app, 2, { 'X-User': 'u1' })).toEqual([200, 429]);
+  });
+
+  it('lets a function lift the limit per client', async () => {
+    const app = buildApp(null, (req) => (req.user && req.user.role === 'admin' ? Infinity : 1));
+
+    expect(await statuses(app, 3, { 'X-User': 'a1', 'X-Role': 'admin' })).toEqual([200, 200, 200]);
+  });
+
+  it('falls back to memory when Redis fails', async () => {
+    const redisClient = { isReady: true, eval: jest.fn().mockRejectedValue(new Error('READONLY')) };
+    jest.spyOn(process.stderr, 'write').mockImplementation(() => true);
+    const app = buildApp(redisClient, 1);
+
+    expect(await statuses(app, 2)).toEqual([200, 429]);
+    expect(redisClient.eval).toHaveBeenCalledTimes(2);
+  });
+});
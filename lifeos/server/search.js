@@ -0,0 +1,93 @@
+// MongoDB $text search helpers.
+//
+// The query string is handed to $text as-is, so the usual syntax applies:
+// `"exact phrase"` must match, `-word` excludes documents, and every other
+// word is OR-ed together and ranked by textScore. The same string is parsed
+// here only to highlight what matched.
+const MAX_QUERY_LENGTH = 200;
+const SNIPPET_LENGTH = 160;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Rough English stemming so "optimized" still highlights "optimize"
+const stem = (word) => {
+  const stripped = word.replace(/(ing|ed|es|s)$/i, '');
+  return stripped.length >= 3 ? stripped : word;
+};
+
+// Split a $text query into highlightable phrases and terms, dropping negations
+const parseQuery = (q) => {
+  const phrases = [];
+  const rest = q.replace(/"([^"]+)"/g, (match, phrase) => {
+    phrases.push(phrase.trim());
+    return ' ';
+  });
+
+  const terms = rest
+    .split(/\s+/)
+    .filter((word) => word && !word.startsWith('-'))
+    .map(stem);
+
+  return { phrases: phrases.filter(Boolean), terms };
+};
+
+const matcher = ({ phrases, terms }) => {
+  const patterns = [
+    ...phrases.map(escapeRegex),
+    ...terms.map((term) => `\\b${escapeRegex(term)}\\w*`)
+  ];
+  return patterns.length ? new RegExp(patterns.join('|'), 'gi') : null;
+};
+
+// Returns { snippet, ranges } around the first match, or null if nothing matched.
+// `ranges` are [start, end) offsets into `snippet`, so clients can render
+// marks without trusting HTML from the server.
+const highlight = (text, parsed) => {
+  const regex = matcher(parsed);
+  if (!text || !regex) return null;
+
+  const matches = [...text.matchAll(regex)].filter((match) => match[0]);
+  if (matches.length === 0) return null;
+
+  let start = 0;
+  if (text.length > SNIPPET_LENGTH) {
+    start = Math.max(0, matches[0].index - Math.floor(SNIPPET_LENGTH / 4));
+    start = Math.min(start, text.length - SNIPPET_LENGTH);
+  }
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+
+  const ranges = matches
+    .filter((match) => match.index >= start && match.index + match[0].length <= end)
+    .map((match) => [
+      match.index - start + prefix.length,
+      match.index - start + prefix.length + match[0].length
+    ]);
+
+  return { snippet: prefix + text.slice(start, end) + suffix, ranges };
+};
+
+// Run a ranked $text search and attach highlights for the given fields
+const textSearch = async (Model, q, { projection, fields, limit }) => {
+  const parsed = parseQuery(q);
+  const docs = await Model.find(
+    { $text: { $search: q } },
+    { score: { $meta: 'textScore' } }
+  )
+    .sort({ score: { $meta: 'textScore' } })
+    .limit(limit)
+    .select(projection)
+    .lean();
+
+  return docs.map((doc) => {
+    const highlights = {};
+    for (const field of fields) {
+      const match = highlight(doc[field], parsed);
+      if (match) highlights[field] = match;
+    }
+    return { ...doc, highlights };
+  });
+};
+
+module.exports = { MAX_QUERY_LENGTH, parseQuery, highlight, textSearch };
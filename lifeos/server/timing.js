@@ -0,0 +1,152 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Per-request server timing.
+//
+// Each /api request gets a timing store carried through its async context, so
+// code with no access to `req` (Mongoose hooks, the Redis cache) can add time
+// to it. The totals are sent as a Server-Timing header and, once the response
+// finishes, recorded as an `api_response` metric.
+const storage = new AsyncLocalStorage();
+
+const elapsed = (start) => Number(process.hrtime.bigint() - start) / 1e6;
+const round = (ms) => Math.round(ms * 10) / 10;
+
+// Add `duration` ms to the named timing of the current request, if any
+const recordTiming = (name, duration) => {
+  const store = storage.getStore();
+  if (!store) return;
+  const timing = store.timings[name] || (store.timings[name] = { duration: 0, count: 0 });
+  timing.duration += duration;
+  timing.count += 1;
+};
+
+// Time a promise-returning call against the current request
+const timed = async (name, fn) => {
+  const start = process.hrtime.bigint();
+  try {
+    return await fn();
+  } finally {
+    recordTiming(name, elapsed(start));
+  }
+};
+
+const segments = (path) => path.split('/').filter(Boolean);
+
+// Route pattern (e.g. /api/users/:id) rather than the raw URL, to keep label
+// and endpoint cardinality bounded. Unmatched requests share one name.
+//
+// Read once the response finishes. An error leaving a mounted router resets
+// req.baseUrl but keeps req.route, so the mount path is then taken from the
+// URL: a plain route path (no wildcards or optional parts) matched exactly its
+// last segments.
+const routePattern = (req) => {
+  if (!req.route) return req.baseUrl || 'unmatched';
+  const routePath = req.route.path;
+  let mountPath = req.baseUrl;
+  if (!mountPath && typeof routePath === 'string' && !/[*?()]/.test(routePath)) {
+    const urlSegments = segments(req.originalUrl.split('?')[0]);
+    const mounted = urlSegments.slice(0, urlSegments.length - segments(routePath).length);
+    mountPath = mounted.length > 0 ? `/${mounted.join('/')}` : '';
+  }
+  return (mountPath + routePath).replace(/(.)\/$/, '$1');
+};
+
+const DESCRIPTIONS = { db: 'MongoDB', redis: 'Redis' };
+
+const serverTimingHeader = (store, total, cacheStatus) => {
+  const entries = [`total;dur=${round(total)}`];
+  for (const [name, { duration, count }] of Object.entries(store.timings)) {
+    entries.push(`${name};dur=${round(duration)};desc="${DESCRIPTIONS[name] || name} (${count})"`);
+  }
+  if (cacheStatus) entries.push(`cache;desc=${cacheStatus}`);
+  return entries.join(', ');
+};
+
+// Mongoose plugin timing queries, aggregations and saves. The store is
+// captured in the pre hook because post hooks may run outside the request's
+// async context.
+const QUERY_HOOKS = [
+  'find',
+  'findOne',
+  'countDocuments',
+  'estimatedDocumentCount',
+  'distinct',
+  'updateOne',
+  'updateMany',
+  'replaceOne',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndUpdate',
+  'findOneAndReplace',
+  'findOneAndDelete'
+];
+
+const timingPlugin = (schema) => {
+  const start = (target) => {
+    target.timingStore = storage.getStore();
+    target.timingStart = process.hrtime.bigint();
+  };
+  const finish = (target) => {
+    if (!target.timingStore) return;
+    storage.run(target.timingStore, () => recordTiming('db', elapsed(target.timingStart)));
+  };
+
+  schema.pre(QUERY_HOOKS, { document: false, query: true }, function () { start(this); });
+  schema.post(QUERY_HOOKS, { document: false, query: true }, function () { finish(this); });
+  schema.pre('aggregate', function () { start(this); });
+  schema.post('aggregate', function () { finish(this); });
+  schema.pre('save', function () { start(this.$locals); });
+  schema.post('save', function () { finish(this.$locals); });
+
+  // Failed operations count too (error middleware must pass the error on)
+  schema.post(QUERY_HOOKS, { document: false, query: true }, function (error, result, next) {
+    finish(this);
+    next(error);
+  });
+  schema.post('aggregate', function (error, result, next) {
+    finish(this);
+    next(error);
+  });
+  schema.post('save', function (error, doc, next) {
+    finish(this.$locals);
+    next(error);
+  });
+};
+
+// `record(entry)` persists the finished request; it must not throw
+const requestTiming = (record) => (req, res, next) => {
+  const start = process.hrtime.bigint();
+  const store = { timings: {} };
+
+  // Headers are written lazily, so add Server-Timing at the last moment
+  const writeHead = res.writeHead;
+  res.writeHead = function (...args) {
+    if (!res.headersSent) {
+      res.setHeader('Server-Timing', serverTimingHeader(store, elapsed(start), res.locals.cache));
+    }
+    return writeHead.apply(this, args);
+  };
+
+  res.on('finish', () => {
+    // Only matched routes are recorded
+    if (!req.route) return;
+    const db = store.timings.db;
+    const redis = store.timings.redis;
+    record({
+      metric_type: 'api_response',
+      value: round(elapsed(start)),
+      timestamp: new Date(),
+      endpoint: routePattern(req),
+      method: req.method,
+      status: res.statusCode,
+      cache: res.locals.cache,
+      db_time: db ? round(db.duration) : 0,
+      db_queries: db ? db.count : 0,
+      redis_time: redis ? round(redis.duration) : 0
+    });
+  });
+
+  storage.run(store, next);
+};
+
+module.exports = { recordTiming, timed, routePattern, timingPlugin, requestTiming };
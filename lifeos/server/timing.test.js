@@ -0,0 +1,89 @@
+const express = require('express');
+const request = require('supertest');
+const { requestTiming, recordTiming, routePattern } = require('./timing');
+const { errorHandler } = require('./errors');
+const { logger } = require('./logger');
+
+const buildApp = () => {
+  const recorded = [];
+  const app = express();
+  app.use('/api', requestTiming((entry) => recorded.push(entry)));
+
+  const router = express.Router();
+  router.get('/:id', (req, res, next) => {
+    recordTiming('db', 2);
+    recordTiming('db', 3);
+    if (req.params.id === 'fail') return next(new Error('boom'));
+    res.json({ route: routePattern(req) });
+  });
+  router.get('/:id/files/*', (req, res, next) => next(new Error('boom')));
+  app.use('/api/things', router);
+  app.get('/api/img/:id', (req, res) => res.json({ ok: true }));
+  app.use(errorHandler);
+
+  return { app, recorded };
+};
+
+// `finish` fires after supertest sees the response
+const finished = () => new Promise((resolve) => setImmediate(resolve));
+
+describe('requestTiming', () => {
+  let app;
+  let recorded;
+
+  beforeEach(() => {
+    ({ app, recorded } = buildApp());
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('sends a Server-Timing header with the request\'s timings', async () => {
+    const res = await request(app).get('/api/things/42');
+
+    expect(res.headers['server-timing']).toMatch(/^total;dur=[\d.]+, db;dur=5;desc="MongoDB \(2\)"$/);
+  });
+
+  it('records matched routes by pattern', async () => {
+    const res = await request(app).get('/api/things/42?x=1');
+    await finished();
+
+    expect(res.body.route).toBe('/api/things/:id');
+    expect(recorded).toEqual([expect.objectContaining({
+      metric_type: 'api_response',
+      endpoint: '/api/things/:id',
+      method: 'GET',
+      status: 200,
+      db_time: 5,
+      db_queries: 2
+    })]);
+  });
+
+  it('keeps the mount path when an error leaves a mounted router', async () => {
+    await request(app).get('/api/things/fail');
+    await request(app).get('/api/img/1');
+    await finished();
+
+    expect(recorded.map(({ endpoint, status }) => [endpoint, status])).toEqual([
+      ['/api/things/:id', 500],
+      ['/api/img/:id', 200]
+    ]);
+    expect(logger.error).toHaveBeenCalledWith('Unhandled error', expect.objectContaining({ message: 'boom' }));
+  });
+
+  it('falls back to the route path for wildcard routes', async () => {
+    await request(app).get('/api/things/1/files/a/b');
+    await finished();
+
+    expect(recorded[0].endpoint).toBe('/:id/files/*');
+  });
+
+  it('does not record unmatched requests', async () => {
+    await request(app).get('/api/nothing');
+    await finished();
+
+    expect(recorded).toEqual([]);
+  });
+});
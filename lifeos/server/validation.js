@@ -0,0 +1,183 @@
+const mongoose = require('mongoose');
+const { sendError } = require('./errors');
+
+// Declarative request validation.
+//
+// A schema maps field names to rules built by the factories below, e.g.
+//   validate({ query: { limit: int({ min: 1, max: 100, clamp: true, default: 20 }) } })
+// Each location (params, query, body) is replaced by the parsed values, so
+// handlers get numbers as numbers and never see fields the schema does not
+// list. Every problem is reported at once as a 400 VALIDATION_ERROR.
+//
+// Query strings and multipart forms deliver strings, so numeric and boolean
+// rules accept their string forms too. Missing, null and empty values take
+// the rule's default.
+//
+// Every rule also carries its OpenAPI schema (`rule.schema`, `rule.required`)
+// and validate() keeps its schemas on the middleware, so openapi.js can
+// document each route from the same definitions that enforce it.
+
+class RuleError extends Error {}
+
+const fail = (message) => {
+  throw new RuleError(message);
+};
+
+// Drop unset keys so generated schemas stay terse
+const compact = (object) => Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+
+// Wrap a parser with the options every rule shares: required, default and
+// allowEmpty (keep '' instead of treating it as missing). `schema` is the
+// rule's OpenAPI description.
+const rule = (options, parse, schema, { multiple = false } = {}) => {
+  const parseField = (value) => {
+    if (value === undefined || value === null || (value === '' && !options.allowEmpty)) {
+      if (options.required) fail('is required');
+      return options.default;
+    }
+    // ?a=1&a=2 arrives as an array
+    if (Array.isArray(value) && !multiple) fail('must be given once');
+    return parse(value);
+  };
+  parseField.schema = compact({ ...schema, default: options.default, description: options.description });
+  parseField.required = Boolean(options.required);
+  return parseField;
+};
+
+const range = ({ min, max }) => ({
+  minimum: Number.isFinite(min) ? min : undefined,
+  maximum: Number.isFinite(max) ? max : undefined
+});
+
+// Either clamp into [min, max] or reject values outside it
+const bound = (value, { min = -Infinity, max = Infinity, clamp = false }) => {
+  if (value >= min && value <= max) return value;
+  if (clamp) return Math.min(Math.max(value, min), max);
+  if (max === Infinity) fail(`must be at least ${min}`);
+  if (min === -Infinity) fail(`must be at most ${max}`);
+  return fail(`must be between ${min} and ${max}`);
+};
+
+const int = (options = {}) => rule(options, (value) => {
+  if (!/^-?\d+$/.test(String(value))) fail('must be an integer');
+  return bound(Number(value), options);
+}, { type: 'integer', ...range(options) });
+
+const number = (options = {}) => rule(options, (value) => {
+  const parsed = typeof value === 'string' && value.trim() ? Number(value) : value;
+  if (typeof parsed !== 'number' || !Number.isFinite(parsed)) fail('must be a number');
+  return bound(parsed, options);
+}, { type: 'number', ...range(options) });
+
+const string = (options = {}) => rule(options, (value) => {
+  if (typeof value !== 'string') fail('must be a string');
+  let parsed = options.trim ? value.trim() : value;
+  if (options.lowercase) parsed = parsed.toLowerCase();
+  if (options.minLength && parsed.length < options.minLength) fail(`must be at least ${options.minLength} characters`);
+  if (options.maxLength && parsed.length > options.maxLength) fail(`must be at most ${options.maxLength} characters`);
+  if (options.pattern && !options.pattern.test(parsed)) fail(options.message || 'is malformed');
+  return parsed;
+}, {
+  type: 'string',
+  minLength: options.minLength,
+  maxLength: options.maxLength,
+  pattern: options.pattern && options.pattern.source
+});
+
+const oneOf = (values, options = {}) => rule(options, (value) => {
+  if (!values.includes(value)) fail(`must be one of ${values.join(', ')}`);
+  return value;
+}, { type: 'string', enum: values });
+
+const boolean = (options = {}) => rule(options, (value) => {
+  if (value === true || value === 'true') return true;
+  if (value === false || value === 'false') return false;
+  return fail('must be true or false');
+}, { type: 'boolean' });
+
+const objectId = (options = {}) => rule(options, (value) => {
+  if (typeof value !== 'string' || !mongoose.isValidObjectId(value)) fail('must be a valid id');
+  return value;
+}, { type: 'string', pattern: '^[a-f0-9]{24}$' });
+
+// ISO 8601 strings or epoch milliseconds
+const date = (options = {}) => rule(options, (value) => {
+  const parsed = new Date(/^\d+$/.test(String(value)) ? Number(value) : value);
+  if (Number.isNaN(parsed.getTime())) fail('must be a date or epoch milliseconds');
+  return parsed;
+}, { type: 'string', format: 'date-time' });
+
+// A list of `item`s; a single value counts as a list of one
+const array = (item, options = {}) => rule(options, (value) => {
+  const list = [].concat(value);
+  if (options.minItems && list.length < options.minItems) fail(`must have at least ${options.minItems} item(s)`);
+  if (options.maxItems && list.length > options.maxItems) fail(`must have at most ${options.maxItems} items`);
+  return list.map((entry, i) => {
+    try {
+      return item(entry);
+    } catch (err) {
+      if (!(err instanceof RuleError)) throw err;
+      return fail(`item ${i + 1} ${err.message}`);
+    }
+  });
+}, {
+  type: 'array',
+  items: item.schema,
+  minItems: options.minItems,
+  maxItems: options.maxItems
+}, { multiple: true });
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+// Parse one location against its schema; returns { values, details }
+const check = (schema, source, location) => {
+  const values = {};
+  const details = [];
+  for (const [field, parse] of Object.entries(schema)) {
+    try {
+      const value = parse(source[field]);
+      if (value !== undefined) values[field] = value;
+    } catch (err) {
+      if (!(err instanceof RuleError)) throw err;
+      details.push({ location, field, message: `${field} ${err.message}` });
+    }
+  }
+  return { values, details };
+};
+
+const validate = (schemas) => {
+  const middleware = (req, res, next) => {
+    const parsed = {};
+    const details = [];
+    for (const location of LOCATIONS) {
+      if (!schemas[location]) continue;
+      const result = check(schemas[location], req[location] || {}, location);
+      parsed[location] = result.values;
+      details.push(...result.details);
+    }
+
+    if (details.length > 0) {
+      return sendError(res, 400, details.map((detail) => detail.message).join('; '), {
+        code: 'VALIDATION_ERROR',
+        details
+      });
+    }
+
+    Object.assign(req, parsed);
+    next();
+  };
+  middleware.schemas = schemas;
+  return middleware;
+};
+
+module.exports = {
+  validate,
+  int,
+  number,
+  string,
+  oneOf,
+  boolean,
+  objectId,
+  date,
+  array
+};
@@ -0,0 +1,107 @@
+const express = require('express');
+const request = require('supertest');
+const { validate, int, number, string, oneOf, boolean, objectId, date, array } = require('./validation');
+
+// Echo what the handler sees after validation
+const buildApp = (schemas) => {
+  const app = express();
+  app.use(express.json());
+  app.post('/items/:id?', validate(schemas), (req, res) => res.json({ params: req.params, query: req.query, body: req.body }));
+  return app;
+};
+
+describe('validate', () => {
+  it('parses query strings into typed values and applies defaults', async () => {
+    const app = buildApp({
+      query: {
+        limit: int({ min: 1, max: 100, clamp: true, default: 20 }),
+        page: int({ min: 1, default: 1 }),
+        min: number(),
+        active: boolean({ default: false }),
+        since: date()
+      }
+    });
+
+    const res = await request(app).post('/items?limit=500&min=2.5&active=true&since=0');
+
+    expect(res.status).toBe(200);
+    expect(res.body.query).toEqual({ limit: 100, page: 1, min: 2.5, active: true, since: '1970-01-01T00:00:00.000Z' });
+  });
+
+  it('drops fields the schema does not list', async () => {
+    const app = buildApp({ body: { name: string({ trim: true }) } });
+
+    const res = await request(app).post('/items').send({ name: '  Ada ', role: 'admin', $where: '1' });
+
+    expect(res.body.body).toEqual({ name: 'Ada' });
+  });
+
+  it('reports every problem at once', async () => {
+    const app = buildApp({
+      params: { id: objectId({ required: true }) },
+      query: { sort: oneOf(['name', 'price']) },
+      body: { name: string({ required: true }), tags: array(string({ maxLength: 3 }), { maxItems: 2 }) }
+    });
+
+    const res = await request(app).post('/items/nope?sort=evil').send({ tags: ['ok', 'toolong'] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.code).toBe('VALIDATION_ERROR');
+    expect(res.body.error.details).toEqual([
+      { location: 'params', field: 'id', message: 'id must be a valid id' },
+      { location: 'query', field: 'sort', message: 'sort must be one of name, price' },
+      { location: 'body', field: 'name', message: 'name is required' },
+      { location: 'body', field: 'tags', message: 'tags item 2 must be at most 3 characters' }
+    ]);
+    expect(res.body.error.message).toBe(res.body.error.details.map((detail) => detail.message).join('; '));
+  });
+
+  it('rejects repeated query parameters unless the rule takes a list', async () => {
+    const app = buildApp({ query: { limit: int(), ids: array(objectId()) } });
+    const id = '5f1d7f0c9b1e8a3d4c2b1a00';
+
+    const repeated = await request(app).post('/items?limit=1&limit=2');
+    const list = await request(app).post(`/items?ids=${id}&ids=${id}`);
+
+    expect(repeated.body.error.details[0].message).toBe('limit must be given once');
+    expect(list.body.query.ids).toEqual([id, id]);
+  });
+
+  it('rejects integers past the bounds instead of passing huge numbers on', async () => {
+    const app = buildApp({ query: { page: int({ min: 1, max: 10000, default: 1 }) } });
+
+    const res = await request(app).post('/items?page=99999999999999999999');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error.details[0].message).toBe('page must be between 1 and 10000');
+  });
+
+  it('rejects values of the wrong JSON type', async () => {
+    const app = buildApp({ body: { name: string(), price: number({ min: 0 }), featured: boolean() } });
+
+    const res = await request(app).post('/items').send({ name: { $ne: null }, price: -1, featured: 'yes' });
+
+    expect(res.body.error.details.map((detail) => detail.message)).toEqual([
+      'name must be a string',
+      'price must be at least 0',
+      'featured must be true or false'
+    ]);
+  });
+
+  it('treats empty strings as missing unless allowEmpty is set', async () => {
+    const app = buildApp({ query: { q: string({ default: 'all' }), cursor: string({ allowEmpty: true }) } });
+
+    const res = await request(app).post('/items?q=&cursor=');
+
+    expect(res.body.query).toEqual({ q: 'all', cursor: '' });
+  });
+
+  it('keeps OpenAPI schemas on the rules and the middleware', () => {
+    const limit = int({ min: 1, max: 100, default: 20, required: true });
+    const middleware = validate({ query: { limit } });
+
+    expect(limit.schema).toEqual({ type: 'integer', minimum: 1, maximum: 100, default: 20 });
+    expect(limit.required).toBe(true);
+    expect(middleware.schemas.query.limit).toBe(limit);
+  });
+});